@@ -28,7 +28,7 @@ const Dashboard = () => {
 
   const fetchUserData = useCallback(async () => {
     try {
-      const response = await fetch('http://localhost:3001/api/v1/user/profile', {
+      const fetchProfile = () => fetch('http://localhost:3001/api/v1/user/profile', {
         method: 'GET',
         credentials: 'include', // Include cookies
         headers: {
@@ -36,6 +36,20 @@ const Dashboard = () => {
         }
       });
 
+      let response = await fetchProfile();
+
+      // Access token expired - rotate the refresh token and retry once
+      if (response.status === 401) {
+        const refreshResponse = await fetch('http://localhost:3001/auth/refresh', {
+          method: 'POST',
+          credentials: 'include',
+        });
+
+        if (refreshResponse.ok) {
+          response = await fetchProfile();
+        }
+      }
+
       if (response.ok) {
         const userData = await response.json();
         console.log('User data received:', userData.data); // Debug log
@@ -66,7 +80,12 @@ const Dashboard = () => {
         'email_exists': 'Email already exists with different provider. Please use the original provider.',
         'validation_failed': 'User data validation failed. Please try again.',
         'unauthorized': 'Access denied. Please check your credentials.',
-        'invalid_request': 'Invalid OAuth request. Please try again.'
+        'invalid_request': 'Invalid OAuth request. Please try again.',
+        'invalid_state': 'The sign-in request expired or did not start here. Please try again.',
+        'link_failed': 'Could not link the account. Please try again.',
+        'link_expired': 'The account linking request expired. Please try again.',
+        'provider_in_use': 'That account is already linked to another InterviewReader user.',
+        'provider_already_linked': 'A different account from this provider is already linked. Unlink it first.'
       };
       setError(errorMessages[errorParam] || 'An unknown error occurred.');
       setLoading(false);
@@ -108,7 +127,7 @@ const Dashboard = () => {
   const handleLogoutAllDevices = async () => {
     try {
       setLoading(true);
-      const response = await fetch('http://localhost:3001/api/v1/user/logout-all-others', {
+      const response = await fetch('http://localhost:3001/auth/logout-all', {
         method: 'POST',
         credentials: 'include',
         headers: {
@@ -134,7 +153,7 @@ const Dashboard = () => {
   const handleLogoutOthers = async () => {
     try {
       setLoading(true);
-      const response = await fetch('http://localhost:3001/auth/logout-others', {
+      const response = await fetch('http://localhost:3001/api/v1/user/logout-all-others', {
         method: 'POST',
         credentials: 'include',
         headers: {
@@ -213,7 +232,7 @@ const Dashboard = () => {
         github: { provider: 'GitHub', icon: '🐙' },
         linkedin: { provider: 'LinkedIn', icon: '💼' }
       };
-      return providerMap[providerParam] || { provider: 'OAuth', icon: '🔐' };
+      return providerMap[providerParam] || { provider: providerParam.charAt(0).toUpperCase() + providerParam.slice(1), icon: '🔐' };
     }
     
     // Default when no provider info available
@@ -0,0 +1,101 @@
+'use client';
+
+import React, { useState } from 'react';
+import { useRouter } from 'next/navigation';
+
+const TwoFactorLogin = () => {
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+  const router = useRouter();
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await fetch('http://localhost:3001/auth/2fa/verify', {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() })
+      });
+
+      const result = await response.json();
+
+      if (response.ok) {
+        router.push(result.data?.redirectTo || '/dashboard');
+      } else if (response.status === 401 && result.message?.includes('expired')) {
+        router.push('/?error=two_factor_expired');
+      } else {
+        setError(result.message || 'Verification failed');
+      }
+    } catch (err) {
+      console.error('Error verifying two-factor code:', err);
+      setError('Verification failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-md">
+        <div className="text-center mb-8">
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">
+            Two-factor authentication
+          </h1>
+          <p className="text-gray-600">
+            {useRecoveryCode
+              ? 'Enter one of your recovery codes'
+              : 'Enter the 6-digit code from your authenticator app'}
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <input
+            type="text"
+            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+            autoComplete="one-time-code"
+            autoFocus
+            value={code}
+            onChange={(event) => setCode(event.target.value)}
+            placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+            className="w-full px-4 py-3 border border-gray-300 rounded-lg text-center tracking-widest focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+
+          <button
+            type="submit"
+            disabled={submitting || !code.trim()}
+            className="w-full px-4 py-3 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 transition-all duration-200"
+          >
+            {submitting ? 'Verifying...' : 'Verify'}
+          </button>
+        </form>
+
+        <button
+          onClick={() => {
+            setUseRecoveryCode(!useRecoveryCode);
+            setCode('');
+            setError(null);
+          }}
+          className="mt-4 w-full text-sm text-blue-600 hover:underline"
+        >
+          {useRecoveryCode ? 'Use your authenticator app instead' : 'Lost your device? Use a recovery code'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorLogin;
@@ -1,6 +1,17 @@
+import crypto from "crypto";
 import User from "../models/User.model.js";
-import { generateTokens } from "../utils/Token.js";
+import {
+    generateTokens,
+    generateLinkToken,
+    verifyLinkToken,
+    generateTwoFactorPendingToken,
+    verifyTwoFactorPendingToken,
+    hashSessionToken
+} from "../utils/Token.js";
 import Session from "../models/Session.model.js";
+import SessionService from "../services/sessionService.js";
+import { sanitizeReturnTo } from "./OAuthState.js";
+import { getKnownProviderNames } from "./OAuthProviders.js";
 
 // =============================================================================
 // CONSTANTS AND CONFIGURATION
@@ -9,39 +20,64 @@ import Session from "../models/Session.model.js";
 const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:3000";
 
 // Session management configuration
-const SESSION_CONFIG = {
+export const SESSION_CONFIG = {
     MAX_SESSIONS_PER_USER: 3,
     ACCESS_TOKEN_EXPIRY_DAYS: 1,
-    REFRESH_TOKEN_EXPIRY_DAYS: 10,
-    CLEANUP_EXPIRED_ON_LOGIN: true
+    REFRESH_TOKEN_EXPIRY_DAYS: 10
 };
 
 // Cookie configuration
-const COOKIE_CONFIG = {
+export const COOKIE_CONFIG = {
     httpOnly: true,
     secure: process.env.NODE_ENV === "production",
     sameSite: process.env.NODE_ENV === "production" ? "none" : "lax"
 };
 
+// Account linking cookie - set when a signed-in user starts connecting a provider
+const LINK_COOKIE = {
+    NAME: "oauthLink",
+    MAX_AGE_MS: 10 * 60 * 1000
+};
+
+// Email sign-in links have no provider account ID - the address they were sent to is the identity
+export const EMAIL_PROVIDER = "email";
+
+// Pending two-factor sign-in cookie - set once the first factor passed, until the code is verified
+const TWO_FACTOR_COOKIE = {
+    NAME: "twoFactorPending",
+    MAX_AGE_MS: 5 * 60 * 1000
+};
+
 // =============================================================================
 // USER MANAGEMENT FUNCTIONS
 // =============================================================================
 
 /**
- * Finds existing user by provider ID or email
- * @param {string} provider - OAuth provider name
+ * Finds existing user by provider ID, or an unclaimed account with the same email
+ * @param {string} provider - OAuth provider name, or email for sign-in links
  * @param {string} id - Provider-specific user ID
  * @param {string} email - User email address
  * @returns {Promise<Object|null>} User object or null if not found
  */
 const findExistingUser = async (provider, id, email) => {
+    // Opening the emailed link proves ownership of the address, so it signs into whichever account has it
+    if (provider === EMAIL_PROVIDER) {
+        return await User.findOne({ email });
+    }
+
     const providerIdField = `${provider}Id`;
     
+    const providerUser = await User.findOne({ [providerIdField]: id });
+    if (providerUser) {
+        return providerUser;
+    }
+
+    // Accounts are otherwise only linked explicitly from the profile. The exception is an
+    // unverified email registration with no provider, which the provider's address takes over
     return await User.findOne({
-        $or: [
-            { [providerIdField]: id },
-            { email: email }
-        ]
+        email,
+        isEmailVerified: { $ne: true },
+        ...Object.fromEntries(getKnownProviderNames().map(name => [`${name}Id`, null]))
     });
 };
 
@@ -58,10 +94,13 @@ const createNewUser = async (provider, id, email, name, avatar) => {
     const providerIdField = `${provider}Id`;
     
     const userData = {
-        [providerIdField]: id,
+        ...(provider !== EMAIL_PROVIDER && { [providerIdField]: id }),
         email,
         name,
-        avatar
+        avatar,
+        // The provider has already confirmed the address
+        isEmailVerified: true,
+        emailVerifiedAt: new Date()
     };
     
     return await User.create(userData);
@@ -77,8 +116,20 @@ const createNewUser = async (provider, id, email, name, avatar) => {
 const updateUserProviderData = async (user, provider, id) => {
     const providerIdField = `${provider}Id`;
     
-    if (!user[providerIdField]) {
+    if (provider !== EMAIL_PROVIDER && !user[providerIdField]) {
         user[providerIdField] = id;
+    }
+
+    // Signing in through the provider proves ownership of the address. A password set
+    // before the address was ever verified may belong to someone else, so it is dropped
+    if (!user.isEmailVerified) {
+        user.markEmailVerified();
+        user.password = undefined;
+        user.markModified('password'); // Not selected, so clearing it is not tracked otherwise
+        user.username = undefined;
+    }
+
+    if (user.isModified()) {
         await user.save();
     }
     
@@ -90,16 +141,12 @@ const updateUserProviderData = async (user, provider, id) => {
 // =============================================================================
 
 /**
- * Performs session cleanup and management
+ * Performs session management
+ * Expired sessions are left to the TTL index - revoked ones keep their token history until then
  * @param {string} userId - User ID for session management
  * @returns {Promise<void>}
  */
 const performSessionCleanup = async (userId) => {
-    // Clean expired sessions if configured
-    if (SESSION_CONFIG.CLEANUP_EXPIRED_ON_LOGIN) {
-        await Session.cleanExpiredSessions();
-    }
-    
     // Limit active sessions per user
     await Session.deactivateOldSessions(userId, SESSION_CONFIG.MAX_SESSIONS_PER_USER);
 };
@@ -111,13 +158,15 @@ const performSessionCleanup = async (userId) => {
  * @param {string} refreshToken - Generated refresh token
  * @param {string} provider - OAuth provider name
  * @param {Object} deviceInfo - Device information object
+ * @param {string} familyId - Refresh token family ID embedded in the tokens
  * @returns {Promise<Object>} Created session object
  */
-const createUserSession = async (userId, accessToken, refreshToken, provider, deviceInfo) => {
+const createUserSession = async (userId, accessToken, refreshToken, provider, deviceInfo, familyId) => {
     const sessionData = {
         userId,
-        refreshToken,
-        accessToken,
+        refreshTokenHash: hashSessionToken(refreshToken),
+        accessTokenHash: hashSessionToken(accessToken),
+        familyId,
         provider,
         deviceInfo,
         expiresAt: calculateExpiryDate(SESSION_CONFIG.REFRESH_TOKEN_EXPIRY_DAYS),
@@ -133,7 +182,7 @@ const createUserSession = async (userId, accessToken, refreshToken, provider, de
  * @param {Request} req - Express request object
  * @returns {Object} Device information object
  */
-const extractDeviceInfo = (req) => {
+export const extractDeviceInfo = (req) => {
     return {
         userAgent: req.headers["user-agent"] || 'Unknown',
         ip: req.ip || req.connection.remoteAddress || 'Unknown'
@@ -145,7 +194,7 @@ const extractDeviceInfo = (req) => {
  * @param {number} days - Number of days from now
  * @returns {Date} Expiry date
  */
-const calculateExpiryDate = (days) => {
+export const calculateExpiryDate = (days) => {
     const expiryDate = new Date();
     expiryDate.setDate(expiryDate.getDate() + days);
     return expiryDate;
@@ -157,7 +206,7 @@ const calculateExpiryDate = (days) => {
  * @param {string} accessToken - Access token to set
  * @param {string} refreshToken - Refresh token to set
  */
-const setSecureCookies = (res, accessToken, refreshToken) => {
+export const setSecureCookies = (res, accessToken, refreshToken) => {
     const accessTokenOptions = {
         ...COOKIE_CONFIG,
         maxAge: SESSION_CONFIG.ACCESS_TOKEN_EXPIRY_DAYS * 24 * 60 * 60 * 1000
@@ -172,14 +221,205 @@ const setSecureCookies = (res, accessToken, refreshToken) => {
     res.cookie("refreshToken", refreshToken, refreshTokenOptions);
 };
 
+/**
+ * Signs a user in: records the login, creates a session and sets the auth cookies
+ * Shared by every sign-in method so they all produce the same sessions
+ * @param {Object} user - User document
+ * @param {string} provider - Sign-in method (an OAuth provider name, local or email)
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @returns {Promise<Object>} Created session object
+ */
+export const startUserSession = async (user, provider, req, res) => {
+    // Update login info for both new and existing users
+    await user.updateLoginInfo();
+
+    // Session management
+    await performSessionCleanup(user._id);
+
+    // Generate new tokens for a new refresh token family
+    const familyId = crypto.randomUUID();
+    const { accessToken, refreshToken } = generateTokens(user._id, { familyId });
+
+    // Create new session
+    const deviceInfo = extractDeviceInfo(req);
+    const session = await createUserSession(user._id, accessToken, refreshToken, provider, deviceInfo, familyId);
+
+    // Older sessions over the limit were just deactivated - recount active ones
+    await SessionService.syncLoginCount(user._id);
+
+    // Set secure cookies
+    setSecureCookies(res, accessToken, refreshToken);
+
+    return session;
+};
+
+/**
+ * Holds a sign-in that passed the first factor until the two-factor code is verified
+ * No session or auth cookies exist until then
+ * @param {Response} res - Express response object
+ * @param {string} userId - User signing in
+ * @param {string} provider - Sign-in method the session will be created for
+ * @param {string} [returnTo] - Client path to return to after sign-in
+ */
+export const setTwoFactorPendingCookie = (res, userId, provider, returnTo) => {
+    res.cookie(TWO_FACTOR_COOKIE.NAME, generateTwoFactorPendingToken(userId, provider, returnTo), {
+        ...COOKIE_CONFIG,
+        maxAge: TWO_FACTOR_COOKIE.MAX_AGE_MS
+    });
+};
+
+/**
+ * Reads the pending two-factor sign-in
+ * @param {Request} req - Express request object
+ * @returns {Object|null} { userId, provider, returnTo } or null when missing or expired
+ */
+export const readTwoFactorPending = (req) => {
+    const pendingToken = req.cookies?.[TWO_FACTOR_COOKIE.NAME];
+    if (!pendingToken) {
+        return null;
+    }
+
+    try {
+        const decoded = verifyTwoFactorPendingToken(pendingToken);
+        return {
+            userId: decoded._id,
+            provider: decoded.provider,
+            returnTo: sanitizeReturnTo(decoded.returnTo)
+        };
+    } catch (error) {
+        console.error('Two-factor sign-in token rejected:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Clears the pending two-factor sign-in cookie
+ * @param {Response} res - Express response object
+ */
+export const clearTwoFactorPendingCookie = (res) => {
+    res.clearCookie(TWO_FACTOR_COOKIE.NAME, COOKIE_CONFIG);
+};
+
+/**
+ * Remembers that the signed-in user is linking a provider, for the OAuth callback
+ * @param {Response} res - Express response object
+ * @param {string} userId - User the provider will be linked to
+ * @param {string} provider - OAuth provider name
+ */
+export const setLinkCookie = (res, userId, provider) => {
+    res.cookie(LINK_COOKIE.NAME, generateLinkToken(userId, provider), {
+        ...COOKIE_CONFIG,
+        maxAge: LINK_COOKIE.MAX_AGE_MS
+    });
+};
+
+/**
+ * Reads and clears the account linking cookie
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {string} provider - Provider the callback is for
+ * @returns {Object|null} Link intent { userId } or { error }, null for a normal sign-in
+ */
+const consumeLinkIntent = (req, res, provider) => {
+    const linkToken = req.cookies?.[LINK_COOKIE.NAME];
+    if (!linkToken) {
+        return null;
+    }
+
+    res.clearCookie(LINK_COOKIE.NAME, COOKIE_CONFIG);
+
+    try {
+        const decoded = verifyLinkToken(linkToken);
+        if (decoded.provider !== provider) {
+            return { error: 'link_failed' };
+        }
+        return { userId: decoded._id };
+    } catch (error) {
+        console.error('Account link token rejected:', error.message);
+        return { error: 'link_expired' };
+    }
+};
+
+/**
+ * Handles redirect after linking a provider
+ * @param {Response} res - Express response object
+ * @param {string} provider - OAuth provider name
+ * @param {string} [errorType] - Type of error that occurred, if any
+ */
+const handleLinkRedirect = (res, provider, errorType) => {
+    const result = errorType ? `error=${errorType}` : 'link=success';
+    res.redirect(`${CLIENT_URL}/dashboard?${result}&provider=${provider}`);
+};
+
+/**
+ * Attaches the provider account to the signed-in user, whatever email the provider returned
+ * @param {Object} params - Link parameters
+ * @param {string} params.userId - User the provider is linked to
+ * @param {string} params.provider - OAuth provider name
+ * @param {string} params.id - Provider-specific user ID
+ * @param {Response} params.res - Express response object
+ * @returns {Promise<void>} Redirects back to the dashboard
+ */
+const linkProviderAccount = async ({ userId, provider, id, res }) => {
+    const providerIdField = `${provider}Id`;
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+        return handleLinkRedirect(res, provider, 'link_failed');
+    }
+
+    if (user[providerIdField] === id) {
+        return handleLinkRedirect(res, provider);
+    }
+
+    if (user[providerIdField]) {
+        return handleLinkRedirect(res, provider, 'provider_already_linked');
+    }
+
+    const owner = await User.exists({ [providerIdField]: id });
+    if (owner) {
+        return handleLinkRedirect(res, provider, 'provider_in_use');
+    }
+
+    user[providerIdField] = id;
+
+    try {
+        await user.save();
+    } catch (error) {
+        // Duplicate key - the provider account was linked elsewhere meanwhile
+        if (error.code === 11000) {
+            return handleLinkRedirect(res, provider, 'provider_in_use');
+        }
+        throw error;
+    }
+
+    console.log(`${provider} account linked to user:`, user._id);
+    handleLinkRedirect(res, provider);
+};
+
 /**
  * Handles redirect after successful login
  * @param {Response} res - Express response object
  * @param {string} provider - OAuth provider name
+ * @param {string} returnTo - Client path the user started on
  */
-const handleSuccessRedirect = (res, provider) => {
-    const redirectUrl = `${CLIENT_URL}/dashboard?login=success&provider=${provider}`;
-    res.redirect(redirectUrl);
+const handleSuccessRedirect = (res, provider, returnTo) => {
+    const redirectUrl = new URL(sanitizeReturnTo(returnTo), CLIENT_URL);
+    redirectUrl.searchParams.set('login', 'success');
+    redirectUrl.searchParams.set('provider', provider);
+    res.redirect(redirectUrl.toString());
+};
+
+/**
+ * Sends the user to the client page asking for the two-factor code
+ * @param {Response} res - Express response object
+ * @param {string} provider - OAuth provider name
+ */
+const handleTwoFactorRedirect = (res, provider) => {
+    const redirectUrl = new URL('/login/2fa', CLIENT_URL);
+    redirectUrl.searchParams.set('provider', provider);
+    res.redirect(redirectUrl.toString());
 };
 
 /**
@@ -197,29 +437,52 @@ const handleErrorRedirect = (res, errorType = 'login_failed', provider) => {
 // =============================================================================
 
 /**
- * Handles user login or creation from OAuth providers
+ * Handles user login or creation from OAuth providers and email sign-in links
  * @param {Object} params - Authentication parameters
- * @param {string} params.provider - OAuth provider name (google, github, linkedin)
- * @param {string} params.id - Provider-specific user ID
+ * @param {string} params.provider - OAuth provider name or email
+ * @param {string} params.id - Provider-specific user ID (the address for email)
  * @param {string} params.email - User email address
+ * @param {boolean} params.emailVerified - Whether the provider confirmed the address
  * @param {string} params.name - User display name
  * @param {string} params.avatar - User avatar URL
+ * @param {string} [params.returnTo] - Validated client path to return to after login
  * @param {Request} params.req - Express request object
  * @param {Response} params.res - Express response object
  * @returns {Promise<void>} Redirects user to appropriate page
  */
-export const loginOrCreateUser = async ({ provider, id, email, name, avatar, req, res }) => {
+export const loginOrCreateUser = async ({ provider, id, email, emailVerified, name, avatar, returnTo, req, res }) => {
     try {
+        // Linking a provider to the signed-in account instead of signing in - needs no email
+        const linkIntent = provider === EMAIL_PROVIDER ? null : consumeLinkIntent(req, res, provider);
+        if (linkIntent?.error || (linkIntent && !id)) {
+            return handleLinkRedirect(res, provider, linkIntent.error || 'link_failed');
+        }
+        if (linkIntent) {
+            return await linkProviderAccount({ userId: linkIntent.userId, provider, id, res });
+        }
+
+        // An unverified address could belong to someone else - it must not sign into or claim their account
+        if (emailVerified !== true) {
+            console.error(`${provider} sign-in refused: email address not verified`, { providerId: id });
+            return handleErrorRedirect(res, 'email_not_verified', provider);
+        }
+
         // Input validation
         if (!provider || !id || !email) {
             console.error('Missing required parameters:', { provider, id, email: !!email });
             return handleErrorRedirect(res, 'invalid_input', provider);
         }
 
-        console.log(`Starting ${provider} OAuth flow for user:`, { id, email, name });
+        console.log(`Starting ${provider} sign-in for provider account:`, id);
 
         // Step 1: Find or create user
         let user = await findExistingUser(provider, id, email);
+
+        // Checked before anything is written - deactivated accounts cannot sign in by any method
+        if (user && !user.isActive) {
+            console.error(`${provider} sign-in refused for deactivated user:`, user._id);
+            return handleErrorRedirect(res, 'account_deactivated', provider);
+        }
         
         if (!user) {
             console.log('Creating new user for', provider);
@@ -229,25 +492,20 @@ export const loginOrCreateUser = async ({ provider, id, email, name, avatar, req
             user = await updateUserProviderData(user, provider, id);
         }
         
-        // Update login info for both new and existing users
-        await user.updateLoginInfo();
-
-        // Step 2: Session management
-        await performSessionCleanup(user._id);
-
-        // Step 3: Generate new tokens
-        const { accessToken, refreshToken } = generateTokens(user._id);
-
-        // Step 4: Create new session
-        const deviceInfo = extractDeviceInfo(req);
-        await createUserSession(user._id, accessToken, refreshToken, provider, deviceInfo);
+        // Step 2: With two-factor authentication the sign-in waits for the code -
+        // the session is created by the verification endpoint
+        if (user.twoFactor?.enabled) {
+            console.log(`${provider} sign-in waiting for two-factor code for user:`, user._id);
+            setTwoFactorPendingCookie(res, user._id, provider, returnTo);
+            return handleTwoFactorRedirect(res, provider);
+        }
 
-        // Step 5: Set secure cookies
-        setSecureCookies(res, accessToken, refreshToken);
+        // Steps 3-5: Session, tokens and cookies
+        await startUserSession(user, provider, req, res);
 
         // Step 6: Success redirect
         console.log(`${provider} OAuth successful for user:`, user._id);
-        handleSuccessRedirect(res, provider);
+        handleSuccessRedirect(res, provider, returnTo);
 
     } catch (error) {
         // Comprehensive error logging
@@ -255,14 +513,14 @@ export const loginOrCreateUser = async ({ provider, id, email, name, avatar, req
             message: error.message,
             stack: error.stack,
             provider,
-            email,
+            providerId: id,
             userId: error.userId || 'unknown'
         });
 
         // Handle specific error types
         if (error.code === 11000) {
             // Duplicate key error (email already exists)
-            console.error('Duplicate email detected:', email);
+            console.error(`Duplicate email detected for ${provider} account:`, id);
             return handleErrorRedirect(res, 'email_exists', provider);
         }
 
@@ -1,11 +1,11 @@
 import Session from "../models/Session.model.js";
-import User from "../models/User.model.js";
-import jwt from "jsonwebtoken";
+import SessionService from "../services/sessionService.js";
+import { verifyAccessToken, hashSessionToken } from "../utils/Token.js";
 
 /**
  * Helper function to clear authentication cookies
  */
-const clearAuthCookies = (res) => {
+export const clearAuthCookies = (res) => {
     const cookieOptions = {
         httpOnly: true,
         secure: process.env.NODE_ENV === "production",
@@ -21,7 +21,7 @@ const clearAuthCookies = (res) => {
  */
 const getUserIdFromToken = (accessToken) => {
     try {
-        const decoded = jwt.verify(accessToken, process.env.ACCESS_TOKEN_SECRET);
+        const decoded = verifyAccessToken(accessToken);
         return decoded._id;
     } catch (error) {
         console.log('Token verification failed:', error.message);
@@ -30,50 +30,24 @@ const getUserIdFromToken = (accessToken) => {
 };
 
 /**
- * Helper function to delete session and update user login count
+ * Helper function to end a session and update user login count
+ * The session is kept until it expires - its token history is what refresh reuse detection checks
  */
-const deleteSessionAndUpdateCount = async (refreshToken, userId) => {
+const endSessionAndUpdateCount = async (refreshToken) => {
     try {
-        const deleteResult = await Session.deleteOne({ 
-            refreshToken,
-            isActive: true 
-        });
+        const endedSession = await Session.findOneAndUpdate(
+            { refreshTokenHash: hashSessionToken(refreshToken), isActive: true },
+            { isActive: false, loggedOutAt: new Date() }
+        );
         
-        if (deleteResult.deletedCount > 0 && userId) {
-            // Decrease login count when session is deleted
-            const user = await User.findById(userId);
-            if (user) {
-                await user.decrementLoginCount();
-            }
+        if (endedSession) {
+            // Recount from the session itself - the access token may already have expired
+            await SessionService.syncLoginCount(endedSession.userId);
         }
         
-        return deleteResult.deletedCount;
+        return endedSession ? 1 : 0;
     } catch (error) {
-        console.error('Error deleting session:', error.message);
-        return 0;
-    }
-};
-
-/**
- * Helper function to cleanup expired sessions
- */
-const cleanupExpiredSessions = async (userId) => {
-    try {
-        const cleanupResult = await Session.deleteMany({
-            userId,
-            $or: [
-                { expiresAt: { $lt: new Date() } },
-                { isActive: false }
-            ]
-        });
-        
-        if (cleanupResult.deletedCount > 0) {
-            console.log(`Cleaned up ${cleanupResult.deletedCount} expired sessions`);
-        }
-        
-        return cleanupResult.deletedCount;
-    } catch (error) {
-        console.error('Error during session cleanup:', error.message);
+        console.error('Error ending session:', error.message);
         return 0;
     }
 };
@@ -85,23 +59,16 @@ export const logout = async ( req, res ) => {
         // Clear cookies first
         clearAuthCookies(res);
 
-        let deletedSessions = 0;
-        const userId = getUserIdFromToken(accessToken);
+        let endedSessions = 0;
 
-        // Delete specific session if refresh token exists
+        // End the specific session if refresh token exists - the TTL index removes it once expired
         if ( refreshToken ) {
-            deletedSessions = await deleteSessionAndUpdateCount(refreshToken, userId);
-        }
-
-        // Clean up expired sessions for this user
-        if (userId) {
-            await cleanupExpiredSessions(userId);
+            endedSessions = await endSessionAndUpdateCount(refreshToken);
         }
 
         res.status( 200 ).json( { 
             message: "Logged out successfully",
-            sessionsDeleted: deletedSessions,
-            cleanupPerformed: Boolean(userId)
+            sessionsEnded: endedSessions
         } );
         
     } catch (error) {
@@ -110,7 +77,7 @@ export const logout = async ( req, res ) => {
         
         res.status( 200 ).json( { 
             message: "Logged out (with cleanup errors)",
-            error: "Some sessions could not be deleted, but cookies cleared"
+            error: "Some sessions could not be ended, but cookies cleared"
         } );
     }
 };
@@ -123,7 +90,7 @@ export const logoutAllDevices = async ( req, res ) => {
         // Get user ID from current session or token
         if (refreshToken) {
             try {
-                const session = await Session.findOne({ refreshToken });
+                const session = await Session.findOne({ refreshTokenHash: hashSessionToken(refreshToken) });
                 userId = session?.userId;
             } catch (error) {
                 console.log('Error finding session:', error.message);
@@ -137,28 +104,20 @@ export const logoutAllDevices = async ( req, res ) => {
         // Clear cookies
         clearAuthCookies(res);
 
-        let deletedCount = 0;
+        let endedCount = 0;
         if (userId) {
             try {
-                const result = await Session.deleteMany({ userId });
-                deletedCount = result.deletedCount;
-                
-                // Reset login count to 0 when logging out from all devices
-                if (deletedCount > 0) {
-                    const user = await User.findById(userId);
-                    if (user) {
-                        user.loginCount = 0;
-                        await user.save();
-                    }
-                }
+                // Revoked sessions stay until they expire and the login count is reset
+                const result = await SessionService.revokeAllSessions(userId);
+                endedCount = result.revokedSessions;
             } catch (error) {
-                console.error('Error deleting all sessions:', error.message);
+                console.error('Error ending all sessions:', error.message);
             }
         }
 
         res.status( 200 ).json( { 
             message: "Logged out from all devices",
-            sessionsDeleted: deletedCount
+            sessionsEnded: endedCount
         } );
 
     } catch (error) {
@@ -0,0 +1,410 @@
+import axios from "axios";
+
+// =============================================================================
+// PROVIDER REGISTRY CONFIGURATION
+// =============================================================================
+
+// Every provider is configured through <NAME>_* environment variables:
+//   <NAME>_CLIENT_ID, <NAME>_CLIENT_SECRET, <NAME>_REDIRECT_URI   required
+//   <NAME>_ISSUER        OpenID Connect issuer - endpoints not set below are discovered from it
+//   <NAME>_AUTH_URL, <NAME>_TOKEN_URL, <NAME>_USERINFO_URL         endpoint overrides, e.g. a mock server
+//   <NAME>_EMAILS_URL    address list endpoint override, for providers that have one (GitHub)
+//   <NAME>_SCOPES, <NAME>_PKCE, <NAME>_LABEL, <NAME>_TOKEN_AUTH_METHOD
+// OAUTH_PROVIDERS lists the enabled providers; unset, it is every built-in provider with a client ID
+const REGISTRY_CONFIG = {
+    ENABLED: process.env.OAUTH_PROVIDERS,
+    DEFAULT_OIDC_SCOPES: ['openid', 'profile', 'email'],
+    DISCOVERY_PATH: '/.well-known/openid-configuration',
+    DISCOVERY_TTL_MS: 60 * 60 * 1000,
+    HTTP_TIMEOUT_MS: 10 * 1000
+};
+
+// Provider names become URL segments and the "<name>Id" field on User
+const PROVIDER_NAME_PATTERN = /^[a-z][a-z0-9]*$/;
+
+// Names already taken by other sign-in methods or /auth routes
+const RESERVED_PROVIDER_NAMES = ['local', 'email', 'providers', 'link'];
+
+const TOKEN_AUTH_METHODS = ['client_secret_post', 'client_secret_basic'];
+
+// =============================================================================
+// PROFILE MAPPERS
+// =============================================================================
+
+// A mapper turns the provider's user info response - and its address list, for providers with an
+// emailsUrl - into { id, email, emailVerified, name, avatar }.
+// emailVerified is true only when the provider vouches for the address - a missing claim counts as unverified
+
+/**
+ * Maps standard OpenID Connect claims
+ * @param {Object} claims - UserInfo response
+ * @returns {Object} Normalized profile
+ */
+const mapOidcProfile = (claims) => ({
+    id: claims.sub,
+    email: claims.email,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name
+        || [claims.given_name, claims.family_name].filter(Boolean).join(' ')
+        || claims.preferred_username
+        || claims.email?.split('@')[0],
+    avatar: claims.picture
+});
+
+// =============================================================================
+// BUILT-IN PROVIDERS
+// =============================================================================
+
+const BUILT_IN_PROVIDERS = {
+    google: {
+        label: 'Google',
+        authUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+        tokenUrl: 'https://oauth2.googleapis.com/token',
+        userInfoUrl: 'https://www.googleapis.com/oauth2/v1/userinfo',
+        scopes: ['email', 'profile'],
+        pkce: true,
+        authParams: { access_type: 'offline' },
+        mapProfile: (profile) => ({
+            id: profile.id,
+            email: profile.email,
+            emailVerified: profile.verified_email === true,
+            name: profile.name,
+            avatar: profile.picture
+        })
+    },
+    github: {
+        label: 'GitHub',
+        authUrl: 'https://github.com/login/oauth/authorize',
+        tokenUrl: 'https://github.com/login/oauth/access_token',
+        userInfoUrl: 'https://api.github.com/user',
+        // The user info has only the public address, without its verification status
+        emailsUrl: 'https://api.github.com/user/emails',
+        scopes: ['user:email'],
+        pkce: true,
+        mapProfile: (profile, emails) => {
+            const primary = Array.isArray(emails) ? emails.find(entry => entry.primary && entry.verified) : null;
+
+            return {
+                id: profile.id?.toString(), // Numeric on GitHub
+                email: primary?.email,
+                emailVerified: Boolean(primary),
+                name: profile.name || profile.login,
+                avatar: profile.avatar_url
+            };
+        }
+    },
+    // Sign In with LinkedIn using OpenID Connect - the r_liteprofile/r_emailaddress API is retired
+    linkedin: {
+        label: 'LinkedIn',
+        issuer: 'https://www.linkedin.com/oauth',
+        authUrl: 'https://www.linkedin.com/oauth/v2/authorization',
+        tokenUrl: 'https://www.linkedin.com/oauth/v2/accessToken',
+        userInfoUrl: 'https://api.linkedin.com/v2/userinfo',
+        scopes: ['openid', 'profile', 'email'],
+        pkce: false, // Only available to LinkedIn native apps
+        mapProfile: mapOidcProfile
+    }
+};
+
+// =============================================================================
+// CONFIGURATION LOADING
+// =============================================================================
+
+/**
+ * Reads one setting of a provider from the environment
+ * @param {string} name - Provider name
+ * @param {string} key - Setting name, e.g. CLIENT_ID
+ * @returns {string|undefined} Value
+ */
+const providerEnv = (name, key) => process.env[`${name.toUpperCase()}_${key}`] || undefined;
+
+/**
+ * Parses a scope list separated by spaces or commas
+ * @param {string} value - Scope list
+ * @returns {string[]} Scopes
+ */
+const parseScopes = (value) => value.split(/[\s,]+/).filter(Boolean);
+
+/**
+ * Names of the enabled providers
+ * @returns {string[]} Provider names in configuration order
+ */
+const enabledProviderNames = () => {
+    if (REGISTRY_CONFIG.ENABLED !== undefined) {
+        return [...new Set(REGISTRY_CONFIG.ENABLED.split(',').map(name => name.trim().toLowerCase()).filter(Boolean))];
+    }
+    return Object.keys(BUILT_IN_PROVIDERS).filter(name => providerEnv(name, 'CLIENT_ID'));
+};
+
+/**
+ * Builds the configuration of one provider from its built-in definition and the environment
+ * @param {string} name - Provider name
+ * @returns {Object} { provider } or { error }
+ */
+const loadProvider = (name) => {
+    if (!PROVIDER_NAME_PATTERN.test(name) || RESERVED_PROVIDER_NAMES.includes(name)) {
+        return { error: `"${name}" cannot be used as an OAuth provider name` };
+    }
+
+    const builtIn = BUILT_IN_PROVIDERS[name];
+    const issuer = providerEnv(name, 'ISSUER');
+
+    // A configured issuer means discovery - the built-in endpoints belong to the real provider
+    const defaults = issuer ? {} : (builtIn || {});
+
+    const provider = {
+        name,
+        label: providerEnv(name, 'LABEL') || builtIn?.label || name.charAt(0).toUpperCase() + name.slice(1),
+        clientId: providerEnv(name, 'CLIENT_ID'),
+        clientSecret: providerEnv(name, 'CLIENT_SECRET'),
+        redirectUri: providerEnv(name, 'REDIRECT_URI'),
+        issuer: issuer || builtIn?.issuer,
+        discover: Boolean(issuer) || !builtIn,
+        authUrl: providerEnv(name, 'AUTH_URL') || defaults.authUrl,
+        tokenUrl: providerEnv(name, 'TOKEN_URL') || defaults.tokenUrl,
+        userInfoUrl: providerEnv(name, 'USERINFO_URL') || defaults.userInfoUrl,
+        emailsUrl: providerEnv(name, 'EMAILS_URL') || defaults.emailsUrl,
+        tokenAuthMethod: providerEnv(name, 'TOKEN_AUTH_METHOD'),
+        scopes: providerEnv(name, 'SCOPES') ? parseScopes(providerEnv(name, 'SCOPES')) : (builtIn?.scopes || REGISTRY_CONFIG.DEFAULT_OIDC_SCOPES),
+        pkce: providerEnv(name, 'PKCE') ? providerEnv(name, 'PKCE') === 'true' : (builtIn?.pkce ?? true),
+        authParams: builtIn?.authParams || {},
+        // Discovered endpoints serve standard claims, whatever the built-in API looked like
+        mapProfile: (!issuer && builtIn?.mapProfile) || mapOidcProfile
+    };
+
+    const missing = ['CLIENT_ID', 'CLIENT_SECRET', 'REDIRECT_URI'].filter(key => !providerEnv(name, key));
+    if (missing.length > 0) {
+        return { error: `${name}: missing ${missing.map(key => `${name.toUpperCase()}_${key}`).join(', ')}` };
+    }
+
+    const hasAllEndpoints = provider.authUrl && provider.tokenUrl && provider.userInfoUrl;
+    if (!hasAllEndpoints && !(provider.discover && provider.issuer)) {
+        return { error: `${name}: set ${name.toUpperCase()}_ISSUER for OpenID Connect discovery, or the AUTH_URL, TOKEN_URL and USERINFO_URL endpoints` };
+    }
+
+    if (provider.tokenAuthMethod && !TOKEN_AUTH_METHODS.includes(provider.tokenAuthMethod)) {
+        return { error: `${name}: ${name.toUpperCase()}_TOKEN_AUTH_METHOD must be one of: ${TOKEN_AUTH_METHODS.join(', ')}` };
+    }
+
+    for (const key of ['redirectUri', 'issuer', 'authUrl', 'tokenUrl', 'userInfoUrl', 'emailsUrl']) {
+        if (provider[key]) {
+            try {
+                new URL(provider[key]);
+            } catch {
+                return { error: `${name}: invalid URL for ${key}: ${provider[key]}` };
+            }
+        }
+    }
+
+    return { provider };
+};
+
+// Loaded once - configuration comes from the environment at startup
+const providers = new Map();
+const configErrors = [];
+
+for (const name of enabledProviderNames()) {
+    const { provider, error } = loadProvider(name);
+    if (error) {
+        configErrors.push(error);
+    } else {
+        providers.set(name, provider);
+    }
+}
+
+// issuer -> { document, fetchedAt }
+const discoveryCache = new Map();
+
+// =============================================================================
+// OPENID CONNECT DISCOVERY
+// =============================================================================
+
+/**
+ * Fetches the OpenID Connect discovery document of an issuer, cached for an hour
+ * @param {string} issuer - Issuer URL
+ * @returns {Promise<Object>} Discovery document
+ */
+const discoverIssuer = async (issuer) => {
+    const cached = discoveryCache.get(issuer);
+    if (cached && Date.now() - cached.fetchedAt < REGISTRY_CONFIG.DISCOVERY_TTL_MS) {
+        return cached.document;
+    }
+
+    const normalizedIssuer = issuer.replace(/\/+$/, '');
+    const { data: document } = await axios.get(`${normalizedIssuer}${REGISTRY_CONFIG.DISCOVERY_PATH}`, {
+        timeout: REGISTRY_CONFIG.HTTP_TIMEOUT_MS,
+        headers: { Accept: 'application/json' }
+    });
+
+    // The document must be about the issuer we asked for (OpenID Connect Discovery, section 4.3)
+    if (typeof document?.issuer !== 'string' || document.issuer.replace(/\/+$/, '') !== normalizedIssuer) {
+        throw new Error(`OpenID configuration of ${issuer} names a different issuer`);
+    }
+
+    discoveryCache.set(issuer, { document, fetchedAt: Date.now() });
+    return document;
+};
+
+/**
+ * Endpoints of a provider, discovered when not configured
+ * @param {Object} provider - Provider configuration
+ * @returns {Promise<Object>} authUrl, tokenUrl, userInfoUrl and tokenAuthMethod
+ */
+const resolveEndpoints = async (provider) => {
+    let { authUrl, tokenUrl, userInfoUrl, tokenAuthMethod } = provider;
+
+    if (provider.discover && (!authUrl || !tokenUrl || !userInfoUrl || !tokenAuthMethod)) {
+        const document = await discoverIssuer(provider.issuer);
+
+        authUrl ||= document.authorization_endpoint;
+        tokenUrl ||= document.token_endpoint;
+        userInfoUrl ||= document.userinfo_endpoint;
+
+        // client_secret_basic is the spec default when the provider lists nothing
+        const supported = document.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+        tokenAuthMethod ||= supported.includes('client_secret_post') ? 'client_secret_post' : 'client_secret_basic';
+    }
+
+    if (!authUrl || !tokenUrl || !userInfoUrl) {
+        throw new Error(`${provider.name}: OpenID configuration lacks the authorization, token or userinfo endpoint`);
+    }
+
+    return { authUrl, tokenUrl, userInfoUrl, tokenAuthMethod: tokenAuthMethod || 'client_secret_post' };
+};
+
+// =============================================================================
+// REGISTRY ACCESS
+// =============================================================================
+
+/**
+ * Throws when an enabled provider is misconfigured - run at startup with the other environment checks
+ */
+export const validateOAuthProviders = () => {
+    if (configErrors.length > 0) {
+        throw new Error(`Invalid OAuth provider configuration: ${configErrors.join('; ')}`);
+    }
+};
+
+/**
+ * Names of the enabled providers
+ * @returns {string[]} Provider names
+ */
+export const getEnabledProviderNames = () => [...providers.keys()];
+
+/**
+ * Names of every provider that can have accounts: the built-in ones and the enabled ones
+ * User gets a "<name>Id" field for each, so disabling a provider keeps its data readable
+ * @returns {string[]} Provider names
+ */
+export const getKnownProviderNames = () => [...new Set([...Object.keys(BUILT_IN_PROVIDERS), ...providers.keys()])];
+
+/**
+ * Whether a provider is enabled
+ * @param {string} name - Provider name
+ * @returns {boolean} True if enabled
+ */
+export const isProviderEnabled = (name) => providers.has(name);
+
+/**
+ * Configuration of an enabled provider
+ * @param {string} name - Provider name
+ * @returns {Object|null} Provider configuration or null if not enabled
+ */
+export const getOAuthProvider = (name) => providers.get(name) || null;
+
+/**
+ * Enabled providers as shown on the sign-in page
+ * @returns {Object[]} { name, label } per provider
+ */
+export const listOAuthProviders = () => [...providers.values()].map(({ name, label }) => ({ name, label }));
+
+// =============================================================================
+// AUTHORIZATION CODE FLOW
+// =============================================================================
+
+/**
+ * Builds the URL the browser is sent to for signing in with the provider
+ * @param {Object} provider - Provider configuration
+ * @param {Object} stateParams - state and PKCE parameters from createOAuthState
+ * @returns {Promise<string>} Authorization URL
+ */
+export const buildAuthorizationUrl = async (provider, stateParams) => {
+    const { authUrl } = await resolveEndpoints(provider);
+
+    const url = new URL(authUrl);
+    const params = {
+        ...provider.authParams,
+        ...stateParams,
+        response_type: 'code',
+        client_id: provider.clientId,
+        redirect_uri: provider.redirectUri,
+        scope: provider.scopes.join(' ')
+    };
+
+    for (const [key, value] of Object.entries(params)) {
+        url.searchParams.set(key, value);
+    }
+
+    return url.toString();
+};
+
+/**
+ * Exchanges the authorization code and fetches the signed-in user's profile
+ * The profile comes from the userinfo endpoint over TLS with the fresh access token,
+ * so the ID token is not needed to establish who signed in
+ * @param {Object} provider - Provider configuration
+ * @param {string} code - Authorization code from the callback
+ * @param {string} [codeVerifier] - PKCE code verifier
+ * @returns {Promise<Object>} Normalized profile { id, email, emailVerified, name, avatar }
+ */
+export const fetchProviderProfile = async (provider, code, codeVerifier) => {
+    const { tokenUrl, userInfoUrl, tokenAuthMethod } = await resolveEndpoints(provider);
+
+    const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: provider.redirectUri
+    });
+    if (codeVerifier) {
+        body.set('code_verifier', codeVerifier);
+    }
+
+    const headers = {
+        Accept: 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+    };
+
+    if (tokenAuthMethod === 'client_secret_basic') {
+        const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+        body.set('client_id', provider.clientId);
+        body.set('client_secret', provider.clientSecret);
+    }
+
+    const tokenResponse = await axios.post(tokenUrl, body.toString(), {
+        headers,
+        timeout: REGISTRY_CONFIG.HTTP_TIMEOUT_MS
+    });
+
+    // GitHub reports failures with status 200 and an error field
+    const { access_token: accessToken, error } = tokenResponse.data || {};
+    if (!accessToken) {
+        throw new Error(`${provider.name} token exchange failed: ${error || 'no access token returned'}`);
+    }
+
+    const requestOptions = {
+        headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' },
+        timeout: REGISTRY_CONFIG.HTTP_TIMEOUT_MS
+    };
+
+    const profileResponse = await axios.get(userInfoUrl, requestOptions);
+    const emailsResponse = provider.emailsUrl ? await axios.get(provider.emailsUrl, requestOptions) : null;
+
+    const profile = provider.mapProfile(profileResponse.data || {}, emailsResponse?.data);
+    if (!profile.id) {
+        throw new Error(`${provider.name} profile has no user ID`);
+    }
+
+    return { ...profile, id: String(profile.id) };
+};
@@ -0,0 +1,159 @@
+import crypto from "crypto";
+import { generateOAuthStateToken, verifyOAuthStateToken } from "../utils/Token.js";
+import { COOKIE_CONFIG } from "./LoginOrCreateUser.js";
+
+// =============================================================================
+// CONSTANTS AND CONFIGURATION
+// =============================================================================
+
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:3000";
+
+const OAUTH_STATE_CONFIG = {
+    COOKIE_PREFIX: "oauthState_", // One cookie per provider so parallel sign-ins don't clobber each other
+    MAX_AGE_MS: 10 * 60 * 1000,
+    STATE_BYTES: 32,
+    PKCE_VERIFIER_BYTES: 32,
+    DEFAULT_RETURN_TO: "/dashboard",
+    MAX_RETURN_TO_LENGTH: 512
+};
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Random URL-safe string
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} Base64url encoded value
+ */
+const randomToken = (bytes) => crypto.randomBytes(bytes).toString("base64url");
+
+/**
+ * Derives the S256 PKCE code challenge for a verifier
+ * @param {string} codeVerifier - PKCE code verifier
+ * @returns {string} Base64url SHA-256 digest
+ */
+const createCodeChallenge = (codeVerifier) => crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if both are equal
+ */
+const safeEqual = (a, b) => {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Cookie name for a provider's pending OAuth state
+ * @param {string} provider - OAuth provider name
+ * @returns {string} Cookie name
+ */
+const stateCookieName = (provider) => `${OAUTH_STATE_CONFIG.COOKIE_PREFIX}${provider}`;
+
+/**
+ * Validates a post-login return path - only paths on the client app are allowed
+ * @param {string} returnTo - Requested return path
+ * @returns {string} Safe path, or the dashboard when the input is not acceptable
+ */
+export const sanitizeReturnTo = (returnTo) => {
+    if (typeof returnTo !== "string" || returnTo.length > OAUTH_STATE_CONFIG.MAX_RETURN_TO_LENGTH) {
+        return OAUTH_STATE_CONFIG.DEFAULT_RETURN_TO;
+    }
+
+    // A single leading slash - "//host" and "/\host" are protocol-relative URLs to other sites
+    if (!/^\/(?![/\\])/.test(returnTo) || /[\u0000-\u001f\\]/.test(returnTo)) {
+        return OAUTH_STATE_CONFIG.DEFAULT_RETURN_TO;
+    }
+
+    try {
+        const clientUrl = new URL(CLIENT_URL);
+        const resolved = new URL(returnTo, clientUrl);
+        if (resolved.origin !== clientUrl.origin) {
+            return OAUTH_STATE_CONFIG.DEFAULT_RETURN_TO;
+        }
+        return `${resolved.pathname}${resolved.search}${resolved.hash}`;
+    } catch {
+        return OAUTH_STATE_CONFIG.DEFAULT_RETURN_TO;
+    }
+};
+
+// =============================================================================
+// MAIN STATE FUNCTIONS
+// =============================================================================
+
+/**
+ * Starts an OAuth authorization: creates the state (and PKCE verifier) and stores them
+ * signed in a short-lived httpOnly cookie
+ * @param {Request} req - Express request object, may carry a ?returnTo= path
+ * @param {Response} res - Express response object
+ * @param {string} provider - OAuth provider name
+ * @param {Object} options - Authorization options
+ * @param {boolean} options.pkce - Whether the provider supports PKCE
+ * @returns {Object} Authorization URL parameters: state, plus code_challenge when using PKCE
+ */
+export const createOAuthState = (req, res, provider, { pkce = false } = {}) => {
+    const state = randomToken(OAUTH_STATE_CONFIG.STATE_BYTES);
+    const codeVerifier = pkce ? randomToken(OAUTH_STATE_CONFIG.PKCE_VERIFIER_BYTES) : undefined;
+
+    const stateToken = generateOAuthStateToken({
+        provider,
+        state,
+        codeVerifier,
+        returnTo: sanitizeReturnTo(req.query?.returnTo)
+    });
+
+    res.cookie(stateCookieName(provider), stateToken, {
+        ...COOKIE_CONFIG,
+        maxAge: OAUTH_STATE_CONFIG.MAX_AGE_MS
+    });
+
+    return {
+        state,
+        ...(pkce && {
+            code_challenge: createCodeChallenge(codeVerifier),
+            code_challenge_method: "S256"
+        })
+    };
+};
+
+/**
+ * Checks the state returned to an OAuth callback against the cookie, which is cleared
+ * so the state can only be used once
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {string} provider - OAuth provider name
+ * @returns {Object|null} { codeVerifier, returnTo } or null if the state is missing or wrong
+ */
+export const verifyOAuthState = (req, res, provider) => {
+    const cookieName = stateCookieName(provider);
+    const stateToken = req.cookies?.[cookieName];
+    const { state } = req.query;
+
+    res.clearCookie(cookieName, COOKIE_CONFIG);
+
+    if (!stateToken || !state) {
+        console.error(`${provider} OAuth: missing state`, { cookie: Boolean(stateToken), query: Boolean(state) });
+        return null;
+    }
+
+    try {
+        const decoded = verifyOAuthStateToken(stateToken);
+
+        if (decoded.provider !== provider || !safeEqual(decoded.state, state)) {
+            console.error(`${provider} OAuth: state mismatch`);
+            return null;
+        }
+
+        return {
+            codeVerifier: decoded.codeVerifier,
+            returnTo: sanitizeReturnTo(decoded.returnTo)
+        };
+    } catch (error) {
+        console.error(`${provider} OAuth: state rejected:`, error.message);
+        return null;
+    }
+};
@@ -0,0 +1,191 @@
+import crypto from "crypto";
+import Session from "../models/Session.model.js";
+import User from "../models/User.model.js";
+import SessionService from "../services/sessionService.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { generateTokens, verifyRefreshToken, getTokenExpiry, hashSessionToken } from "../utils/Token.js";
+import { SESSION_CONFIG, calculateExpiryDate, setSecureCookies } from "./LoginOrCreateUser.js";
+import { clearAuthCookies } from "./LogoutUser.js";
+
+// Tabs refreshing at the same time present the same token - the ones that lose the race
+// still hold the token the winner just replaced
+const REFRESH_CONFIG = {
+    ROTATION_GRACE_MS: 30 * 1000
+};
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Finds the session a refresh token was issued for
+ * Tokens carry their family ID, so a token that has since been rotated still
+ * resolves to its session; tokens issued before families existed are looked up directly
+ * @param {Object} decoded - Verified refresh token payload
+ * @param {string} refreshTokenHash - Hash of the presented refresh token
+ * @returns {Promise<Object|null>} Session document or null if none matches
+ */
+const findTokenSession = async (decoded, refreshTokenHash) => {
+    if (decoded.familyId) {
+        return await Session.findOne({ userId: decoded._id, familyId: decoded.familyId });
+    }
+
+    return await Session.findOne({
+        userId: decoded._id,
+        $or: [{ refreshTokenHash }, { previousRefreshTokenHash: refreshTokenHash }]
+    });
+};
+
+/**
+ * Checks whether a superseded token was replaced moments ago by a concurrent refresh
+ * @param {Object} session - Session the token belongs to
+ * @param {string} refreshTokenHash - Hash of the presented refresh token
+ * @returns {boolean} True within the grace window after its rotation
+ */
+const isRotationRace = (session, refreshTokenHash) => {
+    return session.previousRefreshTokenHash === refreshTokenHash
+        && Boolean(session.lastRotatedAt)
+        && Date.now() - session.lastRotatedAt.getTime() < REFRESH_CONFIG.ROTATION_GRACE_MS;
+};
+
+/**
+ * Answers a refresh that lost the race against a concurrent one from the same browser
+ * The winner's response sets the new cookies for every tab, so nothing is issued here -
+ * and a copied token presented within the window gains nothing either
+ * @param {Response} res - Express response object
+ * @param {Object} session - Session that was refreshed
+ */
+const sendAlreadyRefreshed = (res, session) => {
+    return res.status(200).json(
+        new ApiResponse(200, "Session was already refreshed", {
+            alreadyRefreshed: true,
+            sessionExpiresAt: session.expiresAt
+        })
+    );
+};
+
+/**
+ * Clears auth cookies and builds the error for a refresh that cannot continue
+ * @param {Response} res - Express response object
+ * @param {string} message - Error message
+ * @param {string} reason - Error detail for the client
+ * @returns {ApiError} Error to throw
+ */
+const rejectRefresh = (res, message, reason) => {
+    clearAuthCookies(res);
+    return new ApiError(401, message, { auth: reason });
+};
+
+/**
+ * Revokes the whole family of a refresh token that was presented after rotation
+ * Either the legitimate client or an attacker holds a stolen copy - there is no
+ * way to tell which, so every token of the family stops working
+ * @param {Object} session - Session the reused token belongs to
+ * @param {Request} req - Express request object
+ */
+const handleTokenReuse = async (session, req) => {
+    const { revokedSessions } = await SessionService.revokeSessionFamily(session.userId, session.familyId, session._id);
+
+    console.warn('Refresh token reuse detected, session family revoked:', {
+        userId: session.userId,
+        familyId: session.familyId,
+        revokedSessions,
+        ip: req.ip
+    });
+};
+
+// =============================================================================
+// MAIN REFRESH FUNCTION
+// =============================================================================
+
+/**
+ * Issues a new access/refresh token pair from the refresh token cookie
+ * The refresh token is rotated on every call - only the latest token of a session is accepted
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+export const refreshSession = asyncHandler(async (req, res) => {
+    const presentedToken = req.cookies?.refreshToken;
+
+    if (!presentedToken) {
+        throw new ApiError(401, "Refresh token required", {
+            auth: "No refresh token provided in cookies"
+        });
+    }
+
+    // Step 1: Verify the token itself
+    let decoded;
+    try {
+        decoded = verifyRefreshToken(presentedToken);
+    } catch (error) {
+        throw rejectRefresh(res, error.message, "Refresh token is invalid or expired");
+    }
+
+    // Step 2: Find the session it belongs to
+    const presentedTokenHash = hashSessionToken(presentedToken);
+    const session = await findTokenSession(decoded, presentedTokenHash);
+
+    if (!session || !session.isActive || session.expiresAt <= new Date()) {
+        throw rejectRefresh(res, "Invalid session", "Session has expired or was revoked");
+    }
+
+    // Step 3: A superseded token is either a refresh racing the last rotation or a copy - a copy revokes the family
+    if (session.refreshTokenHash !== presentedTokenHash) {
+        if (isRotationRace(session, presentedTokenHash)) {
+            return sendAlreadyRefreshed(res, session);
+        }
+
+        await handleTokenReuse(session, req);
+        throw rejectRefresh(res, "Refresh token reuse detected", "All sessions using this token were revoked");
+    }
+
+    // Step 4: Check the user can still sign in
+    const user = await User.findById(session.userId).select('isActive');
+
+    if (!user || !user.isActive) {
+        await SessionService.invalidateSession(session.userId, session._id);
+        throw rejectRefresh(res, "Account is deactivated", "User account has been deactivated");
+    }
+
+    // Step 5: Rotate - sessions created before families existed join a new family here
+    const familyId = session.familyId || crypto.randomUUID();
+    const { accessToken, refreshToken } = generateTokens(user._id, { familyId });
+    const now = new Date();
+
+    // Conditional on the presented token so two concurrent refreshes cannot both rotate it
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: presentedTokenHash, isActive: true },
+        {
+            $set: {
+                refreshTokenHash: hashSessionToken(refreshToken),
+                previousRefreshTokenHash: presentedTokenHash,
+                accessTokenHash: hashSessionToken(accessToken),
+                familyId,
+                lastUsed: now,
+                lastRotatedAt: now,
+                expiresAt: calculateExpiryDate(SESSION_CONFIG.REFRESH_TOKEN_EXPIRY_DAYS)
+            },
+            $inc: { rotationCount: 1 }
+        },
+        { new: true }
+    );
+
+    // A concurrent refresh rotated the token since it was read
+    if (!rotated) {
+        return sendAlreadyRefreshed(res, session);
+    }
+
+    // Step 6: Set the new cookies
+    setSecureCookies(res, accessToken, refreshToken);
+
+    const accessTokenExpiry = getTokenExpiry(accessToken);
+
+    return res.status(200).json(
+        new ApiResponse(200, "Session refreshed successfully", {
+            accessTokenExpiresAt: accessTokenExpiry ? new Date(accessTokenExpiry * 1000) : null,
+            sessionExpiresAt: rotated.expiresAt
+        })
+    );
+});
@@ -42,9 +42,21 @@ const oauthLimiter = rateLimit({
     message: {
         error: "Too many OAuth attempts, please try again later."
     },
+    // Session refreshes have their own limiter below
+    skip: (req) => req.path === '/refresh',
 });
 app.use('/auth', oauthLimiter);
 
+// Token refresh rate limiting - every open tab refreshes on its own, so the ceiling is higher
+const refreshLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 60, // limit each IP to 60 session refreshes per windowMs
+    message: {
+        error: "Too many session refreshes, please try again later."
+    },
+});
+app.use('/auth/refresh', refreshLimiter);
+
 // Compression middleware
 app.use(compression());
 
@@ -89,10 +101,38 @@ import userRoutes from './routes/userRoutes.js'
 import { ErrorHandler } from "./middlewares/ErrorHandler.middlewares.js";
 app.use( '/api/v1/user', userRoutes );
 
+// Interview experience routes
+import experienceRoutes from './routes/experienceRoutes.js';
+app.use( '/api/v1/experiences', experienceRoutes );
+
+// Comment routes (nested under an interview experience)
+import commentRoutes from './routes/commentRoutes.js';
+app.use( '/api/v1/experiences/:interviewExperienceId/comments', commentRoutes );
+
+// Question bank routes
+import questionRoutes from './routes/questionRoutes.js';
+app.use( '/api/v1/questions', questionRoutes );
+
+// Company routes
+import companyRoutes from './routes/companyRoutes.js';
+app.use( '/api/v1/companies', companyRoutes );
+
+// Moderation routes (moderators and admins only)
+import moderationRoutes from './routes/moderationRoutes.js';
+app.use( '/api/v1/moderation', moderationRoutes );
+
+// Admin routes (permission checked per route)
+import adminRoutes from './routes/adminRoutes.js';
+app.use( '/api/v1/admin', adminRoutes );
+
 // Auth routes
 import authRoutes from './routes/authRoutes.js';
 app.use( '/auth', authRoutes );
 
+// Public keys for verifying our JWTs
+import wellKnownRoutes from './routes/wellKnownRoutes.js';
+app.use( '/.well-known', wellKnownRoutes );
+
 // Start session cleanup (only in production or when explicitly enabled)
 if (process.env.NODE_ENV === 'production' || process.env.ENABLE_SESSION_CLEANUP === 'true') {
     import('./utils/sessionCleanup.js').then(({ startSessionCleanup }) => {
@@ -102,6 +142,14 @@ if (process.env.NODE_ENV === 'production' || process.env.ENABLE_SESSION_CLEANUP
     });
 }
 
+// Load or generate the JWT signing keys and rotate them on schedule
+import { startKeyRotation } from './utils/jwtKeys.js';
+startKeyRotation();
+
+// Start periodic flushing of buffered experience view counts
+import { startViewFlush } from './utils/viewTracker.js';
+startViewFlush();
+
 // ErrorHandler.js
 app.use( ErrorHandler )
 
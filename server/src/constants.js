@@ -1,3 +1,30 @@
 export const DB_NAME = 'InterviewReader';
 export const JSON_LIMIT = '16kb';
 export const URL_LEN_CODED_LIMIT = '16kb';
+export const EXPERIENCE_DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+export const EXPERIENCE_SORT_OPTIONS = ['newest', 'mostLiked', 'mostViewed'];
+export const ROUND_TYPES = ['online_assessment', 'dsa', 'system_design', 'behavioral', 'hr'];
+export const ROUND_MODES = ['onsite', 'virtual'];
+export const ROUND_RESULTS = ['passed', 'failed', 'pending'];
+export const QUESTION_TOPICS = ['arrays', 'graphs', 'lld', 'hld', 'behavioral', 'other'];
+export const QUESTION_SORT_OPTIONS = ['frequency', 'recent'];
+export const EXPERIENCE_STATUSES = ['draft', 'published', 'archived'];
+export const MIN_PUBLISHED_CONTENT_LENGTH = 50;
+export const USER_ROLES = ['user', 'moderator', 'admin'];
+export const MODERATOR_ROLES = ['moderator', 'admin'];
+export const REPORT_REASONS = ['spam', 'fake', 'offensive', 'nda_violation', 'personal_data'];
+export const REPORT_TARGET_TYPES = ['experience', 'comment'];
+export const MODERATION_STATUSES = ['visible', 'hidden', 'removed'];
+export const MODERATION_ACTIONS = ['approve', 'remove', 'warn'];
+
+// Permissions granted by each role - a user's permissions are the union over their roles
+const USER_PERMISSIONS = ['experiences:write', 'comments:write', 'content:report'];
+const MODERATOR_PERMISSIONS = ['moderation:review', 'moderation:act', 'content:view_moderated', 'users:view_anonymous'];
+const ADMIN_PERMISSIONS = ['users:read', 'users:manage_roles', 'users:deactivate', 'users:reset_2fa'];
+
+export const ROLE_PERMISSIONS = {
+    user: USER_PERMISSIONS,
+    moderator: [...USER_PERMISSIONS, ...MODERATOR_PERMISSIONS],
+    admin: [...USER_PERMISSIONS, ...MODERATOR_PERMISSIONS, ...ADMIN_PERMISSIONS]
+};
+export const AUTH_TOKEN_TYPES = ['email_verification', 'password_reset', 'magic_link'];
@@ -0,0 +1,70 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import AdminService from "../services/adminService.js";
+
+// List and search users
+const listUsers = asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { q, role, isActive } = req.query;
+
+    const usersData = await AdminService.listUsers({ q, role, isActive }, { page, limit });
+
+    return res.status(200).json(
+        new ApiResponse(200, "Users fetched successfully", usersData)
+    );
+});
+
+// Get a single user
+const getUser = asyncHandler(async (req, res) => {
+    const user = await AdminService.getUser(req.params.userId);
+
+    return res.status(200).json(
+        new ApiResponse(200, "User fetched successfully", user)
+    );
+});
+
+// Replace a user's roles
+const changeUserRoles = asyncHandler(async (req, res) => {
+    const user = await AdminService.changeUserRoles(req.user._id, req.params.userId, req.body.roles);
+
+    return res.status(200).json(
+        new ApiResponse(200, "User roles updated successfully", user)
+    );
+});
+
+// Deactivate a user account and revoke its sessions
+const deactivateUser = asyncHandler(async (req, res) => {
+    const result = await AdminService.setUserActive(req.user._id, req.params.userId, false);
+
+    return res.status(200).json(
+        new ApiResponse(200, "User deactivated successfully", result)
+    );
+});
+
+// Reactivate a user account
+const reactivateUser = asyncHandler(async (req, res) => {
+    const result = await AdminService.setUserActive(req.user._id, req.params.userId, true);
+
+    return res.status(200).json(
+        new ApiResponse(200, "User reactivated successfully", result)
+    );
+});
+
+// Remove two-factor authentication from an account, e.g. after a lost device
+const resetUserTwoFactor = asyncHandler(async (req, res) => {
+    const result = await AdminService.resetTwoFactor(req.user._id, req.params.userId);
+
+    return res.status(200).json(
+        new ApiResponse(200, "Two-factor authentication reset successfully", result)
+    );
+});
+
+export {
+    listUsers,
+    getUser,
+    changeUserRoles,
+    deactivateUser,
+    reactivateUser,
+    resetUserTwoFactor
+};
@@ -1,6 +1,13 @@
-import axios from "axios";
-import { body, validationResult } from "express-validator";
-import { loginOrCreateUser } from "../Shared/LoginOrCreateUser.js";
+import { loginOrCreateUser, setLinkCookie } from "../Shared/LoginOrCreateUser.js";
+import { createOAuthState, verifyOAuthState } from "../Shared/OAuthState.js";
+import {
+    getOAuthProvider,
+    listOAuthProviders,
+    buildAuthorizationUrl,
+    fetchProviderProfile
+} from "../Shared/OAuthProviders.js";
+import { getJwks } from "../utils/jwtKeys.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
 
 // =============================================================================
 // CONSTANTS AND CONFIGURATION
@@ -8,48 +15,6 @@ import { loginOrCreateUser } from "../Shared/LoginOrCreateUser.js";
 
 const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:3000";
 
-// OAuth provider configurations
-const OAUTH_CONFIGS = {
-    google: {
-        authUrl: "https://accounts.google.com/o/oauth2/v2/auth",
-        tokenUrl: "https://oauth2.googleapis.com/token",
-        profileUrl: "https://www.googleapis.com/oauth2/v1/userinfo",
-        scopes: "email profile"
-    },
-    github: {
-        authUrl: "https://github.com/login/oauth/authorize",
-        tokenUrl: "https://github.com/login/oauth/access_token",
-        profileUrl: "https://api.github.com/user",
-        scopes: "user:email"
-    },
-    linkedin: {
-        authUrl: "https://www.linkedin.com/oauth/v2/authorization",
-        tokenUrl: "https://www.linkedin.com/oauth/v2/accessToken",
-        profileUrl: "https://api.linkedin.com/v2/me",
-        emailUrl: "https://api.linkedin.com/v2/emailAddress?q=members&projection=(elements*(handle~))",
-        scopes: "r_liteprofile r_emailaddress"
-    }
-};
-
-// =============================================================================
-// VALIDATION MIDDLEWARE
-// =============================================================================
-
-/**
- * Validates OAuth callback parameters
- */
-const validateOAuthCallback = [
-    body('code').optional().isString().trim().isLength({ min: 1 }),
-    (req, res, next) => {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            console.error('OAuth validation errors:', errors.array());
-            return res.redirect(`${CLIENT_URL}?error=invalid_input`);
-        }
-        next();
-    }
-];
-
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
@@ -77,6 +42,21 @@ const handleOAuthError = (error, res, provider) => {
     res.redirect(`${CLIENT_URL}?error=${errorCode}&provider=${provider}`);
 };
 
+/**
+ * Looks up an enabled provider from the route, redirecting when there is none
+ * @param {Request} req - Express request object with the :provider param
+ * @param {Response} res - Express response object
+ * @returns {Object|null} Provider configuration, or null after redirecting
+ */
+const resolveProvider = (req, res) => {
+    const provider = getOAuthProvider(req.params.provider);
+    if (!provider) {
+        res.redirect(`${CLIENT_URL}?error=unknown_provider`);
+        return null;
+    }
+    return provider;
+};
+
 /**
  * Validates authorization code from OAuth callback
  * @param {string} code - Authorization code
@@ -93,237 +73,135 @@ const validateAuthCode = (code, res, provider) => {
     return true;
 };
 
+/**
+ * Validates the OAuth state of a callback against the state cookie
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {string} provider - OAuth provider name
+ * @returns {Object|null} { codeVerifier, returnTo } if valid, null after redirecting otherwise
+ */
+const validateOAuthState = (req, res, provider) => {
+    const oauthState = verifyOAuthState(req, res, provider);
+    if (!oauthState) {
+        res.redirect(`${CLIENT_URL}?error=invalid_state&provider=${provider}`);
+        return null;
+    }
+    return oauthState;
+};
+
 // =============================================================================
-// GOOGLE OAUTH CONTROLLERS
+// OAUTH CONTROLLERS
 // =============================================================================
 
 /**
- * Initiates Google OAuth flow
+ * Lists the enabled OAuth providers for the sign-in page
  * @param {Request} _ - Express request object (unused)
  * @param {Response} res - Express response object
  */
-export const googleAuth = (_, res) => {
-    try {
-        const params = new URLSearchParams({
-            client_id: process.env.GOOGLE_CLIENT_ID,
-            redirect_uri: process.env.GOOGLE_REDIRECT_URI,
-            response_type: "code",
-            scope: OAUTH_CONFIGS.google.scopes,
-            access_type: "offline"
-        });
+export const listProviders = (_, res) => {
+    res.status(200).json(
+        new ApiResponse(200, "OAuth providers fetched successfully", { providers: listOAuthProviders() })
+    );
+};
 
-        const authUrl = `${OAUTH_CONFIGS.google.authUrl}?${params.toString()}`;
-        res.redirect(authUrl);
+/**
+ * Initiates the OAuth flow of any enabled provider
+ * @param {Request} req - Express request object, may carry a ?returnTo= path
+ * @param {Response} res - Express response object
+ */
+export const oauthAuth = async (req, res) => {
+    const provider = resolveProvider(req, res);
+    if (!provider) {
+        return;
+    }
+
+    try {
+        const stateParams = createOAuthState(req, res, provider.name, { pkce: provider.pkce });
+        res.redirect(await buildAuthorizationUrl(provider, stateParams));
     } catch (error) {
-        handleOAuthError(error, res, 'google');
+        handleOAuthError(error, res, provider.name);
     }
 };
 
 /**
- * Handles Google OAuth callback
+ * Handles the OAuth callback of any enabled provider
  * @param {Request} req - Express request object
  * @param {Response} res - Express response object
  */
-export const googleCallback = async (req, res) => {
+export const oauthCallback = async (req, res) => {
+    const provider = resolveProvider(req, res);
+    if (!provider) {
+        return;
+    }
+
     try {
         const { code } = req.query;
-        
-        if (!validateAuthCode(code, res, 'google')) {
+
+        if (!validateAuthCode(code, res, provider.name)) {
             return;
         }
 
-        // Exchange code for access token
-        const tokenResponse = await axios.post(OAUTH_CONFIGS.google.tokenUrl, null, {
-            params: {
-                code,
-                client_id: process.env.GOOGLE_CLIENT_ID,
-                client_secret: process.env.GOOGLE_CLIENT_SECRET,
-                redirect_uri: process.env.GOOGLE_REDIRECT_URI,
-                grant_type: "authorization_code"
-            }
-        });
-
-        const { access_token } = tokenResponse.data;
-
-        // Fetch user profile
-        const profileResponse = await axios.get(OAUTH_CONFIGS.google.profileUrl, {
-            headers: { Authorization: `Bearer ${access_token}` }
-        });
+        // Reject callbacks this browser did not start (login CSRF)
+        const oauthState = validateOAuthState(req, res, provider.name);
+        if (!oauthState) {
+            return;
+        }
 
-        const profile = profileResponse.data;
+        const profile = await fetchProviderProfile(provider, code, oauthState.codeVerifier);
 
-        // Login or create user
+        // Login or create user - or link the provider when the signed-in user started that
         await loginOrCreateUser({
-            provider: "google",
+            provider: provider.name,
             id: profile.id,
             email: profile.email,
+            emailVerified: profile.emailVerified,
             name: profile.name,
-            avatar: profile.picture,
+            avatar: profile.avatar,
+            returnTo: oauthState.returnTo,
             res,
             req
         });
 
     } catch (error) {
-        handleOAuthError(error, res, 'google');
+        handleOAuthError(error, res, provider.name);
     }
 };
 
 // =============================================================================
-// GITHUB OAUTH CONTROLLERS
+// ACCOUNT LINKING CONTROLLERS
 // =============================================================================
 
 /**
- * Initiates GitHub OAuth flow
- * @param {Request} _ - Express request object (unused)
- * @param {Response} res - Express response object
- */
-export const githubAuth = (_, res) => {
-    try {
-        const params = new URLSearchParams({
-            client_id: process.env.GITHUB_CLIENT_ID,
-            redirect_uri: process.env.GITHUB_REDIRECT_URI,
-            scope: OAUTH_CONFIGS.github.scopes
-        });
-
-        const authUrl = `${OAUTH_CONFIGS.github.authUrl}?${params.toString()}`;
-        res.redirect(authUrl);
-    } catch (error) {
-        handleOAuthError(error, res, 'github');
-    }
-};
-
-/**
- * Handles GitHub OAuth callback
+ * Starts linking a provider to the signed-in account
+ * The OAuth flow is the normal sign-in flow - the link cookie makes its callback
+ * attach the provider account to this user instead of signing in
  * @param {Request} req - Express request object
  * @param {Response} res - Express response object
  */
-export const githubCallback = async (req, res) => {
-    try {
-        const { code } = req.query;
-        
-        if (!validateAuthCode(code, res, 'github')) {
-            return;
-        }
-
-        // Exchange code for access token
-        const tokenResponse = await axios.post(OAUTH_CONFIGS.github.tokenUrl, {
-            client_id: process.env.GITHUB_CLIENT_ID,
-            client_secret: process.env.GITHUB_CLIENT_SECRET,
-            code,
-            redirect_uri: process.env.GITHUB_REDIRECT_URI
-        }, {
-            headers: { Accept: "application/json" }
-        });
-
-        const { access_token } = tokenResponse.data;
-
-        // Fetch user profile
-        const profileResponse = await axios.get(OAUTH_CONFIGS.github.profileUrl, {
-            headers: { Authorization: `Bearer ${access_token}` }
-        });
-
-        const profile = profileResponse.data;
-
-        // Login or create user
-        await loginOrCreateUser({
-            provider: "github",
-            id: profile.id.toString(), // Ensure string format
-            email: profile.email || `user${profile.id}@github.com`,
-            name: profile.name || profile.login,
-            avatar: profile.avatar_url,
-            res,
-            req
-        });
+export const startProviderLink = (req, res) => {
+    const { provider } = req.params;
 
+    try {
+        setLinkCookie(res, req.user._id.toString(), provider);
+        res.redirect(`${req.baseUrl}/${provider}`);
     } catch (error) {
-        handleOAuthError(error, res, 'github');
+        handleOAuthError(error, res, provider);
     }
 };
 
 // =============================================================================
-// LINKEDIN OAUTH CONTROLLERS
+// KEY DISCOVERY CONTROLLERS
 // =============================================================================
 
 /**
- * Initiates LinkedIn OAuth flow
+ * Publishes the public keys that verify our JWTs, including retired keys whose tokens are still valid
+ * Plain JWKS document rather than an ApiResponse, as JWT libraries expect
  * @param {Request} _ - Express request object (unused)
  * @param {Response} res - Express response object
  */
-export const linkedinAuth = (_, res) => {
-    try {
-        const params = new URLSearchParams({
-            response_type: "code",
-            client_id: process.env.LINKEDIN_CLIENT_ID,
-            redirect_uri: process.env.LINKEDIN_REDIRECT_URI,
-            scope: OAUTH_CONFIGS.linkedin.scopes
-        });
-
-        const authUrl = `${OAUTH_CONFIGS.linkedin.authUrl}?${params.toString()}`;
-        res.redirect(authUrl);
-    } catch (error) {
-        handleOAuthError(error, res, 'linkedin');
-    }
-};
-
-/**
- * Handles LinkedIn OAuth callback
- * @param {Request} req - Express request object
- * @param {Response} res - Express response object
- */
-export const linkedinCallback = async (req, res) => {
-    try {
-        const { code } = req.query;
-        
-        if (!validateAuthCode(code, res, 'linkedin')) {
-            return;
-        }
-
-        // Exchange code for access token
-        const tokenResponse = await axios.post(OAUTH_CONFIGS.linkedin.tokenUrl, null, {
-            params: {
-                grant_type: "authorization_code",
-                code,
-                redirect_uri: process.env.LINKEDIN_REDIRECT_URI,
-                client_id: process.env.LINKEDIN_CLIENT_ID,
-                client_secret: process.env.LINKEDIN_CLIENT_SECRET
-            }
-        });
-
-        const { access_token } = tokenResponse.data;
-
-        // Fetch user email
-        const emailResponse = await axios.get(OAUTH_CONFIGS.linkedin.emailUrl, {
-            headers: { Authorization: `Bearer ${access_token}` }
-        });
-
-        const emailData = emailResponse.data;
-
-        // Fetch user profile
-        const profileResponse = await axios.get(OAUTH_CONFIGS.linkedin.profileUrl, {
-            headers: { Authorization: `Bearer ${access_token}` }
-        });
-
-        const profile = profileResponse.data;
-
-        // Validate email data
-        if (!emailData.elements || !emailData.elements[0] || !emailData.elements[0]["handle~"]) {
-            throw new Error("Unable to retrieve email from LinkedIn");
-        }
-
-        // Login or create user
-        await loginOrCreateUser({
-            provider: "linkedin",
-            id: profile.id,
-            email: emailData.elements[0]["handle~"].emailAddress,
-            name: `${profile.localizedFirstName} ${profile.localizedLastName}`,
-            avatar: "", // LinkedIn doesn't provide direct avatar in basic scopes
-            res,
-            req
-        });
-
-    } catch (error) {
-        handleOAuthError(error, res, 'linkedin');
-    }
+export const jwks = (_, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json(getJwks());
 };
 
 // =============================================================================
@@ -332,4 +210,5 @@ export const linkedinCallback = async (req, res) => {
 
 // Export the imported logout functions
 export { logout, logoutAllDevices } from "../Shared/LogoutUser.js";
+export { refreshSession } from "../Shared/RefreshUserSession.js";
 
@@ -0,0 +1,75 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import CommentService from "../services/commentService.js";
+import ModerationService from "../services/moderationService.js";
+
+// Get paginated comment threads of an interview experience
+const getComments = asyncHandler(async (req, res) => {
+    const { interviewExperienceId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const commentsData = await CommentService.getCommentThreads(interviewExperienceId, page, limit, req.user);
+
+    return res.status(200).json(
+        new ApiResponse(200, "Comments fetched successfully", commentsData)
+    );
+});
+
+// Add comment or reply
+const addComment = asyncHandler(async (req, res) => {
+    const { interviewExperienceId } = req.params;
+    const { content, parentId, isAnonymous } = req.body;
+
+    const comment = await CommentService.addComment(req.user._id, interviewExperienceId, { content, parentId, isAnonymous });
+
+    return res.status(201).json(
+        new ApiResponse(201, "Comment added successfully", comment)
+    );
+});
+
+// Edit comment
+const updateComment = asyncHandler(async (req, res) => {
+    const { interviewExperienceId, commentId } = req.params;
+
+    const comment = await CommentService.updateComment(req.user._id, interviewExperienceId, commentId, req.body.content);
+
+    return res.status(200).json(
+        new ApiResponse(200, "Comment updated successfully", comment)
+    );
+});
+
+// Delete comment (soft delete)
+const deleteComment = asyncHandler(async (req, res) => {
+    const { interviewExperienceId, commentId } = req.params;
+
+    const result = await CommentService.deleteComment(req.user._id, interviewExperienceId, commentId);
+
+    return res.status(200).json(
+        new ApiResponse(200, "Comment deleted successfully", result)
+    );
+});
+
+// Report comment
+const reportComment = asyncHandler(async (req, res) => {
+    const { interviewExperienceId, commentId } = req.params;
+    const { reason, details } = req.body;
+
+    const report = await ModerationService.reportContent(
+        req.user._id,
+        { targetType: 'comment', targetId: commentId, experienceId: interviewExperienceId },
+        { reason, details }
+    );
+
+    return res.status(201).json(
+        new ApiResponse(201, "Report submitted successfully", report)
+    );
+});
+
+export {
+    getComments,
+    addComment,
+    updateComment,
+    deleteComment,
+    reportComment
+};
@@ -0,0 +1,18 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import CompanyService from "../services/companyService.js";
+
+// Get company page with aggregated experience stats
+const getCompanyBySlug = asyncHandler(async (req, res) => {
+    const { slug } = req.params;
+
+    const companyData = await CompanyService.getCompanyBySlug(slug);
+
+    return res.status(200).json(
+        new ApiResponse(200, "Company fetched successfully", companyData)
+    );
+});
+
+export {
+    getCompanyBySlug
+};
@@ -0,0 +1,172 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import ExperienceService from "../services/experienceService.js";
+import ModerationService from "../services/moderationService.js";
+import { recordExperienceView } from "../utils/viewTracker.js";
+
+// Create interview experience
+const createExperience = asyncHandler(async (req, res) => {
+    const experience = await ExperienceService.createExperience(req.user._id, req.body);
+
+    return res.status(201).json(
+        new ApiResponse(201, "Interview experience created successfully", experience)
+    );
+});
+
+// List interview experiences with filters and pagination
+const listExperiences = asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { sortBy, ...filters } = req.query;
+
+    const experiencesData = await ExperienceService.listExperiences(
+        filters,
+        { page, limit, sortBy },
+        req.user
+    );
+
+    return res.status(200).json(
+        new ApiResponse(200, "Interview experiences fetched successfully", experiencesData)
+    );
+});
+
+// Full-text search over interview experiences
+const searchExperiences = asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { q, sortBy, ...filters } = req.query;
+
+    const searchData = await ExperienceService.searchExperiences(
+        q,
+        filters,
+        { page, limit },
+        req.user
+    );
+
+    return res.status(200).json(
+        new ApiResponse(200, "Interview experiences searched successfully", searchData)
+    );
+});
+
+// Get single interview experience
+const getExperienceById = asyncHandler(async (req, res) => {
+    const { interviewExperienceId } = req.params;
+
+    const experience = await ExperienceService.getExperienceById(interviewExperienceId, req.user);
+
+    // Count the view in the background - deduplicated and flushed in batches
+    // Drafts are only ever seen by their author, so they are not counted
+    if (experience.status !== 'draft') {
+        recordExperienceView(interviewExperienceId, req)
+            .catch(error => console.error('View tracking error:', error.message));
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, "Interview experience fetched successfully", experience)
+    );
+});
+
+// Update interview experience
+const updateExperience = asyncHandler(async (req, res) => {
+    const { interviewExperienceId } = req.params;
+
+    const experience = await ExperienceService.updateExperience(req.user._id, interviewExperienceId, req.body);
+
+    return res.status(200).json(
+        new ApiResponse(200, "Interview experience updated successfully", experience)
+    );
+});
+
+// List the edit history of an interview experience
+const listExperienceRevisions = asyncHandler(async (req, res) => {
+    const { interviewExperienceId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const revisionsData = await ExperienceService.listRevisions(req.user._id, interviewExperienceId, page, limit);
+
+    return res.status(200).json(
+        new ApiResponse(200, "Revisions fetched successfully", revisionsData)
+    );
+});
+
+// Diff two revisions of an interview experience
+const diffExperienceRevisions = asyncHandler(async (req, res) => {
+    const { interviewExperienceId } = req.params;
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+
+    const diff = await ExperienceService.diffRevisions(req.user._id, interviewExperienceId, from, to);
+
+    return res.status(200).json(
+        new ApiResponse(200, "Revision diff fetched successfully", diff)
+    );
+});
+
+// Restore an old revision of an interview experience
+const restoreExperienceRevision = asyncHandler(async (req, res) => {
+    const { interviewExperienceId, revision } = req.params;
+
+    const experience = await ExperienceService.restoreRevision(
+        req.user._id,
+        interviewExperienceId,
+        parseInt(revision),
+        req.body.version
+    );
+
+    return res.status(200).json(
+        new ApiResponse(200, `Revision ${revision} restored successfully`, experience)
+    );
+});
+
+// Delete interview experience
+const deleteExperience = asyncHandler(async (req, res) => {
+    const { interviewExperienceId } = req.params;
+
+    const result = await ExperienceService.deleteExperience(req.user._id, interviewExperienceId);
+
+    return res.status(200).json(
+        new ApiResponse(200, "Interview experience deleted successfully", result)
+    );
+});
+
+// Like or unlike interview experience
+const toggleExperienceLike = asyncHandler(async (req, res) => {
+    const { interviewExperienceId } = req.params;
+
+    const result = await ExperienceService.toggleLike(req.user._id, interviewExperienceId);
+
+    return res.status(200).json(
+        new ApiResponse(200, result.liked ? "Interview experience liked" : "Interview experience unliked", result)
+    );
+});
+
+// Report interview experience
+const reportExperience = asyncHandler(async (req, res) => {
+    const { interviewExperienceId } = req.params;
+    const { reason, details } = req.body;
+
+    const report = await ModerationService.reportContent(
+        req.user._id,
+        { targetType: 'experience', targetId: interviewExperienceId, experienceId: interviewExperienceId },
+        { reason, details }
+    );
+
+    return res.status(201).json(
+        new ApiResponse(201, "Report submitted successfully", report)
+    );
+});
+
+export {
+    createExperience,
+    listExperiences,
+    searchExperiences,
+    getExperienceById,
+    updateExperience,
+    listExperienceRevisions,
+    diffExperienceRevisions,
+    restoreExperienceRevision,
+    deleteExperience,
+    toggleExperienceLike,
+    reportExperience
+};
@@ -0,0 +1,213 @@
+import crypto from "crypto";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import LocalAuthService from "../services/localAuthService.js";
+import {
+    startUserSession,
+    setTwoFactorPendingCookie,
+    loginOrCreateUser,
+    EMAIL_PROVIDER,
+    COOKIE_CONFIG
+} from "../Shared/LoginOrCreateUser.js";
+import { sanitizeReturnTo } from "../Shared/OAuthState.js";
+import { escapeHtml } from "../utils/text.js";
+
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:3000";
+
+// Ties sign-in links to the browser that asked for them - one nonce per browser,
+// so every link requested there keeps working until it expires
+const EMAIL_SIGNIN_COOKIE = {
+    NAME: "emailSignIn",
+    PATH: "/auth/email",
+    MAX_AGE_MS: 15 * 60 * 1000,
+    NONCE_PATTERN: /^[a-f0-9]{64}$/
+};
+
+const SIGNIN_TOKEN_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Reads the sign-in nonce of this browser
+ * @param {Request} req - Express request object
+ * @returns {string|null} Nonce or null if there is none
+ */
+const readEmailSignInNonce = (req) => {
+    const nonce = req.cookies?.[EMAIL_SIGNIN_COOKIE.NAME];
+    return typeof nonce === 'string' && EMAIL_SIGNIN_COOKIE.NONCE_PATTERN.test(nonce) ? nonce : null;
+};
+
+/**
+ * Confirmation page of an emailed sign-in link - only submitting it uses the link,
+ * so mail scanners and prefetchers opening the URL cannot
+ * @param {string} token - Sign-in token
+ * @param {string} returnTo - Sanitized client path
+ * @returns {string} HTML document
+ */
+const renderEmailSignInConfirmation = (token, returnTo) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>Sign in to InterviewReader</title>
+</head>
+<body style="font-family: sans-serif; display: flex; justify-content: center; padding-top: 15vh;">
+<form method="post" style="text-align: center;">
+<h1 style="font-size: 1.5rem;">Sign in to InterviewReader</h1>
+<input type="hidden" name="token" value="${escapeHtml(token)}">
+<input type="hidden" name="returnTo" value="${escapeHtml(returnTo)}">
+<button type="submit" style="padding: 0.75rem 2rem; font-size: 1rem;">Continue</button>
+</form>
+</body>
+</html>`;
+
+// Register with email and password
+const registerUser = asyncHandler(async (req, res) => {
+    const { firstName, lastName, userName, email, password } = req.body;
+
+    await LocalAuthService.register({ firstName, lastName, userName, email, password });
+
+    // The same answer whether or not the address already has an account
+    return res.status(202).json(
+        new ApiResponse(202, "Check your email to finish creating your account")
+    );
+});
+
+// Log in with username or email and password
+const loginUser = asyncHandler(async (req, res) => {
+    const { userName, email, password } = req.body;
+
+    const user = await LocalAuthService.authenticate({ userName, email, password });
+
+    // The session is only created once the code is checked at /auth/2fa/verify
+    if (user.twoFactor?.enabled) {
+        setTwoFactorPendingCookie(res, user._id, 'local');
+
+        return res.status(200).json(
+            new ApiResponse(200, "Two-factor code required", { twoFactorRequired: true })
+        );
+    }
+
+    await startUserSession(user, 'local', req, res);
+
+    return res.status(200).json(
+        new ApiResponse(200, "Logged in successfully", { user: LocalAuthService.formatAuthUser(user) })
+    );
+});
+
+// Verify email address from the emailed token
+const verifyEmail = asyncHandler(async (req, res) => {
+    const user = await LocalAuthService.verifyEmail(req.body.token);
+
+    return res.status(200).json(
+        new ApiResponse(200, "Email verified successfully", { user })
+    );
+});
+
+// Send the verification email again
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+    await LocalAuthService.resendVerificationEmail(req.body.email);
+
+    return res.status(200).json(
+        new ApiResponse(200, "If the account exists and is unverified, a verification email has been sent")
+    );
+});
+
+// Request a password reset email
+const forgotPassword = asyncHandler(async (req, res) => {
+    await LocalAuthService.requestPasswordReset(req.body.email);
+
+    return res.status(200).json(
+        new ApiResponse(200, "If the account exists, a password reset email has been sent")
+    );
+});
+
+// Set a new password from the emailed token
+const resetPassword = asyncHandler(async (req, res) => {
+    const { token, password } = req.body;
+
+    const result = await LocalAuthService.resetPassword(token, password);
+
+    return res.status(200).json(
+        new ApiResponse(200, "Password reset successfully, please log in again", result)
+    );
+});
+
+// Email a single-use sign-in link that works in this browser
+const requestEmailSignIn = asyncHandler(async (req, res) => {
+    const { email, returnTo } = req.body;
+
+    const browserNonce = readEmailSignInNonce(req) || crypto.randomBytes(32).toString('hex');
+
+    await LocalAuthService.requestMagicLink(email, returnTo, browserNonce);
+
+    res.cookie(EMAIL_SIGNIN_COOKIE.NAME, browserNonce, {
+        ...COOKIE_CONFIG,
+        path: EMAIL_SIGNIN_COOKIE.PATH,
+        maxAge: EMAIL_SIGNIN_COOKIE.MAX_AGE_MS
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, "If the address can sign in, a sign-in link has been sent")
+    );
+});
+
+// Open an emailed sign-in link - asks to confirm instead of using the link
+const emailSignInPage = (req, res) => {
+    const { token, returnTo } = req.query;
+
+    if (typeof token !== 'string' || !SIGNIN_TOKEN_PATTERN.test(token)) {
+        return res.redirect(`${CLIENT_URL}?error=link_expired&provider=${EMAIL_PROVIDER}`);
+    }
+
+    // Only what the form needs - and no upgrade-insecure-requests, which breaks posting on http://localhost
+    res.set({
+        'Cache-Control': 'no-store',
+        'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'; frame-ancestors 'none'; base-uri 'none'"
+    });
+    res.type('html').send(renderEmailSignInConfirmation(token, sanitizeReturnTo(returnTo)));
+};
+
+// Confirmed sign-in link - redirects like the OAuth callbacks
+const emailSignInCallback = asyncHandler(async (req, res) => {
+    const { token, returnTo } = req.body;
+
+    let identity;
+    try {
+        if (typeof token !== 'string' || !SIGNIN_TOKEN_PATTERN.test(token)) {
+            throw new Error('Malformed sign-in link');
+        }
+        identity = await LocalAuthService.consumeMagicLink(token, readEmailSignInNonce(req));
+    } catch (error) {
+        console.error('Email sign-in link rejected:', error.message);
+        const errorCodes = { 403: 'account_deactivated', 409: 'link_other_browser' };
+        const errorCode = errorCodes[error.statusCode] || 'link_expired';
+        return res.redirect(`${CLIENT_URL}?error=${errorCode}&provider=${EMAIL_PROVIDER}`);
+    }
+
+    res.clearCookie(EMAIL_SIGNIN_COOKIE.NAME, { ...COOKIE_CONFIG, path: EMAIL_SIGNIN_COOKIE.PATH });
+
+    await loginOrCreateUser({
+        provider: EMAIL_PROVIDER,
+        id: identity.email,
+        email: identity.email,
+        // Opening the emailed link proved the address
+        emailVerified: true,
+        name: identity.name,
+        avatar: '',
+        returnTo: sanitizeReturnTo(returnTo),
+        req,
+        res
+    });
+});
+
+export {
+    registerUser,
+    loginUser,
+    verifyEmail,
+    resendVerificationEmail,
+    forgotPassword,
+    resetPassword,
+    requestEmailSignIn,
+    emailSignInPage,
+    emailSignInCallback
+};
@@ -0,0 +1,50 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import ModerationService from "../services/moderationService.js";
+
+// Get reported content awaiting review
+const getModerationQueue = asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { targetType, reason } = req.query;
+
+    const queueData = await ModerationService.getModerationQueue({ targetType, reason }, { page, limit });
+
+    return res.status(200).json(
+        new ApiResponse(200, "Moderation queue fetched successfully", queueData)
+    );
+});
+
+// Approve, remove or warn the author of reported content
+const moderateContent = asyncHandler(async (req, res) => {
+    const { targetType, targetId } = req.params;
+    const { action, note } = req.body;
+
+    const result = await ModerationService.moderateContent(req.user._id, targetType, targetId, { action, note });
+
+    return res.status(201).json(
+        new ApiResponse(201, "Moderation action recorded successfully", result)
+    );
+});
+
+// List recorded moderation actions
+const listModerationActions = asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { targetType, targetId, authorId, moderatorId, action } = req.query;
+
+    const actionsData = await ModerationService.listActions(
+        { targetType, targetId, authorId, moderatorId, action },
+        { page, limit }
+    );
+
+    return res.status(200).json(
+        new ApiResponse(200, "Moderation actions fetched successfully", actionsData)
+    );
+});
+
+export {
+    getModerationQueue,
+    moderateContent,
+    listModerationActions
+};
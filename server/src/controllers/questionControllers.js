@@ -0,0 +1,35 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import QuestionService from "../services/questionService.js";
+
+// List questions by company and topic ranked by frequency or recency
+const listQuestions = asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { company, topic, sortBy } = req.query;
+
+    const questionsData = await QuestionService.listQuestions(
+        { company, topic },
+        { page, limit, sortBy }
+    );
+
+    return res.status(200).json(
+        new ApiResponse(200, "Questions fetched successfully", questionsData)
+    );
+});
+
+// Get single question with its source experiences
+const getQuestionById = asyncHandler(async (req, res) => {
+    const { questionId } = req.params;
+
+    const question = await QuestionService.getQuestionById(questionId);
+
+    return res.status(200).json(
+        new ApiResponse(200, "Question fetched successfully", question)
+    );
+});
+
+export {
+    listQuestions,
+    getQuestionById
+};
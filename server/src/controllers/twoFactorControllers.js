@@ -0,0 +1,102 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import TwoFactorService from "../services/twoFactorService.js";
+import LocalAuthService from "../services/localAuthService.js";
+import {
+    startUserSession,
+    readTwoFactorPending,
+    clearTwoFactorPendingCookie
+} from "../Shared/LoginOrCreateUser.js";
+
+// Get the current user's two-factor status
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+    const status = await TwoFactorService.getStatus(req.user._id);
+
+    return res.status(200).json(
+        new ApiResponse(200, "Two-factor status fetched successfully", status)
+    );
+});
+
+// Start enrollment - returns the secret and the otpauth URI to show as a QR code
+const setupTwoFactor = asyncHandler(async (req, res) => {
+    const enrollment = await TwoFactorService.startEnrollment(req.user._id);
+
+    return res.status(200).json(
+        new ApiResponse(200, "Scan the QR code with your authenticator app, then confirm a code", enrollment)
+    );
+});
+
+// Confirm enrollment with a code from the authenticator app
+const enableTwoFactor = asyncHandler(async (req, res) => {
+    const result = await TwoFactorService.confirmEnrollment(req.user._id, req.body.code);
+
+    return res.status(200).json(
+        new ApiResponse(200, "Two-factor authentication enabled, store your recovery codes safely", result)
+    );
+});
+
+// Turn two-factor authentication off
+const disableTwoFactor = asyncHandler(async (req, res) => {
+    const { code, recoveryCode } = req.body;
+
+    const status = await TwoFactorService.disable(req.user._id, { code, recoveryCode });
+
+    return res.status(200).json(
+        new ApiResponse(200, "Two-factor authentication disabled", status)
+    );
+});
+
+// Replace the recovery codes
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    const { code, recoveryCode } = req.body;
+
+    const result = await TwoFactorService.regenerateRecoveryCodes(req.user._id, { code, recoveryCode });
+
+    return res.status(200).json(
+        new ApiResponse(200, "Recovery codes regenerated, the old ones no longer work", result)
+    );
+});
+
+// Finish a sign-in that is waiting for the second factor - creates the session and cookies
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+    const { code, recoveryCode } = req.body;
+
+    const pending = readTwoFactorPending(req);
+    if (!pending) {
+        throw new ApiError(401, "Two-factor sign-in has expired, please sign in again");
+    }
+
+    let signIn;
+    try {
+        signIn = await TwoFactorService.completeSignIn(pending.userId, { code, recoveryCode });
+    } catch (error) {
+        // Locked after too many invalid codes - this pending sign-in is over
+        if (error.statusCode === 429) {
+            clearTwoFactorPendingCookie(res);
+        }
+        throw error;
+    }
+    const { user, recoveryCodesRemaining } = signIn;
+
+    clearTwoFactorPendingCookie(res);
+    await startUserSession(user, pending.provider, req, res);
+
+    return res.status(200).json(
+        new ApiResponse(200, "Logged in successfully", {
+            user: LocalAuthService.formatAuthUser(user),
+            provider: pending.provider,
+            redirectTo: pending.returnTo,
+            recoveryCodesRemaining
+        })
+    );
+});
+
+export {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    verifyTwoFactorLogin
+};
@@ -77,11 +77,43 @@ const logoutAllOtherDevices = asyncHandler(async (req, res) => {
     );
 });
 
+// List active sessions (signed-in devices)
+const getUserSessions = asyncHandler(async (req, res) => {
+    const sessionsData = await SessionService.listUserSessions(req.user._id, req.tokenInfo?.accessToken);
+
+    return res.status(200).json(
+        new ApiResponse(200, "User sessions fetched successfully", sessionsData)
+    );
+});
+
+// Revoke a single session
+const revokeUserSession = asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+
+    const result = await SessionService.revokeSession(req.user._id, sessionId, req.tokenInfo?.accessToken);
+
+    return res.status(200).json(
+        new ApiResponse(200, "Session revoked successfully", result)
+    );
+});
+
+// Unlink an OAuth provider from the account
+const unlinkProvider = asyncHandler(async (req, res) => {
+    const result = await UserService.unlinkProvider(req.user._id, req.params.provider);
+
+    return res.status(200).json(
+        new ApiResponse(200, "Provider unlinked successfully", result)
+    );
+});
+
 export {
     getCurrentUser,
     updateUserProfile,
     getUserBookmarks,
     addBookmark,
     removeBookmark,
-    logoutAllOtherDevices
+    logoutAllOtherDevices,
+    getUserSessions,
+    revokeUserSession,
+    unlinkProvider
 };
\ No newline at end of file
@@ -0,0 +1,30 @@
+/**
+ * Well-known companies with the spellings users commonly type for them.
+ * Used to create canonical Company documents on first mention and by the backfill script.
+ */
+const COMPANY_SEEDS = [
+    { name: "Amazon", domain: "amazon.com", aliases: ["AWS", "Amazon Web Services", "Amazon.com", "Amazon India", "Amazon Development Centre"] },
+    { name: "Google", domain: "google.com", aliases: ["Alphabet", "Google India", "Google LLC"] },
+    { name: "Meta", domain: "meta.com", aliases: ["Facebook", "FB", "Meta Platforms"] },
+    { name: "Microsoft", domain: "microsoft.com", aliases: ["MSFT", "Microsoft India", "Microsoft IDC"] },
+    { name: "Apple", domain: "apple.com", aliases: ["Apple Inc"] },
+    { name: "Netflix", domain: "netflix.com", aliases: [] },
+    { name: "Uber", domain: "uber.com", aliases: ["Uber Technologies"] },
+    { name: "Flipkart", domain: "flipkart.com", aliases: ["Flipkart Internet"] },
+    { name: "Goldman Sachs", domain: "goldmansachs.com", aliases: ["GS"] },
+    { name: "JPMorgan Chase", domain: "jpmorganchase.com", aliases: ["JPMorgan", "JP Morgan", "JPMC", "J.P. Morgan"] },
+    { name: "Adobe", domain: "adobe.com", aliases: ["Adobe Systems"] },
+    { name: "Salesforce", domain: "salesforce.com", aliases: ["SFDC"] },
+    { name: "Oracle", domain: "oracle.com", aliases: ["Oracle India", "OCI"] },
+    { name: "Atlassian", domain: "atlassian.com", aliases: [] },
+    { name: "Walmart", domain: "walmart.com", aliases: ["Walmart Global Tech", "Walmart Labs"] },
+    { name: "Tata Consultancy Services", domain: "tcs.com", aliases: ["TCS"] },
+    { name: "Infosys", domain: "infosys.com", aliases: [] },
+    { name: "Wipro", domain: "wipro.com", aliases: [] },
+    { name: "Swiggy", domain: "swiggy.com", aliases: ["Bundl Technologies"] },
+    { name: "Zomato", domain: "zomato.com", aliases: ["Eternal"] },
+    { name: "PhonePe", domain: "phonepe.com", aliases: [] },
+    { name: "Paytm", domain: "paytm.com", aliases: ["One97 Communications"] }
+];
+
+export default COMPANY_SEEDS;
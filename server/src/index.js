@@ -2,6 +2,8 @@ import 'dotenv/config';
 import { validateEnvironment, getEnvironment } from './utils/env.js';
 import mongosDBconnection from './db/index.js';
 import {app} from "./app.js";
+import Session from "./models/Session.model.js";
+import User from "./models/User.model.js";
 
 // Validate environment variables before starting
 try {
@@ -22,6 +24,15 @@ app.get( '/', ( req, res ) => {
 
 // mongosDBconnection is a promise function
 mongosDBconnection()
+// Sessions from before token hashing are converted before any request looks them up by hash
+.then( () => Session.hashPlaintextTokens() )
+// Provider IDs linked to several users block the unique indexes until someone resolves them
+.then( async () => {
+    const { duplicates } = await User.migrateProviderIdIndexes();
+    if ( duplicates.length > 0 ) {
+        console.warn( `⚠️ ${duplicates.length} provider accounts are linked to more than one user - run npm run migrate-provider-ids` );
+    }
+} )
 .then( () => {
     app.listen( port, () => {
         console.log( `⚙️ Server is running at port : ${port}` );
@@ -1,6 +1,6 @@
 import { ApiError } from '../utils/ApiError.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
-import { verifyAccessToken, extractTokenFromHeader } from '../utils/Token.js';
+import { verifyAccessToken, extractTokenFromHeader, hashSessionToken } from '../utils/Token.js';
 import User from "../models/User.model.js";
 import Session from "../models/Session.model.js";
 
@@ -50,7 +50,7 @@ const validateUserSession = async (userId, accessToken) => {
     try {
         const session = await Session.findOne({
             userId,
-            accessToken,
+            accessTokenHash: hashSessionToken(accessToken),
             isActive: true,
             expiresAt: { $gt: new Date() }
         });
@@ -169,7 +169,7 @@ const verifyJwtToken = asyncHandler(async (req, res, next) => {
         
         // Log successful authentication (in development)
         if (process.env.NODE_ENV === 'development') {
-            console.log(`✅ User authenticated: ${user.email} (${user._id})`);
+            console.log(`✅ User authenticated: ${user._id}`);
         }
         
         next();
@@ -248,8 +248,7 @@ const requireRoles = (allowedRoles = []) => {
             });
         }
         
-        // For future implementation when roles are added to User model
-        const userRoles = req.user.roles || ['user'];
+        const userRoles = req.user.roles?.length ? req.user.roles : ['user'];
         const hasRequiredRole = allowedRoles.some(role => userRoles.includes(role));
         
         if (!hasRequiredRole) {
@@ -262,6 +261,30 @@ const requireRoles = (allowedRoles = []) => {
     });
 };
 
+/**
+ * Creates middleware to check for permissions derived from the user's roles
+ * @param {string[]} requiredPermissions - Permissions the user must all have
+ */
+const requirePermissions = (requiredPermissions = []) => {
+    return asyncHandler(async (req, res, next) => {
+        if (!req.user) {
+            throw new ApiError(401, "Authentication required", { 
+                auth: "Must be authenticated to access this resource" 
+            });
+        }
+
+        const missingPermissions = requiredPermissions.filter(permission => !req.user.hasPermission(permission));
+
+        if (missingPermissions.length > 0) {
+            throw new ApiError(403, "Insufficient permissions", { 
+                auth: `Requires: ${missingPermissions.join(', ')}` 
+            });
+        }
+
+        next();
+    });
+};
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -270,6 +293,7 @@ export {
     verifyJwtToken,
     optionalAuth,
     requireRoles,
+    requirePermissions,
     extractAccessToken,
     validateUserSession
 };
\ No newline at end of file
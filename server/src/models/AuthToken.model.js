@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+import { AUTH_TOKEN_TYPES } from "../constants.js";
+
+// A single-use token sent by email - only its SHA-256 hash is stored
+const authTokenSchema = new mongoose.Schema( {
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        // Sign-in links are issued to an address that may not have an account yet
+        required: function() {
+            return !this.email;
+        },
+        index: true
+    },
+
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+
+    type: {
+        type: String,
+        enum: AUTH_TOKEN_TYPES,
+        required: true
+    },
+
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // Sign-in links - hash of the nonce cookie of the browser that asked for the link,
+    // which is the only browser the link signs in
+    browserHash: {
+        type: String
+    },
+
+    // Set when the token is consumed - a used token is never accepted again
+    usedAt: {
+        type: Date,
+        default: null
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: { expireAfterSeconds: 0 } // Auto-delete expired tokens
+    }
+}, {
+    timestamps: true
+} );
+
+authTokenSchema.index( { userId: 1, type: 1, usedAt: 1 } );
+
+// Per-address rate limiting of sign-in links
+authTokenSchema.index( { email: 1, type: 1, createdAt: -1 } );
+
+export default mongoose.model( "AuthToken", authTokenSchema );
@@ -0,0 +1,113 @@
+import mongoose from "mongoose";
+import { MODERATION_STATUSES } from "../constants.js";
+import { generatePseudonym } from "../utils/pseudonym.js";
+
+const commentSchema = new mongoose.Schema( {
+    experienceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "InterviewExperience",
+        required: true
+    },
+
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    // Anonymous comments show the pseudonym publicly - userId is kept for the author and moderators
+    isAnonymous: {
+        type: Boolean,
+        default: false
+    },
+
+    // Seeded by the experience, so a user keeps one pseudonym across a whole thread
+    pseudonym: {
+        type: String
+    },
+
+    // Direct parent for replies, null for top-level comments
+    parentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Comment",
+        default: null
+    },
+
+    // Top-level comment of the thread, null for top-level comments - lets a whole thread load in one query
+    rootId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Comment",
+        default: null
+    },
+
+    depth: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    content: {
+        type: String,
+        trim: true,
+        maxLength: [2000, "Comment cannot exceed 2000 characters"]
+    },
+
+    editedAt: {
+        type: Date,
+        default: null
+    },
+
+    // Soft delete keeps the comment as a placeholder so replies stay attached
+    isDeleted: {
+        type: Boolean,
+        default: false
+    },
+
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+
+    // Hidden automatically after too many reports, removed by a moderator
+    moderationStatus: {
+        type: String,
+        enum: MODERATION_STATUSES,
+        default: "visible"
+    },
+
+    // Reports awaiting moderator review
+    openReportsCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+}, {
+    timestamps: true
+} );
+
+// Top-level comments of an experience, oldest first
+commentSchema.index( { experienceId: 1, parentId: 1, createdAt: 1 } );
+
+// All replies of a set of threads
+commentSchema.index( { rootId: 1, createdAt: 1 } );
+
+// Pre-validate middleware to assign the pseudonym once, so it never changes for this comment
+commentSchema.pre( 'validate', function( next ) {
+    if ( this.isAnonymous && !this.pseudonym ) {
+        this.pseudonym = generatePseudonym( this.experienceId, this.userId );
+    }
+    next();
+} );
+
+// Never serialize the real author of an anonymous comment
+commentSchema.set( 'toJSON', {
+    transform: function( doc, ret ) {
+        if ( ret.isAnonymous ) {
+            delete ret.userId;
+        }
+        return ret;
+    }
+} );
+
+export default mongoose.model( "Comment", commentSchema );
@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+import { normalizeCompanyKey, slugify } from "../utils/text.js";
+
+const companySchema = new mongoose.Schema( {
+    // Canonical display name, e.g. "Amazon"
+    name: {
+        type: String,
+        required: [true, "Company name is required"],
+        trim: true,
+        maxLength: [100, "Company name cannot exceed 100 characters"]
+    },
+
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+
+    // Alternative spellings shown to users, e.g. ["AWS", "Amazon.com"]
+    aliases: {
+        type: [String],
+        default: []
+    },
+
+    // Normalized keys of the name and every alias - what user input is matched against
+    aliasKeys: {
+        type: [String],
+        default: []
+    },
+
+    domain: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+
+    logoUrl: {
+        type: String,
+        default: "",
+        validate: {
+            validator: function(v) {
+                return !v || /^https?:\/\/.+/.test(v);
+            },
+            message: "Logo URL must be a valid URL"
+        }
+    },
+
+}, {
+    timestamps: true
+} );
+
+// A normalized key can belong to one company only
+companySchema.index( { aliasKeys: 1 }, { unique: true } );
+
+// Keep slug and alias keys derived from name and aliases
+companySchema.pre( 'validate', function( next ) {
+    if ( !this.slug ) {
+        this.slug = slugify( this.name );
+    }
+
+    if ( this.isModified( 'name' ) || this.isModified( 'aliases' ) ) {
+        this.aliases = [...new Set( this.aliases.map( alias => alias.trim() ).filter( Boolean ) )];
+        const keys = [this.name, ...this.aliases].map( normalizeCompanyKey ).filter( Boolean );
+        this.aliasKeys = [...new Set( [...this.aliasKeys, ...keys] )];
+    }
+    next();
+} );
+
+/**
+ * Find company matching free-text input by any of its normalized keys
+ * @param {string} input - Company name as typed
+ */
+companySchema.statics.findByInput = function( input ) {
+    const key = normalizeCompanyKey( input );
+    return key ? this.findOne( { aliasKeys: key } ) : Promise.resolve( null );
+};
+
+companySchema.set( 'toJSON', {
+    transform: function( doc, ret ) {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.__v;
+        delete ret.aliasKeys;
+        return ret;
+    }
+} );
+
+export default mongoose.model( "Company", companySchema );
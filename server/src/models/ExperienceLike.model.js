@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// One document per user-experience like; the unique index guarantees a user can like a post only once
+const experienceLikeSchema = new mongoose.Schema( {
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    experienceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "InterviewExperience",
+        required: true,
+        index: true
+    },
+
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+} );
+
+experienceLikeSchema.index( { userId: 1, experienceId: 1 }, { unique: true } );
+
+/**
+ * Get the subset of experience IDs liked by a user
+ * @param {string} userId - User ID
+ * @param {Array} experienceIds - Experience IDs to check
+ * @returns {Promise<Set<string>>} Set of liked experience IDs
+ */
+experienceLikeSchema.statics.findLikedIds = async function( userId, experienceIds ) {
+    if ( !userId || experienceIds.length === 0 ) {
+        return new Set();
+    }
+
+    const likes = await this.find( {
+        userId,
+        experienceId: { $in: experienceIds }
+    } ).select( 'experienceId' ).lean();
+
+    return new Set( likes.map( like => like.experienceId.toString() ) );
+};
+
+export default mongoose.model( "ExperienceLike", experienceLikeSchema );
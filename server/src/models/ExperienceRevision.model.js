@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+// An immutable snapshot of an experience's editable fields, stored on every edit
+const experienceRevisionSchema = new mongoose.Schema( {
+    experienceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "InterviewExperience",
+        required: true,
+        immutable: true
+    },
+
+    // Sequential per experience, starting at 1
+    revision: {
+        type: Number,
+        required: true,
+        min: 1,
+        immutable: true
+    },
+
+    editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        immutable: true
+    },
+
+    changedFields: {
+        type: [String],
+        default: [],
+        immutable: true
+    },
+
+    // Editable fields of the experience as they were after this edit
+    snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+        immutable: true
+    },
+
+    // Revision whose snapshot this edit restored, if any
+    restoredFrom: {
+        type: Number,
+        immutable: true
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        immutable: true
+    }
+}, {
+    versionKey: false
+} );
+
+experienceRevisionSchema.index( { experienceId: 1, revision: -1 }, { unique: true } );
+
+// Revisions are history - reject any attempt to change one after it is written
+experienceRevisionSchema.pre( 'save', function( next ) {
+    if ( !this.isNew ) {
+        return next( new Error( "Experience revisions are immutable" ) );
+    }
+    next();
+} );
+
+experienceRevisionSchema.pre( [ 'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace' ], function( next ) {
+    next( new Error( "Experience revisions are immutable" ) );
+} );
+
+export default mongoose.model( "ExperienceRevision", experienceRevisionSchema );
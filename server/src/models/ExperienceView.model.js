@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// Marks that a viewer (user or anonymous fingerprint) already counted a view within the dedup window
+const experienceViewSchema = new mongoose.Schema( {
+    experienceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "InterviewExperience",
+        required: true
+    },
+
+    // "user:<id>" for logged-in users, "anon:<sha256(ip|userAgent)>" otherwise
+    viewerKey: {
+        type: String,
+        required: true
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: { expireAfterSeconds: 0 } // Auto-delete once the dedup window has passed
+    }
+} );
+
+experienceViewSchema.index( { experienceId: 1, viewerKey: 1 }, { unique: true } );
+
+export default mongoose.model( "ExperienceView", experienceViewSchema );
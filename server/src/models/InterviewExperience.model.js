@@ -1,4 +1,46 @@
 import mongoose from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { parseCompensation } from "../utils/compensationParser.js";
+import { renderMarkdown } from "../utils/markdownRenderer.js";
+import { generatePseudonym } from "../utils/pseudonym.js";
+import { EXPERIENCE_DIFFICULTIES, EXPERIENCE_STATUSES, MODERATION_STATUSES, ROUND_TYPES, ROUND_MODES, ROUND_RESULTS } from "../constants.js";
+
+// A single interview round - the position in the rounds array is the round order
+const interviewRoundSchema = new mongoose.Schema( {
+    type: {
+        type: String,
+        enum: ROUND_TYPES,
+        required: true
+    },
+
+    durationMinutes: {
+        type: Number,
+        min: 1,
+        max: 600
+    },
+
+    mode: {
+        type: String,
+        enum: ROUND_MODES
+    },
+
+    difficulty: {
+        type: String,
+        enum: EXPERIENCE_DIFFICULTIES
+    },
+
+    questions: {
+        type: [String],
+        default: []
+    },
+
+    result: {
+        type: String,
+        enum: ROUND_RESULTS
+    }
+}, {
+    _id: false
+} );
 
 const interviewExperienceSchema = new mongoose.Schema( {
     userId: {
@@ -7,12 +49,29 @@ const interviewExperienceSchema = new mongoose.Schema( {
         required: true
     },
 
+    // Anonymous experiences show the pseudonym publicly - userId is kept for the author and moderators
+    isAnonymous: {
+        type: Boolean,
+        default: false
+    },
+
+    pseudonym: {
+        type: String
+    },
+
+    // Canonical company name - kept in sync with companyId for display and text search
     company: {
         type: String,
         required: true,
         index: true
     },
 
+    companyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Company",
+        index: true
+    },
+
     location: {
         type: String
     },
@@ -25,7 +84,7 @@ const interviewExperienceSchema = new mongoose.Schema( {
 
     difficulty: {
         type: String,
-        enum: ["Easy", "Medium", "Hard"],
+        enum: EXPERIENCE_DIFFICULTIES,
         required: true,
         index: true
     },
@@ -40,29 +99,200 @@ const interviewExperienceSchema = new mongoose.Schema( {
         type: String // e.g., "15 LPA", "$130K", etc.
     },
 
+    // Structured form of package - derived from it on save, never set directly
+    compensation: {
+        currency: String,
+        base: Number,
+        bonus: Number,
+        equity: Number,
+        total: Number,
+        period: {
+            type: String,
+            enum: ["yearly", "monthly", "hourly"]
+        },
+        raw: String,
+        annualTotalUsd: Number
+    },
+
     content: {
         type: String, // Markdown string
         required: true
     },
 
+    // Sanitized HTML, table of contents and reading time - rendered from content on save
+    contentHtml: {
+        type: String
+    },
+
+    toc: {
+        type: [{
+            _id: false,
+            level: Number,
+            text: String,
+            id: String
+        }],
+        default: undefined
+    },
+
+    readingTimeMinutes: {
+        type: Number
+    },
+
     tags: {
         type: [String],
         default: [],
         index: true
     },
+
+    // Drafts are visible only to their author, archived experiences are hidden from listings
+    status: {
+        type: String,
+        enum: EXPERIENCE_STATUSES,
+        default: "published",
+        index: true
+    },
+
+    // Hidden automatically after too many reports, removed by a moderator
+    moderationStatus: {
+        type: String,
+        enum: MODERATION_STATUSES,
+        default: "visible",
+        index: true
+    },
+
+    // Reports awaiting moderator review
+    openReportsCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    // Optional structured, ordered breakdown of the interview rounds
+    rounds: {
+        type: [interviewRoundSchema],
+        default: undefined
+    },
     // Only login user can like the interview experience
+    // Denormalized count of ExperienceLike documents - updated only alongside like inserts/deletes
     likes: {
         type: Number,
-        default: 0
+        default: 0,
+        min: 0
     },
     // when user views or read the interview experience
     views: {
         type: Number,
         default: 0
     },
+    // Denormalized count of comments that are not deleted
+    commentsCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
 
 }, {
-    timestamps: true
+    timestamps: true,
+    // Every save bumps the version key and fails if another edit saved first
+    optimisticConcurrency: true
 } );
 
+// Index for salary range filters
+interviewExperienceSchema.index( { "compensation.annualTotalUsd": 1 } );
+
+// Index for filtering by round type
+interviewExperienceSchema.index( { "rounds.type": 1 } );
+
+// Compound indexes backing the listing sort orders
+interviewExperienceSchema.index( { createdAt: -1 } );
+interviewExperienceSchema.index( { likes: -1, createdAt: -1 } );
+interviewExperienceSchema.index( { views: -1, createdAt: -1 } );
+
+// Weighted text index for full-text search (one text index per collection)
+interviewExperienceSchema.index( {
+    company: "text",
+    tags: "text",
+    location: "text",
+    content: "text"
+}, {
+    name: "experience_text_search",
+    weights: { company: 10, tags: 6, location: 3, content: 1 }
+} );
+
+// Pre-validate middleware to assign the pseudonym once, so it never changes for this post
+interviewExperienceSchema.pre( 'validate', function( next ) {
+    if ( this.isAnonymous && !this.pseudonym ) {
+        this.pseudonym = generatePseudonym( this._id, this.userId );
+    }
+    next();
+} );
+
+// Pre-save middleware to parse the free-text package into structured compensation
+interviewExperienceSchema.pre( 'save', function( next ) {
+    if ( this.isModified( 'package' ) ) {
+        this.compensation = parseCompensation( this.package ) || undefined;
+    }
+    next();
+} );
+
+// Pre-save middleware to render the markdown content once instead of on every read
+interviewExperienceSchema.pre( 'save', function( next ) {
+    if ( this.isModified( 'content' ) ) {
+        const { html, toc, readingTimeMinutes } = renderMarkdown( this.content );
+        this.contentHtml = html;
+        this.toc = toc;
+        this.readingTimeMinutes = readingTimeMinutes;
+    }
+    next();
+} );
+
+/**
+ * Filter matching experiences shown in public listings
+ * Documents created before statuses existed have no status fields and count as published
+ * @returns {Object} Query conditions
+ */
+interviewExperienceSchema.statics.publishedFilter = function() {
+    return {
+        status: { $nin: [ "draft", "archived" ] },
+        moderationStatus: { $nin: [ "hidden", "removed" ] }
+    };
+};
+
+/**
+ * Filter matching experiences anyone may open, like and comment on
+ * @returns {Object} Query conditions
+ */
+interviewExperienceSchema.statics.visibleFilter = function() {
+    return {
+        status: { $ne: "draft" },
+        moderationStatus: { $nin: [ "hidden", "removed" ] }
+    };
+};
+
+/**
+ * Check whether a user may see this experience - drafts and moderated
+ * experiences are visible to their author only
+ * @param {string|null} userId - User ID, if any
+ * @returns {boolean} True if visible
+ */
+interviewExperienceSchema.methods.isVisibleTo = function( userId ) {
+    if ( this.status !== "draft" && this.moderationStatus === "visible" ) {
+        return true;
+    }
+    const authorId = this.populated( "userId" ) || this.userId;
+    return Boolean( userId ) && authorId.toString() === userId.toString();
+};
+
+// Never serialize the real author of an anonymous experience
+interviewExperienceSchema.set( 'toJSON', {
+    transform: function( doc, ret ) {
+        if ( ret.isAnonymous ) {
+            delete ret.userId;
+        }
+        return ret;
+    }
+} );
+
+interviewExperienceSchema.plugin( mongooseAggregatePaginate );
+
 export default mongoose.model( "InterviewExperience", interviewExperienceSchema );
\ No newline at end of file
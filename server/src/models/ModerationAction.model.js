@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+import { MODERATION_ACTIONS, REPORT_TARGET_TYPES } from "../constants.js";
+
+// Audit log entry for a moderator decision - never updated once written
+const moderationActionSchema = new mongoose.Schema( {
+    targetType: {
+        type: String,
+        enum: REPORT_TARGET_TYPES,
+        required: true
+    },
+
+    targetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        index: true
+    },
+
+    experienceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "InterviewExperience",
+        required: true
+    },
+
+    // Author of the moderated content
+    authorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+
+    moderatorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    action: {
+        type: String,
+        enum: MODERATION_ACTIONS,
+        required: true
+    },
+
+    note: {
+        type: String,
+        trim: true,
+        maxLength: [1000, "Moderation note cannot exceed 1000 characters"]
+    },
+
+    // Number of open reports this action resolved
+    reportsResolved: {
+        type: Number,
+        default: 0
+    },
+
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+} );
+
+moderationActionSchema.index( { createdAt: -1 } );
+
+export default mongoose.model( "ModerationAction", moderationActionSchema );
@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+import { QUESTION_TOPICS } from "../constants.js";
+
+// One entry per experience the question was collected from
+const questionSourceSchema = new mongoose.Schema( {
+    experienceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "InterviewExperience",
+        required: true
+    },
+
+    company: {
+        type: String,
+        required: true
+    },
+
+    // Interview date of the source experience - drives recency ranking
+    seenAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    _id: false
+} );
+
+const questionSchema = new mongoose.Schema( {
+    // Question text as first written by an author
+    text: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    // Lowercased, punctuation-free text used to merge the same question across experiences
+    normalizedText: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    topic: {
+        type: String,
+        enum: QUESTION_TOPICS,
+        default: "other",
+        index: true
+    },
+
+    sources: {
+        type: [questionSourceSchema],
+        default: []
+    },
+
+    // Denormalized from sources - recomputed whenever sources change
+    occurrenceCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    lastSeenAt: {
+        type: Date
+    },
+
+}, {
+    timestamps: true
+} );
+
+questionSchema.index( { "sources.experienceId": 1 } );
+questionSchema.index( { "sources.company": 1, topic: 1 } );
+questionSchema.index( { topic: 1, occurrenceCount: -1, lastSeenAt: -1 } );
+
+export default mongoose.model( "Question", questionSchema );
@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+import { REPORT_REASONS, REPORT_TARGET_TYPES } from "../constants.js";
+
+// A user's report against an experience or a comment - reports stay open until a moderator acts
+const reportSchema = new mongoose.Schema( {
+    targetType: {
+        type: String,
+        enum: REPORT_TARGET_TYPES,
+        required: true
+    },
+
+    targetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+
+    // Experience the target belongs to - the target itself for experience reports
+    experienceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "InterviewExperience",
+        required: true
+    },
+
+    reporterId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    reason: {
+        type: String,
+        enum: REPORT_REASONS,
+        required: true
+    },
+
+    details: {
+        type: String,
+        trim: true,
+        maxLength: [500, "Report details cannot exceed 500 characters"]
+    },
+
+    status: {
+        type: String,
+        enum: ["open", "resolved"],
+        default: "open"
+    },
+
+    // Moderation action that closed the report
+    resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ModerationAction",
+        default: null
+    },
+
+    resolvedAt: {
+        type: Date,
+        default: null
+    },
+
+}, {
+    timestamps: true
+} );
+
+// One report per user per piece of content
+reportSchema.index( { targetType: 1, targetId: 1, reporterId: 1 }, { unique: true } );
+
+// Index backing the moderation queue
+reportSchema.index( { status: 1, targetType: 1, createdAt: -1 } );
+
+export default mongoose.model( "Report", reportSchema );
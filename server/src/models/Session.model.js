@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { hashSessionToken } from "../utils/Token.js";
 
 const sessionSchema = new mongoose.Schema(
     {
@@ -8,20 +9,39 @@ const sessionSchema = new mongoose.Schema(
             required: true,
             index: true // Index for faster queries
         },
-        refreshToken: { 
-            type: String, 
+        // Keyed hashes of the tokens (see hashSessionToken) - a database dump holds no usable tokens
+        refreshTokenHash: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        accessTokenHash: {
+            type: String,
             required: true,
-            unique: true,
             index: true
         },
-        accessToken: {
+        // Shared by every refresh token issued from one login - a rotated token
+        // presented again identifies the family to revoke
+        familyId: {
             type: String,
-            required: true
+            index: true
+        },
+        // Token replaced by the last rotation - a refresh racing that rotation may still present it
+        previousRefreshTokenHash: {
+            type: String,
+            index: true
         },
+        rotationCount: {
+            type: Number,
+            default: 0
+        },
+        lastRotatedAt: {
+            type: Date
+        },
+        // local, email or the name of an OAuth provider - providers are configured, so not an enum
         provider: {
             type: String,
-            required: true,
-            enum: ["google", "github", "linkedin"]
+            required: true
         },
         deviceInfo: {
             userAgent: String,
@@ -36,6 +56,9 @@ const sessionSchema = new mongoose.Schema(
             type: Date,
             default: Date.now
         },
+        loggedOutAt: {
+            type: Date
+        },
         expiresAt: {
             type: Date,
             required: true,
@@ -57,13 +80,11 @@ sessionSchema.index({ expiresAt: 1, isActive: 1 });
 // STATIC METHODS
 // =============================================================================
 
-// Static method to clean up expired/inactive sessions
+// Static method to clean up expired sessions the TTL monitor has not removed yet
+// Revoked sessions are kept until they expire - refresh reuse detection needs their token history
 sessionSchema.statics.cleanExpiredSessions = async function() {
     const result = await this.deleteMany({ 
-        $or: [
-            { expiresAt: { $lt: new Date() } },
-            { isActive: false }
-        ]
+        expiresAt: { $lt: new Date() }
     });
     
     if (result.deletedCount > 0) {
@@ -139,4 +160,64 @@ sessionSchema.statics.deactivateOldSessions = async function(userId, maxSessions
     }
 };
 
+// Static method to replace plaintext tokens of sessions created before hashing with their hashes
+// Cookies already issued keep working, so nobody has to sign in again. Safe to run repeatedly.
+sessionSchema.statics.hashPlaintextTokens = async function(batchSize = 500) {
+    // The old unique index treats every session without a refreshToken as a duplicate null
+    try {
+        await this.collection.dropIndex('refreshToken_1');
+    } catch (error) {
+        // IndexNotFound / NamespaceNotFound - already dropped or no sessions yet
+        if (![26, 27].includes(error.code)) {
+            throw error;
+        }
+    }
+
+    const cursor = this.collection.find(
+        { refreshToken: { $exists: true } },
+        { projection: { refreshToken: 1, accessToken: 1 } }
+    );
+
+    let migrated = 0;
+    let operations = [];
+
+    const flush = async () => {
+        if (operations.length > 0) {
+            const result = await this.collection.bulkWrite(operations, { ordered: false });
+            migrated += result.modifiedCount;
+            operations = [];
+        }
+    };
+
+    for await (const session of cursor) {
+        operations.push({
+            updateOne: {
+                // Conditional on the token so a concurrent rotation is not overwritten
+                filter: { _id: session._id, refreshToken: session.refreshToken },
+                update: {
+                    $set: {
+                        refreshTokenHash: hashSessionToken(session.refreshToken),
+                        accessTokenHash: hashSessionToken(session.accessToken)
+                    },
+                    $unset: { refreshToken: "", accessToken: "" }
+                }
+            }
+        });
+
+        if (operations.length >= batchSize) {
+            await flush();
+        }
+    }
+    await flush();
+
+    // Builds the hash indexes, which fail to build while unmigrated sessions remain
+    await this.createIndexes();
+
+    if (migrated > 0) {
+        console.log(`🔐 Hashed tokens of ${migrated} existing sessions`);
+    }
+
+    return { migratedSessions: migrated };
+};
+
 export default mongoose.model( "Session", sessionSchema );
@@ -1,4 +1,10 @@
 import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
+import { USER_ROLES, ROLE_PERMISSIONS } from "../constants.js";
+import { getKnownProviderNames } from "../Shared/OAuthProviders.js";
+
+// Bcrypt cost factor for local passwords
+const PASSWORD_SALT_ROUNDS = 12;
 
 // =============================================================================
 // USER SCHEMA DEFINITION
@@ -27,6 +33,84 @@ const userSchema = new mongoose.Schema({
         maxLength: [50, "Name cannot exceed 50 characters"]
     },
     
+    // Local (email and password) sign-in - OAuth-only accounts have neither
+    username: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        unique: true,
+        sparse: true
+    },
+
+    password: {
+        type: String,
+        select: false // Bcrypt hash, never returned unless explicitly selected
+    },
+
+    isEmailVerified: {
+        type: Boolean,
+        default: false
+    },
+
+    emailVerifiedAt: {
+        type: Date,
+        default: null
+    },
+
+    // Optional TOTP two-factor authentication - the secret is stored encrypted and the
+    // recovery codes hashed, all unselected by default
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        // Secret of an enrollment not yet confirmed with a code
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        // Time step of the last accepted code - a code is never accepted twice
+        lastUsedStep: {
+            type: Number,
+            select: false
+        },
+        recoveryCodes: {
+            type: [{
+                _id: false,
+                codeHash: String,
+                usedAt: { type: Date, default: null }
+            }],
+            select: false
+        },
+        enabledAt: {
+            type: Date,
+            default: null
+        },
+        // Sign-in codes tried since the last success - too many lock the second step for a while
+        failedAttempts: {
+            type: Number,
+            select: false
+        },
+        lockedUntil: {
+            type: Date,
+            select: false
+        },
+        // Last admin-assisted reset, kept for support history
+        resetAt: {
+            type: Date,
+            default: null
+        },
+        resetBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null
+        }
+    },
+
     avatar: {
         type: String,
         default: "",
@@ -39,23 +123,24 @@ const userSchema = new mongoose.Schema({
         }
     },
 
-    // OAuth provider IDs - for linking accounts
+    // OAuth provider IDs - for linking accounts. Configured providers get theirs below.
+    // Unique so one provider account can never sign into two users
     googleId: {
         type: String,
-        sparse: true, // Allows multiple null values
-        index: true
+        unique: true,
+        sparse: true // Allows any number of users without the provider
     },
     
     githubId: {
         type: String,
-        sparse: true,
-        index: true
+        unique: true,
+        sparse: true
     },
     
     linkedinId: {
         type: String,
-        sparse: true,
-        index: true
+        unique: true,
+        sparse: true
     },
 
     // Professional information
@@ -88,12 +173,27 @@ const userSchema = new mongoose.Schema({
         ref: "InterviewExperience"
     }],
 
+    // Access roles - every user has "user", moderators and admins get extra rights
+    roles: {
+        type: [{
+            type: String,
+            enum: USER_ROLES
+        }],
+        default: ['user'],
+        index: true
+    },
+
     // Account status
     isActive: {
         type: Boolean,
         default: true
     },
 
+    deactivatedAt: {
+        type: Date,
+        default: null
+    },
+
     // Last login tracking
     lastLoginAt: {
         type: Date,
@@ -112,13 +212,17 @@ const userSchema = new mongoose.Schema({
     versionKey: '__v'
 });
 
+// Provider ID fields for configured providers beyond the built-in ones
+for (const provider of getKnownProviderNames()) {
+    if (!userSchema.path(`${provider}Id`)) {
+        userSchema.add({ [`${provider}Id`]: { type: String, unique: true, sparse: true } });
+    }
+}
+
 // =============================================================================
 // INDEXES FOR PERFORMANCE
 // =============================================================================
 
-// Compound index for OAuth provider searches
-userSchema.index({ googleId: 1, githubId: 1, linkedinId: 1 });
-
 // Index for active users
 userSchema.index({ isActive: 1, lastLoginAt: -1 });
 
@@ -147,17 +251,35 @@ userSchema.virtual('displayInfo').get(function() {
 
 // Virtual for OAuth providers
 userSchema.virtual('connectedProviders').get(function() {
-    const providers = [];
-    if (this.googleId) providers.push('google');
-    if (this.githubId) providers.push('github');
-    if (this.linkedinId) providers.push('linkedin');
-    return providers;
+    return getKnownProviderNames().filter(provider => this[`${provider}Id`]);
+});
+
+// Virtual for permissions derived from roles
+userSchema.virtual('permissions').get(function() {
+    const roles = this.roles?.length ? this.roles : ['user'];
+    return [...new Set(roles.flatMap(role => ROLE_PERMISSIONS[role] || []))];
 });
 
 // =============================================================================
 // INSTANCE METHODS
 // =============================================================================
 
+/**
+ * Check if user has a role
+ * @param {string} role - Role name (user, moderator, admin)
+ */
+userSchema.methods.hasRole = function(role) {
+    return (this.roles || []).includes(role);
+};
+
+/**
+ * Check if any of the user's roles grants a permission
+ * @param {string} permission - Permission name, e.g. "users:read"
+ */
+userSchema.methods.hasPermission = function(permission) {
+    return this.permissions.includes(permission);
+};
+
 /**
  * Update last login timestamp and increment active session count
  */
@@ -177,6 +299,29 @@ userSchema.methods.decrementLoginCount = function() {
     return this.save();
 };
 
+/**
+ * Check a plain password against the stored hash
+ * The password field must have been selected with the query
+ * @param {string} candidate - Plain password to check
+ */
+userSchema.methods.comparePassword = async function(candidate) {
+    if (!this.password) {
+        return false;
+    }
+    return bcrypt.compare(candidate, this.password);
+};
+
+/**
+ * Mark the email address as verified
+ */
+userSchema.methods.markEmailVerified = function() {
+    if (!this.isEmailVerified) {
+        this.isEmailVerified = true;
+        this.emailVerifiedAt = new Date();
+    }
+    return this;
+};
+
 /**
  * Add a skill if not already present
  * @param {string} skill - Skill to add
@@ -199,7 +344,7 @@ userSchema.methods.removeSkill = function(skill) {
 
 /**
  * Check if user has a specific OAuth provider linked
- * @param {string} provider - Provider name (google, github, linkedin)
+ * @param {string} provider - Provider name, e.g. google
  */
 userSchema.methods.hasProvider = function(provider) {
     const field = `${provider}Id`;
@@ -220,6 +365,66 @@ userSchema.statics.findByProvider = function(provider, providerId) {
     return this.findOne({ [field]: providerId });
 };
 
+/**
+ * Make provider IDs unique in databases created before they were
+ * Duplicates need a person to decide which account keeps the provider, so while any
+ * remain nothing changes and they are returned instead. Safe to run repeatedly.
+ * @returns {Promise<Object>} { duplicates: [{ provider, providerId, userIds }] }
+ */
+userSchema.statics.migrateProviderIdIndexes = async function() {
+    const providerFields = getKnownProviderNames().map(provider => `${provider}Id`);
+
+    // Sparse indexes skip missing fields but not stored nulls - unlinked providers are removed, not nulled
+    for (const field of providerFields) {
+        await this.collection.updateMany(
+            { [field]: { $exists: true, $in: [null, ""] } },
+            { $unset: { [field]: "" } }
+        );
+    }
+
+    const duplicates = [];
+    for (const field of providerFields) {
+        const groups = await this.collection.aggregate([
+            { $match: { [field]: { $exists: true } } },
+            { $group: { _id: `$${field}`, userIds: { $push: '$_id' }, count: { $sum: 1 } } },
+            { $match: { count: { $gt: 1 } } }
+        ]).toArray();
+
+        duplicates.push(...groups.map(group => ({
+            provider: field.slice(0, -2),
+            providerId: group._id,
+            userIds: group.userIds
+        })));
+    }
+
+    if (duplicates.length > 0) {
+        return { duplicates };
+    }
+
+    // The old non-unique indexes share the unique ones' names, so they go first
+    let existingIndexes = [];
+    try {
+        existingIndexes = await this.collection.indexes();
+    } catch (error) {
+        // NamespaceNotFound - no users yet
+        if (error.code !== 26) {
+            throw error;
+        }
+    }
+
+    for (const index of existingIndexes) {
+        const keys = Object.keys(index.key);
+        const isProviderIndex = keys.every(key => providerFields.includes(key));
+        if (isProviderIndex && (keys.length > 1 || !index.unique)) {
+            await this.collection.dropIndex(index.name);
+        }
+    }
+
+    await this.createIndexes();
+
+    return { duplicates };
+};
+
 /**
  * Find users by skill
  * @param {string} skill - Skill to search for
@@ -247,6 +452,21 @@ userSchema.pre('save', function(next) {
     next();
 });
 
+// Pre-save middleware to hash a new or changed password
+userSchema.pre('save', async function() {
+    if (this.isModified('password') && this.password) {
+        this.password = await bcrypt.hash(this.password, PASSWORD_SALT_ROUNDS);
+    }
+});
+
+// Pre-save middleware to keep the base "user" role on every account
+userSchema.pre('save', function(next) {
+    if (this.isModified('roles')) {
+        this.roles = [...new Set(['user', ...this.roles])];
+    }
+    next();
+});
+
 // Pre-save middleware to clean skills array
 userSchema.pre('save', function(next) {
     if (this.isModified('skills')) {
@@ -267,9 +487,18 @@ userSchema.set('toJSON', {
         delete ret._id;
         delete ret.__v;
         // Remove sensitive OAuth IDs and other sensitive data
-        delete ret.googleId;
-        delete ret.githubId;
-        delete ret.linkedinId;
+        for (const provider of getKnownProviderNames()) {
+            delete ret[`${provider}Id`];
+        }
+        delete ret.password;
+        if (ret.twoFactor) {
+            delete ret.twoFactor.secret;
+            delete ret.twoFactor.pendingSecret;
+            delete ret.twoFactor.lastUsedStep;
+            delete ret.twoFactor.recoveryCodes;
+            delete ret.twoFactor.failedAttempts;
+            delete ret.twoFactor.lockedUntil;
+        }
         return ret;
     }
 });
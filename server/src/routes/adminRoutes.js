@@ -0,0 +1,26 @@
+import { Router } from "express";
+import { verifyJwtToken, requirePermissions } from "../middlewares/auth.middlewares.js";
+import ValidationService from "../services/validationService.js";
+import {
+    listUsers,
+    getUser,
+    changeUserRoles,
+    deactivateUser,
+    reactivateUser,
+    resetUserTwoFactor
+} from "../controllers/adminControllers.js";
+
+const router = Router();
+
+// Protected routes - each one additionally checks its own permission
+router.use(verifyJwtToken);
+
+// User management routes
+router.route("/users").get(requirePermissions(['users:read']), ValidationService.validateAdminUserList, listUsers);
+router.route("/users/:userId").get(requirePermissions(['users:read']), ValidationService.validateUserId, getUser);
+router.route("/users/:userId/roles").patch(requirePermissions(['users:manage_roles']), ValidationService.validateUserRoles, changeUserRoles);
+router.route("/users/:userId/deactivate").post(requirePermissions(['users:deactivate']), ValidationService.validateUserId, deactivateUser);
+router.route("/users/:userId/reactivate").post(requirePermissions(['users:deactivate']), ValidationService.validateUserId, reactivateUser);
+router.route("/users/:userId/2fa/reset").post(requirePermissions(['users:reset_2fa']), ValidationService.validateUserId, resetUserTwoFactor);
+
+export default router;
@@ -1,32 +1,61 @@
 import express from "express";
 import {
-    googleAuth,
-    googleCallback,
-    githubAuth,
-    githubCallback,
-    linkedinAuth,
-    linkedinCallback,
+    listProviders,
+    oauthAuth,
+    oauthCallback,
+    startProviderLink,
     logout,
-    logoutAllDevices
+    logoutAllDevices,
+    refreshSession
 } from "../controllers/authController.js";
+import {
+    registerUser,
+    loginUser,
+    verifyEmail,
+    resendVerificationEmail,
+    forgotPassword,
+    resetPassword,
+    requestEmailSignIn,
+    emailSignInPage,
+    emailSignInCallback
+} from "../controllers/localAuthControllers.js";
+import { verifyTwoFactorLogin } from "../controllers/twoFactorControllers.js";
 import { verifyJwtToken } from "../middlewares/auth.middlewares.js";
+import ValidationService from "../services/validationService.js";
 
 const router = express.Router();
 
-// Google OAuth
-router.get( "/google", googleAuth );
-router.get( "/google/callback", googleCallback );
+// Enabled OAuth providers, for the sign-in buttons
+router.get( "/providers", listProviders );
+
+// Email and password
+router.post( "/register", ValidationService.validateLocalRegister, registerUser );
+router.post( "/login", ValidationService.validateLocalLogin, loginUser );
+router.post( "/verify-email", ValidationService.validateEmailToken, verifyEmail );
+router.post( "/verify-email/resend", ValidationService.validateEmailAddress, resendVerificationEmail );
+router.post( "/password/forgot", ValidationService.validateEmailAddress, forgotPassword );
+router.post( "/password/reset", ValidationService.validatePasswordReset, resetPassword );
+
+// Passwordless sign-in by emailed link
+router.post( "/email", ValidationService.validateMagicLinkRequest, requestEmailSignIn );
+router.get( "/email/callback", emailSignInPage );
+router.post( "/email/callback", emailSignInCallback );
 
-// GitHub OAuth
-router.get( "/github", githubAuth );
-router.get( "/github/callback", githubCallback );
+// Second factor of a sign-in waiting for it (OAuth or email and password)
+router.post( "/2fa/verify", ValidationService.validateTwoFactorCode, verifyTwoFactorLogin );
 
-// LinkedIn OAuth
-router.get( "/linkedin", linkedinAuth );
-router.get( "/linkedin/callback", linkedinCallback );
+// Token refresh (rotates the refresh token cookie)
+router.post( "/refresh", refreshSession );
 
 // Logout routes
 router.post( "/logout", logout );
 router.post( "/logout-all", verifyJwtToken, logoutAllDevices );
 
+// OAuth sign-in with any enabled provider - after the fixed paths above, which these would shadow
+router.get( "/:provider", oauthAuth );
+router.get( "/:provider/callback", oauthCallback );
+
+// Link a provider to the signed-in account
+router.get( "/:provider/link", verifyJwtToken, ValidationService.validateProvider, startProviderLink );
+
 export default router;
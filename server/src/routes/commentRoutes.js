@@ -0,0 +1,30 @@
+import { Router } from "express";
+import { verifyJwtToken, optionalAuth } from "../middlewares/auth.middlewares.js";
+import ValidationService from "../services/validationService.js";
+import {
+    getComments,
+    addComment,
+    updateComment,
+    deleteComment,
+    reportComment
+} from "../controllers/commentControllers.js";
+
+// Mounted under /api/v1/experiences/:interviewExperienceId/comments
+const router = Router({ mergeParams: true });
+
+// All comment routes are scoped to a valid experience ID
+router.use(ValidationService.validateObjectId);
+
+// Comment thread routes - reading is public, writing requires authentication
+router.route("/")
+    .get(optionalAuth, ValidationService.validatePagination, getComments)
+    .post(verifyJwtToken, ValidationService.validateComment, addComment);
+
+router.route("/:commentId")
+    .patch(verifyJwtToken, ValidationService.validateCommentUpdate, updateComment)
+    .delete(verifyJwtToken, ValidationService.validateCommentId, deleteComment);
+
+// Report for moderation - one report per user per comment
+router.route("/:commentId/report").post(verifyJwtToken, ValidationService.validateCommentReport, reportComment);
+
+export default router;
@@ -0,0 +1,10 @@
+import { Router } from "express";
+import ValidationService from "../services/validationService.js";
+import { getCompanyBySlug } from "../controllers/companyControllers.js";
+
+const router = Router();
+
+// Public company routes
+router.route("/:slug").get(ValidationService.validateCompanySlug, getCompanyBySlug);
+
+export default router;
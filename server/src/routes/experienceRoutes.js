@@ -0,0 +1,45 @@
+import { Router } from "express";
+import { verifyJwtToken, optionalAuth } from "../middlewares/auth.middlewares.js";
+import ValidationService from "../services/validationService.js";
+import {
+    createExperience,
+    listExperiences,
+    searchExperiences,
+    getExperienceById,
+    updateExperience,
+    listExperienceRevisions,
+    diffExperienceRevisions,
+    restoreExperienceRevision,
+    deleteExperience,
+    toggleExperienceLike,
+    reportExperience
+} from "../controllers/experienceControllers.js";
+
+const router = Router();
+
+// Experience collection routes
+router.route("/")
+    .get(optionalAuth, ValidationService.validateExperienceList, listExperiences)
+    .post(verifyJwtToken, ValidationService.validateExperienceCreate, createExperience);
+
+// Full-text search - must be registered before the :interviewExperienceId route
+router.route("/search").get(optionalAuth, ValidationService.validateExperienceSearch, searchExperiences);
+
+// Single experience routes - reads are public, writes are restricted to the author
+router.route("/:interviewExperienceId")
+    .get(optionalAuth, ValidationService.validateObjectId, getExperienceById)
+    .patch(verifyJwtToken, ValidationService.validateExperienceUpdate, updateExperience)
+    .delete(verifyJwtToken, ValidationService.validateObjectId, deleteExperience);
+
+// Edit history - author only
+router.route("/:interviewExperienceId/revisions").get(verifyJwtToken, ValidationService.validateRevisionList, listExperienceRevisions);
+router.route("/:interviewExperienceId/revisions/diff").get(verifyJwtToken, ValidationService.validateRevisionDiff, diffExperienceRevisions);
+router.route("/:interviewExperienceId/revisions/:revision/restore").post(verifyJwtToken, ValidationService.validateRevisionRestore, restoreExperienceRevision);
+
+// Like toggle - one like per user per experience
+router.route("/:interviewExperienceId/like").post(verifyJwtToken, ValidationService.validateObjectId, toggleExperienceLike);
+
+// Report for moderation - one report per user per experience
+router.route("/:interviewExperienceId/report").post(verifyJwtToken, ValidationService.validateReport, reportExperience);
+
+export default router;
@@ -0,0 +1,25 @@
+import { Router } from "express";
+import { verifyJwtToken, requireRoles } from "../middlewares/auth.middlewares.js";
+import ValidationService from "../services/validationService.js";
+import { MODERATOR_ROLES } from "../constants.js";
+import {
+    getModerationQueue,
+    moderateContent,
+    listModerationActions
+} from "../controllers/moderationControllers.js";
+
+const router = Router();
+
+// Every moderation route requires a moderator or admin
+router.use(verifyJwtToken, requireRoles(MODERATOR_ROLES));
+
+// Reported content grouped by target, most reported first
+router.route("/queue").get(ValidationService.validateModerationQueue, getModerationQueue);
+
+// Audit log of moderator decisions
+router.route("/actions").get(ValidationService.validateModerationActionList, listModerationActions);
+
+// Moderator decision on a reported experience or comment
+router.route("/:targetType/:targetId/actions").post(ValidationService.validateModerationAction, moderateContent);
+
+export default router;
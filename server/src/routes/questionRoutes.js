@@ -0,0 +1,14 @@
+import { Router } from "express";
+import ValidationService from "../services/validationService.js";
+import {
+    listQuestions,
+    getQuestionById
+} from "../controllers/questionControllers.js";
+
+const router = Router();
+
+// Public question bank routes
+router.route("/").get(ValidationService.validateQuestionList, listQuestions);
+router.route("/:questionId").get(ValidationService.validateQuestionId, getQuestionById);
+
+export default router;
@@ -7,8 +7,18 @@ import {
     getUserBookmarks,
     addBookmark,
     removeBookmark,
-    logoutAllOtherDevices
+    logoutAllOtherDevices,
+    getUserSessions,
+    revokeUserSession,
+    unlinkProvider
 } from "../controllers/userControllers.js";
+import {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+} from "../controllers/twoFactorControllers.js";
 
 const router = Router();
 
@@ -18,9 +28,23 @@ router.use(verifyJwtToken); // Apply auth middleware to all routes below
 // User profile routes
 router.route("/profile").get(getCurrentUser).patch(ValidationService.validateUserProfileUpdate, updateUserProfile);
 
+// Linked sign-in providers (linking starts at /auth/:provider/link)
+router.route("/providers/:provider").delete(ValidationService.validateProvider, unlinkProvider);
+
+// Two-factor authentication (the sign-in check is /auth/2fa/verify)
+router.route("/2fa").get(getTwoFactorStatus);
+router.route("/2fa/setup").post(setupTwoFactor);
+router.route("/2fa/enable").post(ValidationService.validateTotpCode, enableTwoFactor);
+router.route("/2fa/disable").post(ValidationService.validateTwoFactorCode, disableTwoFactor);
+router.route("/2fa/recovery-codes").post(ValidationService.validateTwoFactorCode, regenerateRecoveryCodes);
+
 // Auth routes
 router.route("/logout-all-others").post(logoutAllOtherDevices);
 
+// Session (device) management routes
+router.route("/sessions").get(getUserSessions);
+router.route("/sessions/:sessionId").delete(ValidationService.validateSessionId, revokeUserSession);
+
 // Bookmark routes
 router.route("/bookmarks").get(ValidationService.validatePagination, getUserBookmarks).post(ValidationService.validateBookmark, addBookmark);
 router.route("/bookmarks/:interviewExperienceId").delete(ValidationService.validateObjectId, removeBookmark);
@@ -0,0 +1,9 @@
+import { Router } from "express";
+import { jwks } from "../controllers/authController.js";
+
+const router = Router();
+
+// JSON Web Key Set for verifying access tokens in other services
+router.route("/jwks.json").get(jwks);
+
+export default router;
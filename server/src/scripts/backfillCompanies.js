@@ -0,0 +1,98 @@
+import 'dotenv/config';
+import mongoose from "mongoose";
+import mongosDBconnection from "../db/index.js";
+import InterviewExperience from "../models/InterviewExperience.model.js";
+import User from "../models/User.model.js";
+import CompanyService from "../services/companyService.js";
+import QuestionService from "../services/questionService.js";
+
+// =============================================================================
+// COMPANY BACKFILL
+// Links existing experiences to canonical Company documents and rewrites their
+// company name to the canonical one. Safe to run repeatedly.
+// Usage: npm run backfill-companies [-- --all]
+// =============================================================================
+
+const BACKFILL_CONFIG = {
+    // Re-resolve every experience instead of only those without a companyId
+    REPROCESS_ALL: process.argv.includes('--all'),
+    LOG_EVERY: 500
+};
+
+/**
+ * Link experiences to canonical companies
+ * @returns {Promise<Object>} Backfill statistics
+ */
+const backfillExperiences = async () => {
+    const stats = { processed: 0, renamed: 0, failed: 0 };
+    const filter = BACKFILL_CONFIG.REPROCESS_ALL ? {} : { companyId: { $exists: false } };
+
+    const cursor = InterviewExperience.find(filter).cursor();
+
+    for await (const experience of cursor) {
+        try {
+            const company = await CompanyService.resolveCompany(experience.company);
+            const renamed = experience.company !== company.name;
+
+            // updateOne skips validation and timestamps - this is a data migration, not an edit
+            await InterviewExperience.updateOne(
+                { _id: experience._id },
+                { $set: { company: company.name, companyId: company._id } },
+                { timestamps: false }
+            );
+
+            if (renamed) {
+                experience.company = company.name;
+                await QuestionService.syncExperienceQuestions(experience);
+                stats.renamed++;
+            }
+        } catch (error) {
+            stats.failed++;
+            console.error(`Failed to backfill experience ${experience._id}:`, error.message);
+        }
+
+        stats.processed++;
+        if (stats.processed % BACKFILL_CONFIG.LOG_EVERY === 0) {
+            console.log(`🔄 Processed ${stats.processed} experiences...`);
+        }
+    }
+
+    return stats;
+};
+
+/**
+ * Rewrite users' current company to the canonical name when the company is known
+ * @returns {Promise<number>} Number of users updated
+ */
+const backfillUserCompanies = async () => {
+    let updated = 0;
+    const cursor = User.find({ currentCompany: { $nin: [null, ''] } }).select('currentCompany').cursor();
+
+    for await (const user of cursor) {
+        const company = await CompanyService.findCompany(user.currentCompany);
+        if (company && company.name !== user.currentCompany) {
+            await User.updateOne({ _id: user._id }, { $set: { currentCompany: company.name } }, { timestamps: false });
+            updated++;
+        }
+    }
+
+    return updated;
+};
+
+const run = async () => {
+    await mongosDBconnection();
+
+    const experienceStats = await backfillExperiences();
+    console.log('✅ Experience company backfill completed:', experienceStats);
+
+    const usersUpdated = await backfillUserCompanies();
+    console.log(`✅ User company backfill completed: ${usersUpdated} users updated`);
+
+    await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+    console.error('💥 Company backfill failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
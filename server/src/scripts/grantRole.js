@@ -0,0 +1,42 @@
+import 'dotenv/config';
+import mongoose from "mongoose";
+import mongosDBconnection from "../db/index.js";
+import User from "../models/User.model.js";
+import { USER_ROLES } from "../constants.js";
+
+// =============================================================================
+// GRANT ROLE
+// Gives an existing account a role from the command line - the only way to
+// create the first admin, who can then manage roles through the admin API.
+// Usage: npm run grant-role -- <email> <role>
+// =============================================================================
+
+const run = async () => {
+    const [email, role] = process.argv.slice(2);
+
+    if (!email || !USER_ROLES.includes(role)) {
+        console.error(`Usage: npm run grant-role -- <email> <${USER_ROLES.join('|')}>`);
+        process.exit(1);
+    }
+
+    await mongosDBconnection();
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user) {
+        console.error(`❌ No user found with email ${email}`);
+        await mongoose.disconnect();
+        process.exit(1);
+    }
+
+    user.roles = [...user.roles, role];
+    await user.save();
+    console.log(`✅ ${user.email} now has roles: ${user.roles.join(', ')}`);
+
+    await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+    console.error('💥 Granting role failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
@@ -0,0 +1,28 @@
+import 'dotenv/config';
+import mongoose from "mongoose";
+import mongosDBconnection from "../db/index.js";
+import Session from "../models/Session.model.js";
+
+// =============================================================================
+// SESSION TOKEN HASHING
+// Replaces the plaintext tokens of sessions created before hashing with their
+// keyed hashes. The server does this on start - run it again after a rolling
+// deploy, when instances on the old code may still have written plaintext sessions.
+// Safe to run repeatedly.
+// Usage: npm run hash-session-tokens
+// =============================================================================
+
+const run = async () => {
+    await mongosDBconnection();
+
+    const { migratedSessions } = await Session.hashPlaintextTokens();
+    console.log(`✅ Session token hashing completed: ${migratedSessions} sessions migrated`);
+
+    await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+    console.error('💥 Session token hashing failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
@@ -0,0 +1,37 @@
+import 'dotenv/config';
+import mongoose from "mongoose";
+import mongosDBconnection from "../db/index.js";
+import User from "../models/User.model.js";
+
+// =============================================================================
+// PROVIDER ID MIGRATION
+// Makes OAuth provider IDs unique. Lists provider accounts linked to more than
+// one user instead - unlink all but one of them, then run this again. The
+// server tries the same on start. Safe to run repeatedly.
+// Usage: npm run migrate-provider-ids
+// =============================================================================
+
+const run = async () => {
+    await mongosDBconnection();
+
+    const { duplicates } = await User.migrateProviderIdIndexes();
+
+    if (duplicates.length > 0) {
+        console.error(`❌ ${duplicates.length} provider accounts are linked to more than one user:`);
+        for (const { provider, providerId, userIds } of duplicates) {
+            console.error(`   ${provider} ${providerId}: users ${userIds.join(', ')}`);
+        }
+        await mongoose.disconnect();
+        process.exit(1);
+    }
+
+    console.log('✅ Provider IDs are unique');
+
+    await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+    console.error('💥 Provider ID migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
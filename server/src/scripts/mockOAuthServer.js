@@ -0,0 +1,152 @@
+import 'dotenv/config';
+import crypto from "crypto";
+import express from "express";
+
+// =============================================================================
+// MOCK OAUTH SERVER
+// A local OpenID Connect provider for trying the sign-in flow without real
+// credentials. Every authorization is approved at once for one test user.
+// Usage: npm run mock-oauth, then enable it as a provider (see OAUTH_SETUP.md)
+// =============================================================================
+
+const MOCK_CONFIG = {
+    PORT: Number(process.env.MOCK_OAUTH_PORT) || 4010,
+    CLIENT_ID: process.env.MOCK_OAUTH_CLIENT_ID || 'mock-client',
+    CLIENT_SECRET: process.env.MOCK_OAUTH_CLIENT_SECRET || 'mock-secret',
+    CODE_TTL_MS: 60 * 1000
+};
+
+const MOCK_USER = {
+    sub: process.env.MOCK_OAUTH_SUBJECT || 'mock-user-1',
+    email: process.env.MOCK_OAUTH_EMAIL || 'mock.user@example.com',
+    email_verified: process.env.MOCK_OAUTH_EMAIL_VERIFIED !== 'false',
+    name: process.env.MOCK_OAUTH_NAME || 'Mock User',
+    picture: 'https://www.gravatar.com/avatar/?d=identicon'
+};
+
+const issuer = process.env.MOCK_OAUTH_ISSUER || `http://localhost:${MOCK_CONFIG.PORT}`;
+
+// code -> { redirectUri, codeChallenge, codeChallengeMethod, expiresAt }
+const authorizationCodes = new Map();
+// access token -> claims
+const accessTokens = new Map();
+
+const randomToken = () => crypto.randomBytes(24).toString('base64url');
+
+/**
+ * Sends an OAuth error response (RFC 6749, section 5.2)
+ * @param {Response} res - Express response object
+ * @param {number} status - HTTP status
+ * @param {string} error - OAuth error code
+ * @param {string} description - Human readable description
+ */
+const oauthError = (res, status, error, description) => res.status(status).json({ error, error_description: description });
+
+/**
+ * Reads the client credentials of a token request, sent as Basic auth or in the body
+ * @param {Request} req - Express request object
+ * @returns {Object} { clientId, clientSecret }
+ */
+const readClientCredentials = (req) => {
+    const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+    if (scheme === 'Basic' && encoded) {
+        const [clientId, clientSecret] = Buffer.from(encoded, 'base64').toString().split(':').map(decodeURIComponent);
+        return { clientId, clientSecret };
+    }
+    return { clientId: req.body.client_id, clientSecret: req.body.client_secret };
+};
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (_, res) => {
+    res.json({
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        userinfo_endpoint: `${issuer}/userinfo`,
+        response_types_supported: ['code'],
+        grant_types_supported: ['authorization_code'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic'],
+        scopes_supported: ['openid', 'profile', 'email']
+    });
+});
+
+// Approves straight away - there is no login page
+app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, response_type, state, code_challenge, code_challenge_method } = req.query;
+
+    if (client_id !== MOCK_CONFIG.CLIENT_ID) {
+        return oauthError(res, 400, 'unauthorized_client', 'Unknown client_id');
+    }
+    if (response_type !== 'code' || !redirect_uri) {
+        return oauthError(res, 400, 'invalid_request', 'response_type=code and redirect_uri are required');
+    }
+    if (code_challenge && code_challenge_method !== 'S256') {
+        return oauthError(res, 400, 'invalid_request', 'Only the S256 code challenge method is supported');
+    }
+
+    const code = randomToken();
+    authorizationCodes.set(code, {
+        redirectUri: redirect_uri,
+        codeChallenge: code_challenge,
+        expiresAt: Date.now() + MOCK_CONFIG.CODE_TTL_MS
+    });
+
+    const callback = new URL(redirect_uri);
+    callback.searchParams.set('code', code);
+    if (state) {
+        callback.searchParams.set('state', state);
+    }
+
+    console.log('🔑 Mock OAuth authorization approved for', MOCK_USER.email);
+    res.redirect(callback.toString());
+});
+
+app.post('/token', (req, res) => {
+    const { grant_type, code, redirect_uri, code_verifier } = req.body;
+    const { clientId, clientSecret } = readClientCredentials(req);
+
+    if (clientId !== MOCK_CONFIG.CLIENT_ID || clientSecret !== MOCK_CONFIG.CLIENT_SECRET) {
+        return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+    }
+    if (grant_type !== 'authorization_code') {
+        return oauthError(res, 400, 'unsupported_grant_type', 'Only authorization_code is supported');
+    }
+
+    // Codes work once
+    const grant = authorizationCodes.get(code);
+    authorizationCodes.delete(code);
+
+    if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== redirect_uri) {
+        return oauthError(res, 400, 'invalid_grant', 'Unknown, expired or mismatched authorization code');
+    }
+
+    if (grant.codeChallenge) {
+        const challenge = crypto.createHash('sha256').update(String(code_verifier || '')).digest('base64url');
+        if (challenge !== grant.codeChallenge) {
+            return oauthError(res, 400, 'invalid_grant', 'PKCE verification failed');
+        }
+    }
+
+    const accessToken = randomToken();
+    accessTokens.set(accessToken, MOCK_USER);
+
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 3600 });
+});
+
+app.get('/userinfo', (req, res) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const claims = scheme === 'Bearer' && accessTokens.get(token);
+
+    if (!claims) {
+        return oauthError(res, 401, 'invalid_token', 'Unknown access token');
+    }
+
+    res.json(claims);
+});
+
+app.listen(MOCK_CONFIG.PORT, () => {
+    console.log(`⚙️ Mock OAuth server is running at ${issuer} (client ${MOCK_CONFIG.CLIENT_ID})`);
+});
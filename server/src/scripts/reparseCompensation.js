@@ -0,0 +1,55 @@
+import 'dotenv/config';
+import mongoose from "mongoose";
+import mongosDBconnection from "../db/index.js";
+import InterviewExperience from "../models/InterviewExperience.model.js";
+import { parseCompensation } from "../utils/compensationParser.js";
+
+// =============================================================================
+// COMPENSATION REPARSE
+// Parses the package of every experience again, so experiences saved before a
+// parser fix show up in salary filters. Safe to run repeatedly.
+// Usage: npm run reparse-compensation
+// =============================================================================
+
+const REPARSE_CONFIG = {
+    LOG_EVERY: 500
+};
+
+const run = async () => {
+    await mongosDBconnection();
+
+    const stats = { processed: 0, updated: 0, failed: 0 };
+    const cursor = InterviewExperience.find({ package: { $nin: [null, ''] } }).select('package').cursor();
+
+    for await (const experience of cursor) {
+        try {
+            const compensation = parseCompensation(experience.package);
+
+            // updateOne skips validation and timestamps - this is a data migration, not an edit
+            await InterviewExperience.updateOne(
+                { _id: experience._id },
+                compensation ? { $set: { compensation } } : { $unset: { compensation: "" } },
+                { timestamps: false }
+            );
+            stats.updated++;
+        } catch (error) {
+            stats.failed++;
+            console.error(`Failed to reparse experience ${experience._id}:`, error.message);
+        }
+
+        stats.processed++;
+        if (stats.processed % REPARSE_CONFIG.LOG_EVERY === 0) {
+            console.log(`🔄 Processed ${stats.processed} experiences...`);
+        }
+    }
+
+    console.log('✅ Compensation reparse completed:', stats);
+
+    await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+    console.error('💥 Compensation reparse failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
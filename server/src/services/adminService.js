@@ -0,0 +1,226 @@
+import User from "../models/User.model.js";
+import SessionService from "./sessionService.js";
+import TwoFactorService from "./twoFactorService.js";
+import { ApiError } from "../utils/ApiError.js";
+import { escapeRegex } from "../utils/text.js";
+import { sendMail } from "../utils/mailer.js";
+
+/**
+ * Admin service layer for managing user accounts and roles
+ */
+class AdminService {
+    /**
+     * Format user with the account details admins need
+     * @param {Object} user - User document
+     * @returns {Object} Admin view of the user
+     */
+    static formatAdminUser(user) {
+        return {
+            id: user._id,
+            email: user.email,
+            name: user.name,
+            avatar: user.avatar,
+            currentCompany: user.currentCompany,
+            roles: user.roles,
+            permissions: user.permissions,
+            connectedProviders: user.connectedProviders,
+            twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+            twoFactorResetAt: user.twoFactor?.resetAt || null,
+            isActive: user.isActive,
+            deactivatedAt: user.deactivatedAt,
+            lastLoginAt: user.lastLoginAt,
+            loginCount: user.loginCount,
+            createdAt: user.createdAt
+        };
+    }
+
+    /**
+     * Find a user or fail with 404
+     * @param {string} userId - User ID
+     * @returns {Object} User document
+     */
+    static async findUser(userId) {
+        const user = await User.findById(userId);
+
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+
+        return user;
+    }
+
+    /**
+     * List and search users
+     * Free text uses the name/skills text index; input containing "@" matches email prefixes
+     * @param {Object} filters - Filters (q, role, isActive)
+     * @param {Object} options - Pagination options (page, limit)
+     * @returns {Object} Users with pagination info
+     */
+    static async listUsers({ q, role, isActive } = {}, { page = 1, limit = 20 } = {}) {
+        const filter = {};
+        let sort = { createdAt: -1 };
+        let projection = {};
+
+        if (q && q.includes('@')) {
+            filter.email = { $regex: `^${escapeRegex(q.trim().toLowerCase())}` };
+        } else if (q) {
+            filter.$text = { $search: q };
+            projection = { score: { $meta: 'textScore' } };
+            sort = { score: { $meta: 'textScore' }, createdAt: -1 };
+        }
+
+        if (role) {
+            filter.roles = role;
+        }
+
+        if (isActive !== undefined) {
+            // The validator accepts true/false and 1/0 - query values arrive as strings
+            filter.isActive = [true, 'true', '1'].includes(isActive);
+        }
+
+        const [users, totalItems] = await Promise.all([
+            User.find(filter, projection)
+                .sort(sort)
+                .skip((page - 1) * limit)
+                .limit(limit),
+            User.countDocuments(filter)
+        ]);
+
+        const totalPages = Math.ceil(totalItems / limit);
+
+        return {
+            users: users.map(user => this.formatAdminUser(user)),
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalItems,
+                hasNext: page < totalPages,
+                hasPrev: page > 1
+            }
+        };
+    }
+
+    /**
+     * Get a single user
+     * @param {string} userId - User ID
+     * @returns {Object} Admin view of the user
+     */
+    static async getUser(userId) {
+        return this.formatAdminUser(await this.findUser(userId));
+    }
+
+    /**
+     * Replace a user's roles - "user" is always kept
+     * @param {string} adminId - Admin making the change
+     * @param {string} userId - User ID
+     * @param {string[]} roles - New roles
+     * @returns {Object} Updated user
+     */
+    static async changeUserRoles(adminId, userId, roles) {
+        if (adminId.toString() === userId.toString()) {
+            throw new ApiError(400, "You cannot change your own roles");
+        }
+
+        const user = await this.findUser(userId);
+        const newRoles = [...new Set(['user', ...roles])];
+
+        // Never leave the platform without an active admin
+        if (user.hasRole('admin') && !newRoles.includes('admin')) {
+            const otherAdmins = await User.countDocuments({ _id: { $ne: user._id }, roles: 'admin', isActive: true });
+            if (otherAdmins === 0) {
+                throw new ApiError(400, "Cannot remove the last active admin");
+            }
+        }
+
+        user.roles = newRoles;
+        await user.save();
+
+        return this.formatAdminUser(user);
+    }
+
+    /**
+     * Deactivate or reactivate an account
+     * Deactivation revokes all of the user's sessions immediately
+     * @param {string} adminId - Admin making the change
+     * @param {string} userId - User ID
+     * @param {boolean} isActive - New account state
+     * @returns {Object} Updated user and revoked session count
+     */
+    static async setUserActive(adminId, userId, isActive) {
+        if (!isActive && adminId.toString() === userId.toString()) {
+            throw new ApiError(400, "You cannot deactivate your own account");
+        }
+
+        const user = await this.findUser(userId);
+
+        if (user.isActive === isActive) {
+            throw new ApiError(400, isActive ? "Account is already active" : "Account is already deactivated");
+        }
+
+        user.isActive = isActive;
+        user.deactivatedAt = isActive ? null : new Date();
+        await user.save();
+
+        let revokedSessions = 0;
+        if (!isActive) {
+            ({ revokedSessions } = await SessionService.revokeAllSessions(user._id));
+            user.loginCount = 0;
+        }
+
+        return {
+            user: this.formatAdminUser(user),
+            revokedSessions
+        };
+    }
+
+    /**
+     * Remove two-factor authentication from an account whose owner lost their authenticator
+     * and recovery codes. The owner's identity must be confirmed out of band first.
+     * All sessions are revoked and the owner is told by email, so a reset requested by an
+     * impersonator does not go unnoticed
+     * @param {string} adminId - Admin making the change
+     * @param {string} userId - User ID
+     * @returns {Object} Updated user and revoked session count
+     */
+    static async resetTwoFactor(adminId, userId) {
+        if (adminId.toString() === userId.toString()) {
+            throw new ApiError(400, "Ask another admin to reset your own two-factor authentication");
+        }
+
+        const user = await this.findUser(userId);
+
+        if (!user.twoFactor?.enabled) {
+            throw new ApiError(400, "Two-factor authentication is not enabled for this user");
+        }
+
+        const resetAt = new Date();
+        await TwoFactorService.clearTwoFactor(user._id, {
+            'twoFactor.resetAt': resetAt,
+            'twoFactor.resetBy': adminId
+        });
+
+        const { revokedSessions } = await SessionService.revokeAllSessions(user._id);
+
+        console.log('Two-factor authentication reset by admin:', { userId: user._id, adminId, revokedSessions });
+
+        try {
+            await sendMail({
+                to: user.email,
+                subject: "Two-factor authentication was removed from your InterviewReader account",
+                text: `Hi ${user.name},\n\nAn administrator removed two-factor authentication from your account at your request and signed you out everywhere. You can set it up again from your profile after signing in.\n\nIf you did not ask for this, contact support immediately.`
+            });
+        } catch (error) {
+            // The reset is done either way
+            console.error('Failed to send two-factor reset email:', error.message);
+        }
+
+        const updatedUser = await this.findUser(user._id);
+
+        return {
+            user: this.formatAdminUser(updatedUser),
+            revokedSessions
+        };
+    }
+}
+
+export default AdminService;
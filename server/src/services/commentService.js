@@ -0,0 +1,234 @@
+import Comment from "../models/Comment.model.js";
+import InterviewExperience from "../models/InterviewExperience.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { canRevealAuthor } from "../utils/pseudonym.js";
+
+// Replies deeper than this are attached to the deepest allowed ancestor instead
+const MAX_COMMENT_DEPTH = 5;
+
+// Public author fields populated on comment responses
+const AUTHOR_FIELDS = 'name avatar';
+
+/**
+ * Comment service layer for handling comment-related business logic
+ */
+class CommentService {
+    /**
+     * Format comment author - anonymous comments show their pseudonym unless
+     * the viewer may see the real author
+     * @param {Object} data - Plain comment data
+     * @param {Object|null} viewer - Authenticated user, if any
+     * @returns {Object|null} Author data
+     */
+    static formatAuthor(data, viewer) {
+        const author = data.userId && data.userId._id ? data.userId : null;
+        const authorData = author ? { id: author._id, name: author.name, avatar: author.avatar } : null;
+
+        if (!data.isAnonymous) {
+            return authorData;
+        }
+
+        return canRevealAuthor(author?._id || data.userId, viewer)
+            ? { ...authorData, pseudonym: data.pseudonym, isAnonymous: true }
+            : { id: null, name: data.pseudonym, avatar: null, pseudonym: data.pseudonym, isAnonymous: true };
+    }
+
+    /**
+     * Format comment with only necessary information
+     * @param {Object} comment - Comment document
+     * @param {Object|null} viewer - Authenticated user, if any
+     * @returns {Object} Clean comment data
+     */
+    static formatComment(comment, viewer = null) {
+        const data = comment.toObject ? comment.toObject() : comment;
+        const isHidden = data.moderationStatus === 'hidden';
+
+        return {
+            id: data._id,
+            experienceId: data.experienceId,
+            parentId: data.parentId,
+            depth: data.depth,
+            // Deleted and hidden comments keep their place in the thread but lose content and author
+            content: data.isDeleted || isHidden ? null : data.content,
+            author: data.isDeleted || isHidden ? null : this.formatAuthor(data, viewer),
+            isDeleted: data.isDeleted,
+            isHidden,
+            isEdited: Boolean(data.editedAt),
+            createdAt: data.createdAt,
+            updatedAt: data.updatedAt
+        };
+    }
+
+    /**
+     * Find comment and ensure the given user is its author
+     * @param {string} userId - User ID
+     * @param {string} experienceId - Interview experience ID
+     * @param {string} commentId - Comment ID
+     * @returns {Object} Comment document
+     */
+    static async findOwnedComment(userId, experienceId, commentId) {
+        const comment = await Comment.findOne({ _id: commentId, experienceId });
+
+        if (!comment || comment.isDeleted) {
+            throw new ApiError(404, "Comment not found");
+        }
+
+        if (comment.userId.toString() !== userId.toString()) {
+            throw new ApiError(403, "You can only modify your own comments");
+        }
+
+        return comment;
+    }
+
+    /**
+     * Add a comment or reply to an interview experience
+     * @param {string} userId - Author user ID
+     * @param {string} experienceId - Interview experience ID
+     * @param {Object} data - Comment data (content, parentId, isAnonymous)
+     * @returns {Object} Created comment
+     */
+    static async addComment(userId, experienceId, { content, parentId, isAnonymous = false }) {
+        // Drafts and moderated experiences cannot be discussed
+        const experienceExists = await InterviewExperience.exists({ _id: experienceId, ...InterviewExperience.visibleFilter() });
+        if (!experienceExists) {
+            throw new ApiError(404, "Interview experience not found");
+        }
+
+        const commentData = { experienceId, userId, content, isAnonymous };
+
+        if (parentId) {
+            const parent = await Comment.findOne({ _id: parentId, experienceId });
+
+            if (!parent || parent.isDeleted) {
+                throw new ApiError(404, "Parent comment not found");
+            }
+
+            // Keep threads bounded - replies to the deepest level become siblings
+            const attachTo = parent.depth >= MAX_COMMENT_DEPTH ? parent.parentId : parent._id;
+
+            commentData.parentId = attachTo;
+            commentData.rootId = parent.rootId || parent._id;
+            commentData.depth = Math.min(parent.depth + 1, MAX_COMMENT_DEPTH);
+        }
+
+        const comment = await Comment.create(commentData);
+
+        await InterviewExperience.updateOne(
+            { _id: experienceId },
+            { $inc: { commentsCount: 1 } }
+        );
+
+        await comment.populate('userId', AUTHOR_FIELDS);
+
+        return this.formatComment(comment, { _id: userId });
+    }
+
+    /**
+     * Get paginated comment threads for an interview experience
+     * Pagination applies to top-level comments; each comes with all of its replies nested
+     * @param {string} experienceId - Interview experience ID
+     * @param {number} page - Page number
+     * @param {number} limit - Top-level comments per page
+     * @param {Object|null} currentUser - Authenticated user, if any
+     * @returns {Object} Comment threads with pagination info
+     */
+    static async getCommentThreads(experienceId, page = 1, limit = 10, currentUser = null) {
+        const rootFilter = { experienceId, parentId: null };
+
+        const [roots, totalRoots] = await Promise.all([
+            Comment.find(rootFilter)
+                .sort({ createdAt: 1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('userId', AUTHOR_FIELDS),
+            Comment.countDocuments(rootFilter)
+        ]);
+
+        const replies = roots.length > 0
+            ? await Comment.find({ rootId: { $in: roots.map(root => root._id) } })
+                .sort({ createdAt: 1 })
+                .populate('userId', AUTHOR_FIELDS)
+            : [];
+
+        // Build the tree - replies are sorted by creation so parents are always seen first
+        const nodes = new Map();
+        const threads = roots.map(root => {
+            const node = { ...this.formatComment(root, currentUser), replies: [] };
+            nodes.set(root._id.toString(), node);
+            return node;
+        });
+
+        for (const reply of replies) {
+            const node = { ...this.formatComment(reply, currentUser), replies: [] };
+            nodes.set(reply._id.toString(), node);
+            nodes.get(reply.parentId.toString())?.replies.push(node);
+        }
+
+        const totalPages = Math.ceil(totalRoots / limit);
+
+        return {
+            comments: threads,
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalItems: totalRoots,
+                hasNext: page < totalPages,
+                hasPrev: page > 1
+            }
+        };
+    }
+
+    /**
+     * Edit a comment owned by the user
+     * @param {string} userId - User ID
+     * @param {string} experienceId - Interview experience ID
+     * @param {string} commentId - Comment ID
+     * @param {string} content - New comment content
+     * @returns {Object} Updated comment
+     */
+    static async updateComment(userId, experienceId, commentId, content) {
+        const comment = await this.findOwnedComment(userId, experienceId, commentId);
+
+        comment.content = content;
+        comment.editedAt = new Date();
+        await comment.save();
+        await comment.populate('userId', AUTHOR_FIELDS);
+
+        return this.formatComment(comment, { _id: userId });
+    }
+
+    /**
+     * Soft delete a comment owned by the user, keeping its replies in place
+     * @param {string} userId - User ID
+     * @param {string} experienceId - Interview experience ID
+     * @param {string} commentId - Comment ID
+     * @returns {Object} Success response
+     */
+    static async deleteComment(userId, experienceId, commentId) {
+        const comment = await this.findOwnedComment(userId, experienceId, commentId);
+
+        comment.isDeleted = true;
+        comment.deletedAt = new Date();
+        comment.content = undefined;
+        await comment.save();
+
+        await InterviewExperience.updateOne(
+            { _id: experienceId, commentsCount: { $gt: 0 } },
+            { $inc: { commentsCount: -1 } }
+        );
+
+        return { deletedCommentId: commentId };
+    }
+
+    /**
+     * Remove every comment of an interview experience
+     * @param {string} experienceId - Interview experience ID
+     * @returns {number} Number of comments removed
+     */
+    static async deleteExperienceComments(experienceId) {
+        const result = await Comment.deleteMany({ experienceId });
+        return result.deletedCount;
+    }
+}
+
+export default CommentService;
@@ -0,0 +1,150 @@
+import Company from "../models/Company.model.js";
+import InterviewExperience from "../models/InterviewExperience.model.js";
+import COMPANY_SEEDS from "../db/companySeeds.js";
+import { ApiError } from "../utils/ApiError.js";
+import { normalizeCompanyKey, slugify } from "../utils/text.js";
+
+// Number of recent experiences and top tags returned on the company page
+const RECENT_EXPERIENCES_LIMIT = 5;
+const TOP_TAGS_LIMIT = 10;
+
+// Seed entries indexed by every normalized key they answer to
+const SEEDS_BY_KEY = new Map(
+    COMPANY_SEEDS.flatMap(seed =>
+        [seed.name, ...seed.aliases].map(alias => [normalizeCompanyKey(alias), seed])
+    )
+);
+
+/**
+ * Company service layer for normalizing company names and company pages
+ */
+class CompanyService {
+    /**
+     * Find the canonical company for free-text input without creating one
+     * @param {string} input - Company name as typed
+     * @returns {Object|null} Company document or null
+     */
+    static async findCompany(input) {
+        if (!input || !input.trim()) {
+            return null;
+        }
+        return Company.findByInput(input);
+    }
+
+    /**
+     * Map free-text company input to its canonical company, creating it on first mention
+     * @param {string} input - Company name as typed
+     * @returns {Object} Company document
+     */
+    static async resolveCompany(input) {
+        const key = normalizeCompanyKey(input);
+        if (!key) {
+            throw new ApiError(400, "Invalid company name");
+        }
+
+        const existing = await Company.findOne({ aliasKeys: key });
+        if (existing) {
+            return existing;
+        }
+
+        // Known companies are created with their canonical name and aliases
+        const seed = SEEDS_BY_KEY.get(key);
+        const companyData = seed
+            ? { name: seed.name, aliases: seed.aliases, domain: seed.domain }
+            : { name: input.trim() };
+
+        try {
+            return await Company.create(companyData);
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+
+            // Duplicate key - either a concurrent request created the same company,
+            // or a different company already owns the slug
+            const company = await Company.findOne({ aliasKeys: key });
+            if (company) {
+                return company;
+            }
+            return Company.create({ ...companyData, slug: `${slugify(companyData.name)}-${key.slice(0, 8)}` });
+        }
+    }
+
+    /**
+     * Get a company by slug with aggregated stats over its experiences
+     * @param {string} slug - Company slug
+     * @returns {Object} Company with experience stats
+     */
+    static async getCompanyBySlug(slug) {
+        const company = await Company.findOne({ slug: slug.toLowerCase() });
+
+        if (!company) {
+            throw new ApiError(404, "Company not found");
+        }
+
+        const [stats] = await InterviewExperience.aggregate([
+            { $match: { companyId: company._id, ...InterviewExperience.publishedFilter() } },
+            {
+                $facet: {
+                    totals: [
+                        {
+                            $group: {
+                                _id: null,
+                                totalExperiences: { $sum: 1 },
+                                averageYearsOfExperience: { $avg: "$yearsOfExperience" },
+                                totalLikes: { $sum: "$likes" },
+                                totalViews: { $sum: "$views" },
+                                latestInterviewDate: { $max: "$interviewDate" }
+                            }
+                        }
+                    ],
+                    difficulty: [
+                        { $group: { _id: "$difficulty", count: { $sum: 1 } } },
+                        { $sort: { count: -1, _id: 1 } }
+                    ],
+                    roundTypes: [
+                        { $unwind: "$rounds" },
+                        { $group: { _id: "$rounds.type", count: { $sum: 1 } } },
+                        { $sort: { count: -1, _id: 1 } }
+                    ],
+                    averageRounds: [
+                        { $match: { "rounds.0": { $exists: true } } },
+                        { $group: { _id: null, value: { $avg: { $size: "$rounds" } } } }
+                    ],
+                    topTags: [
+                        { $unwind: "$tags" },
+                        { $group: { _id: "$tags", count: { $sum: 1 } } },
+                        { $sort: { count: -1, _id: 1 } },
+                        { $limit: TOP_TAGS_LIMIT }
+                    ],
+                    recentExperiences: [
+                        { $sort: { interviewDate: -1, _id: -1 } },
+                        { $limit: RECENT_EXPERIENCES_LIMIT },
+                        { $project: { difficulty: 1, interviewDate: 1, yearsOfExperience: 1, location: 1, likes: 1, views: 1 } }
+                    ]
+                }
+            }
+        ]);
+
+        const totals = stats.totals[0] || {};
+        const toBuckets = (buckets = []) => buckets.map(bucket => ({ value: bucket._id, count: bucket.count }));
+
+        return {
+            company: company.toJSON(),
+            stats: {
+                totalExperiences: totals.totalExperiences || 0,
+                averageYearsOfExperience: totals.averageYearsOfExperience ?? null,
+                averageRounds: stats.averageRounds[0]?.value ?? null,
+                totalLikes: totals.totalLikes || 0,
+                totalViews: totals.totalViews || 0,
+                latestInterviewDate: totals.latestInterviewDate || null,
+                difficulty: toBuckets(stats.difficulty),
+                roundTypes: toBuckets(stats.roundTypes),
+                topTags: toBuckets(stats.topTags)
+            },
+            recentExperiences: stats.recentExperiences.map(({ _id, ...experience }) => ({ id: _id, ...experience }))
+        };
+    }
+}
+
+export default CompanyService;
@@ -0,0 +1,644 @@
+import mongoose from "mongoose";
+import InterviewExperience from "../models/InterviewExperience.model.js";
+import User from "../models/User.model.js";
+import ExperienceLike from "../models/ExperienceLike.model.js";
+import CommentService from "./commentService.js";
+import QuestionService from "./questionService.js";
+import CompanyService from "./companyService.js";
+import RevisionService from "./revisionService.js";
+import ModerationService from "./moderationService.js";
+import { ApiError } from "../utils/ApiError.js";
+import { escapeRegex, buildHighlightSnippet } from "../utils/text.js";
+import { getPendingViews } from "../utils/viewTracker.js";
+import { convertCurrency } from "../utils/currency.js";
+import { renderMarkdown } from "../utils/markdownRenderer.js";
+import { canRevealAuthor } from "../utils/pseudonym.js";
+import { MIN_PUBLISHED_CONTENT_LENGTH } from "../constants.js";
+
+// Fields an author is allowed to set on create/update
+const EDITABLE_FIELDS = [
+    'company',
+    'location',
+    'yearsOfExperience',
+    'difficulty',
+    'interviewDate',
+    'package',
+    'content',
+    'tags',
+    'rounds',
+    'status',
+    'isAnonymous'
+];
+
+// Public author fields populated on experience responses
+const AUTHOR_FIELDS = 'name avatar currentCompany';
+
+// Sort stages for the listing endpoint
+const SORT_STAGES = {
+    newest: { createdAt: -1, _id: -1 },
+    mostLiked: { likes: -1, createdAt: -1, _id: -1 },
+    mostViewed: { views: -1, createdAt: -1, _id: -1 }
+};
+
+// Fields whose change requires the question bank to be re-collected
+const QUESTION_SOURCE_FIELDS = ['content', 'rounds', 'company', 'interviewDate', 'status'];
+
+// Number of characters of markdown content returned as a listing preview
+const EXCERPT_LENGTH = 200;
+
+// Maximum number of buckets returned per search facet
+const FACET_LIMIT = 10;
+
+/**
+ * Splits a comma separated query value into trimmed, non-empty items
+ * @param {string} value - Comma separated string
+ * @returns {string[]} List of items
+ */
+const splitList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Interview experience service layer for handling experience-related business logic
+ */
+class ExperienceService {
+    /**
+     * Pick editable fields from request data and drop undefined values
+     * @param {Object} data - Raw request data
+     * @returns {Object} Clean experience data
+     */
+    static pickEditableFields(data) {
+        const cleanData = Object.fromEntries(
+            EDITABLE_FIELDS
+                .filter(field => data[field] !== undefined)
+                .map(field => [field, data[field]])
+        );
+
+        if (Array.isArray(cleanData.tags)) {
+            // Normalize tags - trim, lowercase and remove duplicates
+            cleanData.tags = [...new Set(cleanData.tags.map(tag => tag.trim().toLowerCase()))];
+        }
+
+        return cleanData;
+    }
+
+    /**
+     * Replace free-text company input with the canonical company name and reference
+     * @param {Object} data - Clean experience data
+     * @returns {Object} Experience data with canonical company
+     */
+    static async normalizeCompany(data) {
+        if (data.company === undefined) {
+            return data;
+        }
+
+        const company = await CompanyService.resolveCompany(data.company);
+
+        return {
+            ...data,
+            company: company.name,
+            companyId: company._id
+        };
+    }
+
+    /**
+     * Resolve a company filter to its canonical company so aliases match too
+     * @param {Object} filters - Listing filters from the query string
+     * @returns {Object} Filters with companyId when the company is known
+     */
+    static async resolveCompanyFilter(filters = {}) {
+        if (!filters.company) {
+            return filters;
+        }
+
+        const company = await CompanyService.findCompany(filters.company);
+        return company ? { ...filters, companyId: company._id } : filters;
+    }
+
+    /**
+     * Format experience with only necessary information
+     * Anonymous experiences show their pseudonym unless the viewer may see the real author
+     * @param {Object} experience - Interview experience document
+     * @param {Object|null} viewer - Authenticated user, if any
+     * @returns {Object} Clean experience data
+     */
+    static formatExperience(experience, viewer = null) {
+        const data = experience.toObject ? experience.toObject() : experience;
+        // Report counts are for moderators only
+        const { _id, __v, userId, openReportsCount, pseudonym, ...rest } = data;
+        const authorId = userId && userId._id ? userId._id : userId;
+
+        let author = userId && userId._id
+            ? { id: userId._id, name: userId.name, avatar: userId.avatar, currentCompany: userId.currentCompany }
+            : { id: userId };
+
+        if (data.isAnonymous) {
+            author = canRevealAuthor(authorId, viewer)
+                ? { ...author, pseudonym, isAnonymous: true }
+                : { id: null, name: pseudonym, avatar: null, currentCompany: null, pseudonym, isAnonymous: true };
+        }
+
+        return {
+            id: _id,
+            ...rest,
+            // Clients send this back on update so concurrent edits are detected
+            version: __v,
+            author
+        };
+    }
+
+    /**
+     * Build a MongoDB match stage from listing filters
+     * @param {Object} filters - Listing filters from the query string
+     * @param {Object|null} currentUser - Authenticated user, if any
+     * @returns {Object} Match conditions
+     */
+    static buildListFilter(filters = {}, currentUser = null) {
+        let match = InterviewExperience.publishedFilter();
+
+        if (filters.status === 'draft' || filters.status === 'archived') {
+            // Unpublished experiences are only listed for their own author
+            if (!currentUser) {
+                throw new ApiError(401, "Login required to list drafts and archived experiences");
+            }
+            match = { status: filters.status, userId: currentUser._id };
+        }
+
+        if (filters.companyId) {
+            match.companyId = filters.companyId;
+        } else if (filters.company) {
+            match.company = { $regex: `^${escapeRegex(filters.company.trim())}$`, $options: 'i' };
+        }
+
+        if (filters.location) {
+            match.location = { $regex: escapeRegex(filters.location.trim()), $options: 'i' };
+        }
+
+        if (filters.difficulty) {
+            match.difficulty = { $in: splitList(filters.difficulty) };
+        }
+
+        if (filters.minExperience !== undefined || filters.maxExperience !== undefined) {
+            match.yearsOfExperience = {};
+            if (filters.minExperience !== undefined) match.yearsOfExperience.$gte = Number(filters.minExperience);
+            if (filters.maxExperience !== undefined) match.yearsOfExperience.$lte = Number(filters.maxExperience);
+        }
+
+        if (filters.fromDate || filters.toDate) {
+            match.interviewDate = {};
+            if (filters.fromDate) match.interviewDate.$gte = new Date(filters.fromDate);
+            if (filters.toDate) match.interviewDate.$lte = new Date(filters.toDate);
+        }
+
+        if (filters.tags) {
+            match.tags = { $all: splitList(filters.tags).map(tag => tag.toLowerCase()) };
+        }
+
+        if (filters.minSalary !== undefined || filters.maxSalary !== undefined) {
+            // Yearly amounts in salaryCurrency (INR by default), compared in the base currency
+            const currency = (filters.salaryCurrency || 'INR').toUpperCase();
+            match['compensation.annualTotalUsd'] = {};
+            if (filters.minSalary !== undefined) {
+                match['compensation.annualTotalUsd'].$gte = convertCurrency(Number(filters.minSalary), currency);
+            }
+            if (filters.maxSalary !== undefined) {
+                match['compensation.annualTotalUsd'].$lte = convertCurrency(Number(filters.maxSalary), currency);
+            }
+        }
+
+        if (filters.roundType) {
+            match['rounds.type'] = { $in: splitList(filters.roundType) };
+        }
+
+        return match;
+    }
+
+    /**
+     * Build pagination info from an aggregate paginate result
+     * @param {Object} result - mongoose-aggregate-paginate-v2 result
+     * @returns {Object} Pagination info
+     */
+    static buildPagination(result) {
+        return {
+            currentPage: result.page,
+            totalPages: result.totalPages,
+            totalItems: result.totalDocs,
+            hasNext: result.hasNextPage,
+            hasPrev: result.hasPrevPage
+        };
+    }
+
+    /**
+     * Add per-user flags (bookmarkedByMe, likedByMe) to experiences
+     * @param {Array} experiences - Formatted experiences
+     * @param {Object|null} currentUser - Authenticated user, if any
+     * @returns {Promise<Array>} Experiences with user flags
+     */
+    static async attachUserFlags(experiences, currentUser) {
+        const bookmarkedIds = new Set((currentUser?.bookmarks || []).map(id => id.toString()));
+        const likedIds = await ExperienceLike.findLikedIds(
+            currentUser?._id,
+            experiences.map(experience => experience.id)
+        );
+
+        return experiences.map(experience => ({
+            ...experience,
+            bookmarkedByMe: bookmarkedIds.has(experience.id.toString()),
+            likedByMe: likedIds.has(experience.id.toString())
+        }));
+    }
+
+    /**
+     * List interview experiences with filters, sorting and pagination
+     * @param {Object} filters - Listing filters from the query string
+     * @param {Object} options - Listing options
+     * @param {number} options.page - Page number
+     * @param {number} options.limit - Items per page
+     * @param {string} options.sortBy - Sort order (newest, mostLiked, mostViewed)
+     * @param {Object|null} currentUser - Authenticated user, if any
+     * @returns {Object} Experiences with pagination info
+     */
+    static async listExperiences(filters, { page = 1, limit = 10, sortBy = 'newest' } = {}, currentUser = null) {
+        const match = this.buildListFilter(await this.resolveCompanyFilter(filters), currentUser);
+
+        const aggregate = InterviewExperience.aggregate([
+            { $match: match },
+            { $sort: SORT_STAGES[sortBy] || SORT_STAGES.newest },
+            {
+                $lookup: {
+                    from: User.collection.name,
+                    localField: 'userId',
+                    foreignField: '_id',
+                    as: 'userId',
+                    pipeline: [{ $project: { name: 1, avatar: 1, currentCompany: 1 } }]
+                }
+            },
+            { $unwind: { path: '$userId', preserveNullAndEmptyArrays: true } },
+            { $addFields: { excerpt: { $substrCP: ['$content', 0, EXCERPT_LENGTH] } } },
+            { $project: { content: 0, contentHtml: 0, toc: 0 } }
+        ]);
+
+        const result = await InterviewExperience.aggregatePaginate(aggregate, { page, limit });
+        const experiences = result.docs.map(experience => this.formatExperience(experience, currentUser));
+
+        return {
+            experiences: await this.attachUserFlags(experiences, currentUser),
+            pagination: this.buildPagination(result)
+        };
+    }
+
+    /**
+     * Full-text search over interview experiences ranked by relevance
+     * @param {string} searchQuery - Free text search query
+     * @param {Object} filters - Listing filters from the query string
+     * @param {Object} options - Pagination options (page, limit)
+     * @param {Object|null} currentUser - Authenticated user, if any
+     * @returns {Object} Ranked experiences with snippets, facets and pagination info
+     */
+    static async searchExperiences(searchQuery, filters, { page = 1, limit = 10 } = {}, currentUser = null) {
+        // $text must be part of the first $match stage
+        const match = {
+            $text: { $search: searchQuery },
+            ...this.buildListFilter(await this.resolveCompanyFilter(filters), currentUser)
+        };
+
+        const aggregate = InterviewExperience.aggregate([
+            { $match: match },
+            { $addFields: { score: { $meta: 'textScore' } } },
+            { $sort: { score: -1, createdAt: -1, _id: -1 } },
+            {
+                $lookup: {
+                    from: User.collection.name,
+                    localField: 'userId',
+                    foreignField: '_id',
+                    as: 'userId',
+                    pipeline: [{ $project: { name: 1, avatar: 1, currentCompany: 1 } }]
+                }
+            },
+            { $unwind: { path: '$userId', preserveNullAndEmptyArrays: true } },
+            { $project: { contentHtml: 0, toc: 0 } }
+        ]);
+
+        const [result, [facets]] = await Promise.all([
+            InterviewExperience.aggregatePaginate(aggregate, { page, limit }),
+            InterviewExperience.aggregate([
+                { $match: match },
+                {
+                    $facet: {
+                        company: [
+                            { $group: { _id: '$company', count: { $sum: 1 } } },
+                            { $sort: { count: -1, _id: 1 } },
+                            { $limit: FACET_LIMIT }
+                        ],
+                        difficulty: [
+                            { $group: { _id: '$difficulty', count: { $sum: 1 } } },
+                            { $sort: { count: -1, _id: 1 } }
+                        ]
+                    }
+                }
+            ])
+        ]);
+
+        const experiences = result.docs.map(({ content, ...experience }) => ({
+            ...this.formatExperience(experience, currentUser),
+            snippet: buildHighlightSnippet(content, searchQuery)
+        }));
+
+        const toBuckets = (buckets = []) => buckets.map(bucket => ({ value: bucket._id, count: bucket.count }));
+
+        return {
+            experiences: await this.attachUserFlags(experiences, currentUser),
+            facets: {
+                company: toBuckets(facets?.company),
+                difficulty: toBuckets(facets?.difficulty)
+            },
+            pagination: this.buildPagination(result)
+        };
+    }
+
+    /**
+     * Find experience and ensure the given user is its author
+     * @param {string} userId - User ID
+     * @param {string} experienceId - Interview experience ID
+     * @returns {Object} Interview experience document
+     */
+    static async findOwnedExperience(userId, experienceId) {
+        const experience = await InterviewExperience.findById(experienceId);
+
+        if (!experience) {
+            throw new ApiError(404, "Interview experience not found");
+        }
+
+        if (experience.userId.toString() !== userId.toString()) {
+            throw new ApiError(403, "You can only modify your own interview experiences");
+        }
+
+        return experience;
+    }
+
+    /**
+     * Create a new interview experience
+     * @param {string} userId - Author user ID
+     * @param {Object} data - Experience data
+     * @returns {Object} Created experience
+     */
+    static async createExperience(userId, data) {
+        const experienceData = this.pickEditableFields(data);
+        const experience = await InterviewExperience.create({
+            ...(await this.normalizeCompany(experienceData)),
+            userId
+        });
+
+        await RevisionService.recordRevision(experience, userId, Object.keys(experienceData));
+        await QuestionService.syncExperienceQuestions(experience);
+        await experience.populate('userId', AUTHOR_FIELDS);
+
+        // Responses to the author always show their own identity
+        return this.formatExperience(experience, { _id: userId });
+    }
+
+    /**
+     * Get a single interview experience
+     * @param {string} experienceId - Interview experience ID
+     * @param {Object|null} currentUser - Authenticated user, if any
+     * @returns {Object} Experience data
+     */
+    static async getExperienceById(experienceId, currentUser = null) {
+        const experience = await InterviewExperience.findById(experienceId)
+            .populate('userId', AUTHOR_FIELDS);
+
+        // Moderators can open reported experiences, but never someone else's draft
+        const canViewModerated = Boolean(currentUser?.hasPermission('content:view_moderated'));
+        const visible = experience && (
+            experience.isVisibleTo(currentUser?._id) || (canViewModerated && experience.status !== 'draft')
+        );
+
+        // Hidden experiences are reported as missing rather than forbidden
+        if (!visible) {
+            throw new ApiError(404, "Interview experience not found");
+        }
+
+        const [experienceData] = await this.attachUserFlags([this.formatExperience(experience, currentUser)], currentUser);
+
+        // Experiences saved before rendering on save existed are rendered on the fly
+        if (experienceData.contentHtml === undefined) {
+            const { html, toc, readingTimeMinutes } = renderMarkdown(experienceData.content);
+            Object.assign(experienceData, { contentHtml: html, toc, readingTimeMinutes });
+        }
+
+        // Include views counted but not yet flushed to the database
+        experienceData.views += getPendingViews(experienceId);
+
+        return experienceData;
+    }
+
+    /**
+     * Apply changes to an experience and record them as a new revision
+     * @param {Object} experience - Interview experience document
+     * @param {string} editorId - User making the edit
+     * @param {Object} changes - Clean experience data to apply
+     * @param {number} version - Version the editor's changes are based on
+     * @param {number} [restoredFrom] - Revision being restored, if any
+     * @returns {Object|null} Updated experience, or null if nothing changed
+     */
+    static async saveRevision(experience, editorId, changes, version, restoredFrom) {
+        if (experience.__v !== version) {
+            throw new ApiError(409, "Interview experience was modified by another edit - reload and try again", {
+                currentVersion: experience.__v
+            });
+        }
+
+        await RevisionService.ensureBaseline(experience);
+
+        experience.set(await this.normalizeCompany(changes));
+
+        const changedFields = EDITABLE_FIELDS.filter(field => experience.isModified(field));
+        if (changedFields.length === 0) {
+            return null;
+        }
+
+        // Drafts may be half-written, published experiences need real content
+        if (experience.status === 'published' && experience.content.trim().length < MIN_PUBLISHED_CONTENT_LENGTH) {
+            throw new ApiError(400, `Content must be at least ${MIN_PUBLISHED_CONTENT_LENGTH} characters before publishing`);
+        }
+
+        const questionsChanged = QUESTION_SOURCE_FIELDS.some(field => experience.isModified(field));
+
+        try {
+            await experience.save();
+        } catch (error) {
+            // Another edit saved between loading and saving this one
+            if (error instanceof mongoose.Error.VersionError) {
+                throw new ApiError(409, "Interview experience was modified by another edit - reload and try again");
+            }
+            throw error;
+        }
+
+        await RevisionService.recordRevision(experience, editorId, changedFields, restoredFrom);
+
+        if (questionsChanged) {
+            await QuestionService.syncExperienceQuestions(experience);
+        }
+        await experience.populate('userId', AUTHOR_FIELDS);
+
+        return this.formatExperience(experience, { _id: editorId });
+    }
+
+    /**
+     * Update an interview experience owned by the user
+     * @param {string} userId - User ID
+     * @param {string} experienceId - Interview experience ID
+     * @param {Object} updateData - Data to update, including the version it is based on
+     * @returns {Object} Updated experience
+     */
+    static async updateExperience(userId, experienceId, updateData) {
+        const cleanUpdateData = this.pickEditableFields(updateData);
+
+        if (Object.keys(cleanUpdateData).length === 0) {
+            throw new ApiError(400, "No valid fields to update");
+        }
+
+        const experience = await this.findOwnedExperience(userId, experienceId);
+        const updated = await this.saveRevision(experience, userId, cleanUpdateData, updateData.version);
+
+        if (!updated) {
+            await experience.populate('userId', AUTHOR_FIELDS);
+            return this.formatExperience(experience, { _id: userId });
+        }
+
+        return updated;
+    }
+
+    /**
+     * List the edit history of an experience owned by the user
+     * @param {string} userId - User ID
+     * @param {string} experienceId - Interview experience ID
+     * @param {number} page - Page number
+     * @param {number} limit - Items per page
+     * @returns {Object} Revisions with pagination info
+     */
+    static async listRevisions(userId, experienceId, page, limit) {
+        const experience = await this.findOwnedExperience(userId, experienceId);
+
+        await RevisionService.ensureBaseline(experience);
+
+        return RevisionService.listRevisions(experience._id, page, limit);
+    }
+
+    /**
+     * Diff two revisions of an experience owned by the user
+     * @param {string} userId - User ID
+     * @param {string} experienceId - Interview experience ID
+     * @param {number} from - Revision to diff from
+     * @param {number} to - Revision to diff to
+     * @returns {Object} Changed fields between the revisions
+     */
+    static async diffRevisions(userId, experienceId, from, to) {
+        const experience = await this.findOwnedExperience(userId, experienceId);
+
+        return RevisionService.diffRevisions(experience._id, from, to);
+    }
+
+    /**
+     * Restore the content of an old revision - recorded as a new revision
+     * @param {string} userId - User ID
+     * @param {string} experienceId - Interview experience ID
+     * @param {number} revision - Revision number to restore
+     * @param {number} version - Version the restore is based on
+     * @returns {Object} Restored experience
+     */
+    static async restoreRevision(userId, experienceId, revision, version) {
+        const experience = await this.findOwnedExperience(userId, experienceId);
+        const { snapshot } = await RevisionService.findRevision(experience._id, revision);
+
+        // Fields missing from the snapshot were empty at that revision
+        // Visibility and anonymity stay as they are - a restore must never expose the author
+        const { status, isAnonymous, ...fields } = Object.fromEntries(
+            EDITABLE_FIELDS.map(field => [field, snapshot[field]])
+        );
+
+        const restored = await this.saveRevision(experience, userId, fields, version, revision);
+
+        if (!restored) {
+            throw new ApiError(400, `Interview experience already matches revision ${revision}`);
+        }
+
+        return restored;
+    }
+
+    /**
+     * Delete an interview experience owned by the user
+     * @param {string} userId - User ID
+     * @param {string} experienceId - Interview experience ID
+     * @returns {Object} Success response
+     */
+    static async deleteExperience(userId, experienceId) {
+        const experience = await this.findOwnedExperience(userId, experienceId);
+
+        await experience.deleteOne();
+        await ExperienceLike.deleteMany({ experienceId: experience._id });
+        await RevisionService.deleteExperienceRevisions(experience._id);
+        await ModerationService.deleteExperienceReports(experience._id);
+        await CommentService.deleteExperienceComments(experience._id);
+        await QuestionService.removeExperienceQuestions(experience._id);
+
+        // Remove dangling bookmarks pointing to the deleted experience
+        await User.updateMany(
+            { bookmarks: experience._id },
+            { $pull: { bookmarks: experience._id } }
+        );
+
+        return { deletedExperienceId: experienceId };
+    }
+
+    /**
+     * Toggle the user's like on an interview experience
+     * The like document and the counter are changed together so the count can
+     * only move when a like was actually inserted or removed
+     * @param {string} userId - User ID
+     * @param {string} experienceId - Interview experience ID
+     * @returns {Object} Like state and current like count
+     */
+    static async toggleLike(userId, experienceId) {
+        const exists = await InterviewExperience.exists({ _id: experienceId, ...InterviewExperience.visibleFilter() });
+        if (!exists) {
+            throw new ApiError(404, "Interview experience not found");
+        }
+
+        let liked;
+        let increment = 0;
+
+        const removed = await ExperienceLike.deleteOne({ userId, experienceId });
+
+        if (removed.deletedCount === 1) {
+            liked = false;
+            increment = -1;
+        } else {
+            try {
+                await ExperienceLike.create({ userId, experienceId });
+                liked = true;
+                increment = 1;
+            } catch (error) {
+                // Duplicate key - a concurrent request already recorded this like
+                if (error.code !== 11000) {
+                    throw error;
+                }
+                liked = true;
+            }
+        }
+
+        const experience = increment !== 0
+            ? await InterviewExperience.findByIdAndUpdate(
+                experienceId,
+                { $inc: { likes: increment } },
+                { new: true }
+            ).select('likes')
+            : await InterviewExperience.findById(experienceId).select('likes');
+
+        return {
+            experienceId,
+            liked,
+            likes: experience?.likes ?? 0
+        };
+    }
+}
+
+export default ExperienceService;
@@ -0,0 +1,401 @@
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import User from "../models/User.model.js";
+import AuthToken from "../models/AuthToken.model.js";
+import SessionService from "./sessionService.js";
+import { ApiError } from "../utils/ApiError.js";
+import { sendMail } from "../utils/mailer.js";
+import { sanitizeReturnTo } from "../Shared/OAuthState.js";
+
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:3000";
+
+// Sign-in links open the server callback, which sets the cookies. Configured rather than
+// taken from the Host header, so a forged request cannot mail out links to another site
+const EMAIL_SIGNIN_REDIRECT_URI = process.env.EMAIL_SIGNIN_REDIRECT_URI
+    || `http://localhost:${process.env.PORT || 4000}/auth/email/callback`;
+
+// Local sign-in configuration
+const LOCAL_AUTH_CONFIG = {
+    TOKEN_BYTES: 32,
+    VERIFICATION_TOKEN_TTL_MS: 24 * 60 * 60 * 1000,
+    RESET_TOKEN_TTL_MS: 60 * 60 * 1000,
+    MAGIC_LINK_TTL_MS: 15 * 60 * 1000,
+    // Sign-in links per address within the link lifetime
+    MAGIC_LINK_MAX_PER_WINDOW: 3,
+    // Same cost as the User model's, so registering a taken address takes as long as a new one
+    PASSWORD_SALT_ROUNDS: 12
+};
+
+// Hash compared against when no account matches, so unknown logins take as long as wrong passwords
+let dummyPasswordHash = null;
+
+/**
+ * Hash an emailed token for storage and lookup
+ * @param {string} token - Raw token from the email link
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Normalize an email address the way the User model stores it
+ * @param {string} email - Email address
+ * @returns {string} Lowercased, trimmed address
+ */
+const normalizeEmail = (email = '') => email.toLowerCase().trim();
+
+/**
+ * Local (email and password) authentication service
+ */
+class LocalAuthService {
+    /**
+     * Format user returned by local auth endpoints
+     * @param {Object} user - User document
+     * @returns {Object} Clean user data
+     */
+    static formatAuthUser(user) {
+        return {
+            id: user._id,
+            email: user.email,
+            username: user.username,
+            name: user.name,
+            avatar: user.avatar,
+            isEmailVerified: user.isEmailVerified
+        };
+    }
+
+    /**
+     * Issue a single-use emailed token, replacing unused tokens of the same type
+     * @param {string} userId - User ID
+     * @param {string} type - Token type (email_verification, password_reset)
+     * @param {number} ttlMs - Lifetime in milliseconds
+     * @returns {string} Raw token to put in the email - only its hash is stored
+     */
+    static async issueToken(userId, type, ttlMs) {
+        const token = crypto.randomBytes(LOCAL_AUTH_CONFIG.TOKEN_BYTES).toString('hex');
+
+        await AuthToken.deleteMany({ userId, type, usedAt: null });
+        await AuthToken.create({
+            userId,
+            type,
+            tokenHash: hashToken(token),
+            expiresAt: new Date(Date.now() + ttlMs)
+        });
+
+        return token;
+    }
+
+    /**
+     * Consume an emailed token - it is marked used atomically so it works only once
+     * @param {string} token - Raw token from the email link
+     * @param {string} type - Expected token type
+     * @param {Object} [conditions] - Further fields the token must match
+     * @returns {Object} Consumed token document
+     */
+    static async consumeToken(token, type, conditions = {}) {
+        const authToken = await AuthToken.findOneAndUpdate(
+            {
+                ...conditions,
+                tokenHash: hashToken(token),
+                type,
+                usedAt: null,
+                expiresAt: { $gt: new Date() }
+            },
+            { usedAt: new Date() },
+            { new: true }
+        );
+
+        if (!authToken) {
+            throw new ApiError(400, "Invalid or expired token");
+        }
+
+        return authToken;
+    }
+
+    /**
+     * Email a verification link
+     * @param {Object} user - User document
+     */
+    static async sendVerificationEmail(user) {
+        const token = await this.issueToken(user._id, 'email_verification', LOCAL_AUTH_CONFIG.VERIFICATION_TOKEN_TTL_MS);
+        const link = `${CLIENT_URL}/verify-email?token=${token}`;
+
+        await sendMail({
+            to: user.email,
+            subject: "Verify your InterviewReader email",
+            text: `Hi ${user.name},\n\nConfirm your email address to finish creating your account:\n${link}\n\nThe link expires in 24 hours.`
+        });
+    }
+
+    /**
+     * Email a password reset link
+     * @param {Object} user - User document
+     */
+    static async sendPasswordResetEmail(user) {
+        const token = await this.issueToken(user._id, 'password_reset', LOCAL_AUTH_CONFIG.RESET_TOKEN_TTL_MS);
+        const link = `${CLIENT_URL}/reset-password?token=${token}`;
+
+        await sendMail({
+            to: user.email,
+            subject: "Reset your InterviewReader password",
+            text: `Hi ${user.name},\n\nSomeone asked to reset the password of your account. Choose a new password here:\n${link}\n\nThe link expires in 1 hour. If this wasn't you, you can ignore this email.`
+        });
+    }
+
+    /**
+     * Tell the owner of an address that someone tried to register it again
+     * @param {Object} user - Existing user document
+     */
+    static async sendExistingAccountEmail(user) {
+        await sendMail({
+            to: user.email,
+            subject: "You already have an InterviewReader account",
+            text: `Hi ${user.name},\n\nSomeone tried to create an account with this email address, but it already belongs to your account. Sign in here:\n${CLIENT_URL}/login\n\nIf you forgot your password, use "Forgot password" on that page. If this wasn't you, you can ignore this email.`
+        });
+    }
+
+    /**
+     * Register a local account and send its verification email
+     * A taken address gets an email about the existing account instead - the result is the
+     * same either way, so registering does not reveal which emails have accounts
+     * @param {Object} data - Registration data
+     */
+    static async register({ firstName, lastName, userName, email, password }) {
+        const normalizedEmail = normalizeEmail(email);
+        const username = userName.toLowerCase();
+
+        if (await User.exists({ username })) {
+            throw new ApiError(409, "Username is already taken");
+        }
+
+        let user = null;
+        let existingUser = await User.findOne({ email: normalizedEmail });
+
+        if (!existingUser) {
+            try {
+                user = await User.create({
+                    email: normalizedEmail,
+                    username,
+                    name: `${firstName.trim()} ${lastName.trim()}`,
+                    password
+                });
+            } catch (error) {
+                // Duplicate key - a concurrent registration took the email or username
+                if (error.code !== 11000) {
+                    throw error;
+                }
+                if (await User.exists({ username })) {
+                    throw new ApiError(409, "Username is already taken");
+                }
+                existingUser = await User.findOne({ email: normalizedEmail });
+            }
+        }
+
+        try {
+            if (user) {
+                await this.sendVerificationEmail(user);
+            } else {
+                // Spend the hashing time a new account would have taken
+                await bcrypt.hash(password, LOCAL_AUTH_CONFIG.PASSWORD_SALT_ROUNDS);
+
+                if (existingUser) {
+                    await this.sendExistingAccountEmail(existingUser);
+                }
+            }
+        } catch (error) {
+            // The outcome is the same either way - the user can request the email again
+            console.error('Failed to send registration email:', error.message);
+        }
+    }
+
+    /**
+     * Check local credentials
+     * @param {Object} credentials - Username or email, and password
+     * @returns {Object} Authenticated user document
+     */
+    static async authenticate({ userName, email, password }) {
+        const filter = email
+            ? { email: normalizeEmail(email) }
+            : { username: userName.toLowerCase() };
+
+        const user = await User.findOne(filter).select('+password');
+
+        if (!user || !user.password) {
+            dummyPasswordHash ??= await bcrypt.hash(crypto.randomBytes(16).toString('hex'), 12);
+            await bcrypt.compare(password, dummyPasswordHash);
+            throw new ApiError(401, "Invalid credentials");
+        }
+
+        if (!(await user.comparePassword(password))) {
+            throw new ApiError(401, "Invalid credentials");
+        }
+
+        if (!user.isActive) {
+            throw new ApiError(403, "Account is deactivated");
+        }
+
+        if (!user.isEmailVerified) {
+            throw new ApiError(403, "Email address is not verified", { email: "Verify your email before signing in" });
+        }
+
+        return user;
+    }
+
+    /**
+     * Verify an email address from the emailed token
+     * @param {string} token - Raw verification token
+     * @returns {Object} Verified user
+     */
+    static async verifyEmail(token) {
+        const authToken = await this.consumeToken(token, 'email_verification');
+        const user = await User.findById(authToken.userId);
+
+        if (!user) {
+            throw new ApiError(400, "Invalid or expired token");
+        }
+
+        user.markEmailVerified();
+        await user.save();
+
+        return this.formatAuthUser(user);
+    }
+
+    /**
+     * Send a new verification email - silently does nothing for unknown or verified addresses
+     * so the response does not reveal which emails have accounts
+     * @param {string} email - Email address
+     */
+    static async resendVerificationEmail(email) {
+        const user = await User.findOne({ email: normalizeEmail(email) }).select('+password');
+
+        if (user && user.password && !user.isEmailVerified && user.isActive) {
+            await this.sendVerificationEmail(user);
+        }
+    }
+
+    /**
+     * Send a password reset email - silently does nothing for unknown addresses
+     * @param {string} email - Email address
+     */
+    static async requestPasswordReset(email) {
+        const user = await User.findOne({ email: normalizeEmail(email) });
+
+        if (user && user.isActive) {
+            await this.sendPasswordResetEmail(user);
+        }
+    }
+
+    /**
+     * Email a single-use sign-in link - the account is created when the link is opened if needed
+     * Addresses with no account get a link too, so the response does not reveal which exist
+     * @param {string} email - Email address
+     * @param {string} [returnTo] - Client path to return to after sign-in
+     * @param {string} browserNonce - Nonce from the requesting browser's cookie, the link only works there
+     */
+    static async requestMagicLink(email, returnTo, browserNonce) {
+        const normalizedEmail = normalizeEmail(email);
+
+        // Tokens live exactly one window, so the ones still stored are the recent requests
+        const recentLinks = await AuthToken.countDocuments({
+            email: normalizedEmail,
+            type: 'magic_link',
+            createdAt: { $gt: new Date(Date.now() - LOCAL_AUTH_CONFIG.MAGIC_LINK_TTL_MS) }
+        });
+
+        if (recentLinks >= LOCAL_AUTH_CONFIG.MAGIC_LINK_MAX_PER_WINDOW) {
+            throw new ApiError(429, "Too many sign-in links requested for this address, please try again later");
+        }
+
+        const user = await User.findOne({ email: normalizedEmail }).select('isActive name');
+        if (user && !user.isActive) {
+            return;
+        }
+
+        // Earlier links stay valid until used or expired - emails may arrive out of order
+        const token = crypto.randomBytes(LOCAL_AUTH_CONFIG.TOKEN_BYTES).toString('hex');
+        await AuthToken.create({
+            userId: user?._id,
+            email: normalizedEmail,
+            type: 'magic_link',
+            tokenHash: hashToken(token),
+            browserHash: hashToken(browserNonce),
+            expiresAt: new Date(Date.now() + LOCAL_AUTH_CONFIG.MAGIC_LINK_TTL_MS)
+        });
+
+        const link = new URL(EMAIL_SIGNIN_REDIRECT_URI);
+        link.searchParams.set('token', token);
+        if (returnTo) {
+            link.searchParams.set('returnTo', sanitizeReturnTo(returnTo));
+        }
+
+        await sendMail({
+            to: normalizedEmail,
+            subject: "Your InterviewReader sign-in link",
+            text: `Hi${user ? ` ${user.name}` : ''},\n\nUse this link to sign in to InterviewReader:\n${link}\n\nOpen it in the browser you requested it from. The link works once and expires in 15 minutes. If you didn't ask for it, you can ignore this email.`
+        });
+    }
+
+    /**
+     * Consume a sign-in link - only in the browser that asked for it, so a forwarded
+     * link cannot sign someone else in to the account
+     * @param {string} token - Raw token from the link
+     * @param {string} [browserNonce] - Nonce from the browser's sign-in cookie
+     * @returns {Object} Address the link was sent to and a display name for a new account
+     */
+    static async consumeMagicLink(token, browserNonce) {
+        let authToken;
+        try {
+            authToken = await this.consumeToken(token, 'magic_link', { browserHash: hashToken(browserNonce || '') });
+        } catch (error) {
+            // Left unused, so the link still works in the browser it belongs to
+            const openedElsewhere = await AuthToken.exists({
+                tokenHash: hashToken(token),
+                type: 'magic_link',
+                usedAt: null,
+                expiresAt: { $gt: new Date() }
+            });
+            if (openedElsewhere) {
+                throw new ApiError(409, "Open the sign-in link in the browser you requested it from");
+            }
+            throw error;
+        }
+
+        const user = await User.findOne({ email: authToken.email }).select('isActive');
+        if (user && !user.isActive) {
+            throw new ApiError(403, "Account is deactivated");
+        }
+
+        // New accounts start with the local part as their name, e.g. "jane doe" for jane.doe@...
+        const localPart = authToken.email.split('@')[0].replace(/[._+-]+/g, ' ').trim();
+
+        return {
+            email: authToken.email,
+            name: (localPart.length >= 2 ? localPart : authToken.email).slice(0, 50)
+        };
+    }
+
+    /**
+     * Set a new password from the emailed reset token and sign out every session
+     * @param {string} token - Raw reset token
+     * @param {string} password - New password
+     * @returns {Object} Number of revoked sessions
+     */
+    static async resetPassword(token, password) {
+        const authToken = await this.consumeToken(token, 'password_reset');
+        const user = await User.findById(authToken.userId);
+
+        if (!user || !user.isActive) {
+            throw new ApiError(400, "Invalid or expired token");
+        }
+
+        // Receiving the reset email proves ownership of the address
+        user.password = password;
+        user.markEmailVerified();
+        await user.save();
+
+        await AuthToken.deleteMany({ userId: user._id, type: 'password_reset', usedAt: null });
+
+        return await SessionService.revokeAllSessions(user._id);
+    }
+}
+
+export default LocalAuthService;
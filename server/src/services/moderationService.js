@@ -0,0 +1,416 @@
+import Report from "../models/Report.model.js";
+import ModerationAction from "../models/ModerationAction.model.js";
+import InterviewExperience from "../models/InterviewExperience.model.js";
+import Comment from "../models/Comment.model.js";
+import QuestionService from "./questionService.js";
+import { ApiError } from "../utils/ApiError.js";
+import { stripMarkdown } from "../utils/text.js";
+
+// =============================================================================
+// MODERATION CONFIGURATION
+// =============================================================================
+
+const MODERATION_CONFIG = {
+    // Open reports after which content is hidden until a moderator reviews it
+    HIDE_THRESHOLD: parseInt(process.env.REPORT_HIDE_THRESHOLD) || 5,
+    PREVIEW_LENGTH: 200,
+    RECENT_DETAILS_LIMIT: 3
+};
+
+const TARGET_MODELS = {
+    experience: InterviewExperience,
+    comment: Comment
+};
+
+// Public moderator fields populated on action responses
+const MODERATOR_FIELDS = 'name avatar';
+
+/**
+ * Moderation service layer for content reports, the moderation queue and moderator actions
+ */
+class ModerationService {
+    /**
+     * Format moderation action with only necessary information
+     * @param {Object} action - Moderation action document
+     * @returns {Object} Clean action data
+     */
+    static formatAction(action) {
+        const data = action.toObject ? action.toObject() : action;
+        const moderator = data.moderatorId && data.moderatorId._id
+            ? { id: data.moderatorId._id, name: data.moderatorId.name, avatar: data.moderatorId.avatar }
+            : { id: data.moderatorId };
+
+        return {
+            id: data._id,
+            targetType: data.targetType,
+            targetId: data.targetId,
+            experienceId: data.experienceId,
+            authorId: data.authorId,
+            moderator,
+            action: data.action,
+            note: data.note || null,
+            reportsResolved: data.reportsResolved,
+            createdAt: data.createdAt
+        };
+    }
+
+    /**
+     * Find content a user is able to report - only content they can currently see
+     * @param {string} targetType - experience or comment
+     * @param {string} targetId - Target ID
+     * @param {string} experienceId - Experience the target belongs to
+     * @returns {Object} Target document
+     */
+    static async findReportableTarget(targetType, targetId, experienceId) {
+        const experience = await InterviewExperience.findOne({
+            _id: experienceId,
+            ...InterviewExperience.visibleFilter()
+        }).select('userId');
+
+        if (!experience) {
+            throw new ApiError(404, "Interview experience not found");
+        }
+
+        if (targetType === 'experience') {
+            return experience;
+        }
+
+        const comment = await Comment.findOne({
+            _id: targetId,
+            experienceId,
+            isDeleted: false,
+            moderationStatus: 'visible'
+        }).select('userId');
+
+        if (!comment) {
+            throw new ApiError(404, "Comment not found");
+        }
+
+        return comment;
+    }
+
+    /**
+     * Hide content once its open reports reach the configured threshold
+     * @param {string} targetType - experience or comment
+     * @param {string} targetId - Target ID
+     * @returns {boolean} True if the content was hidden by this call
+     */
+    static async hideIfOverThreshold(targetType, targetId) {
+        const result = await TARGET_MODELS[targetType].updateOne(
+            {
+                _id: targetId,
+                moderationStatus: 'visible',
+                openReportsCount: { $gte: MODERATION_CONFIG.HIDE_THRESHOLD }
+            },
+            { $set: { moderationStatus: 'hidden' } }
+        );
+
+        if (result.modifiedCount === 0) {
+            return false;
+        }
+
+        if (targetType === 'experience') {
+            // Hidden experiences leave the question bank until they are approved
+            await QuestionService.syncExperienceQuestions(await InterviewExperience.findById(targetId));
+        }
+
+        return true;
+    }
+
+    /**
+     * Report an experience or a comment
+     * @param {string} reporterId - Reporting user ID
+     * @param {Object} target - Reported content (targetType, targetId, experienceId)
+     * @param {Object} data - Report data (reason, details)
+     * @returns {Object} Created report
+     */
+    static async reportContent(reporterId, { targetType, targetId, experienceId }, { reason, details }) {
+        const target = await this.findReportableTarget(targetType, targetId, experienceId);
+
+        if (target.userId.toString() === reporterId.toString()) {
+            throw new ApiError(400, "You cannot report your own content");
+        }
+
+        let report;
+        try {
+            report = await Report.create({ targetType, targetId, experienceId, reporterId, reason, details });
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new ApiError(409, "You have already reported this content");
+            }
+            throw error;
+        }
+
+        // Counter moves only alongside an inserted report
+        await TARGET_MODELS[targetType].updateOne({ _id: targetId }, { $inc: { openReportsCount: 1 } });
+        await this.hideIfOverThreshold(targetType, targetId);
+
+        return {
+            reportId: report._id,
+            targetType,
+            targetId,
+            reason: report.reason,
+            createdAt: report.createdAt
+        };
+    }
+
+    /**
+     * Build short previews of reported content for the moderation queue
+     * @param {Array} items - Queue items (targetType, targetId)
+     * @returns {Map<string, Object>} Previews keyed by target ID
+     */
+    static async loadTargetPreviews(items) {
+        const idsOf = (type) => items.filter(item => item.targetType === type).map(item => item.targetId);
+
+        const [experiences, comments] = await Promise.all([
+            InterviewExperience.find({ _id: { $in: idsOf('experience') } })
+                .select('userId company content status moderationStatus')
+                .lean(),
+            Comment.find({ _id: { $in: idsOf('comment') } })
+                .select('userId experienceId content isDeleted moderationStatus')
+                .lean()
+        ]);
+
+        const previews = new Map();
+
+        for (const experience of experiences) {
+            previews.set(experience._id.toString(), {
+                authorId: experience.userId,
+                title: experience.company,
+                preview: stripMarkdown(experience.content).slice(0, MODERATION_CONFIG.PREVIEW_LENGTH),
+                status: experience.status,
+                moderationStatus: experience.moderationStatus
+            });
+        }
+
+        for (const comment of comments) {
+            previews.set(comment._id.toString(), {
+                authorId: comment.userId,
+                preview: (comment.content || '').slice(0, MODERATION_CONFIG.PREVIEW_LENGTH),
+                isDeleted: comment.isDeleted,
+                moderationStatus: comment.moderationStatus
+            });
+        }
+
+        return previews;
+    }
+
+    /**
+     * Get content with open reports, most reported first
+     * @param {Object} filters - Queue filters (targetType, reason)
+     * @param {Object} options - Pagination options (page, limit)
+     * @returns {Object} Queue items with pagination info
+     */
+    static async getModerationQueue({ targetType, reason } = {}, { page = 1, limit = 20 } = {}) {
+        const match = { status: 'open' };
+        if (targetType) {
+            match.targetType = targetType;
+        }
+
+        const [result] = await Report.aggregate([
+            { $match: match },
+            { $sort: { createdAt: -1 } },
+            {
+                $group: {
+                    _id: { targetType: '$targetType', targetId: '$targetId' },
+                    experienceId: { $first: '$experienceId' },
+                    reportsCount: { $sum: 1 },
+                    reasons: { $push: '$reason' },
+                    details: { $push: '$details' },
+                    firstReportedAt: { $min: '$createdAt' },
+                    lastReportedAt: { $max: '$createdAt' }
+                }
+            },
+            ...(reason ? [{ $match: { reasons: reason } }] : []),
+            { $sort: { reportsCount: -1, lastReportedAt: -1 } },
+            {
+                $facet: {
+                    items: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+                    total: [{ $count: 'count' }]
+                }
+            }
+        ]);
+
+        const groups = result.items.map(({ _id, ...group }) => ({ ..._id, ...group }));
+        const previews = await this.loadTargetPreviews(groups);
+
+        // Prior warnings help moderators spot repeat offenders
+        const authorIds = [...previews.values()].map(preview => preview.authorId);
+        const warnings = await ModerationAction.aggregate([
+            { $match: { action: 'warn', authorId: { $in: authorIds } } },
+            { $group: { _id: '$authorId', count: { $sum: 1 } } }
+        ]);
+        const warningsByAuthor = new Map(warnings.map(warning => [warning._id.toString(), warning.count]));
+
+        const items = groups.map(group => {
+            const target = previews.get(group.targetId.toString()) || null;
+            const reasons = group.reasons.reduce((counts, value) => {
+                counts[value] = (counts[value] || 0) + 1;
+                return counts;
+            }, {});
+
+            return {
+                targetType: group.targetType,
+                targetId: group.targetId,
+                experienceId: group.experienceId,
+                reportsCount: group.reportsCount,
+                reasons,
+                recentDetails: group.details.filter(Boolean).slice(0, MODERATION_CONFIG.RECENT_DETAILS_LIMIT),
+                firstReportedAt: group.firstReportedAt,
+                lastReportedAt: group.lastReportedAt,
+                target,
+                authorWarnings: target ? warningsByAuthor.get(target.authorId.toString()) || 0 : 0
+            };
+        });
+
+        const totalItems = result.total[0]?.count || 0;
+        const totalPages = Math.ceil(totalItems / limit);
+
+        return {
+            items,
+            hideThreshold: MODERATION_CONFIG.HIDE_THRESHOLD,
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalItems,
+                hasNext: page < totalPages,
+                hasPrev: page > 1
+            }
+        };
+    }
+
+    /**
+     * Work out the moderation update an action makes to its target
+     * @param {string} targetType - experience or comment
+     * @param {Object} target - Target document
+     * @param {string} action - approve, remove or warn
+     * @returns {Object} Update to apply to the target
+     */
+    static buildTargetUpdate(targetType, target, action) {
+        const update = { openReportsCount: 0 };
+
+        if (action === 'remove') {
+            update.moderationStatus = 'removed';
+            if (targetType === 'comment' && !target.isDeleted) {
+                // Content is kept for the moderation record; the thread shows a deleted placeholder
+                update.isDeleted = true;
+                update.deletedAt = new Date();
+            }
+        } else if (action === 'approve') {
+            if (targetType === 'comment' && target.moderationStatus === 'removed') {
+                throw new ApiError(400, "Removed comments cannot be restored");
+            }
+            update.moderationStatus = 'visible';
+        } else if (action === 'warn' && target.moderationStatus === 'hidden') {
+            // Warning the author settles the reports - removed content stays removed
+            update.moderationStatus = 'visible';
+        }
+
+        return update;
+    }
+
+    /**
+     * Approve, remove or warn the author of reported content, resolving its open reports
+     * @param {string} moderatorId - Moderator user ID
+     * @param {string} targetType - experience or comment
+     * @param {string} targetId - Target ID
+     * @param {Object} data - Action data (action, note)
+     * @returns {Object} Recorded action and the target's moderation status
+     */
+    static async moderateContent(moderatorId, targetType, targetId, { action, note }) {
+        const Model = TARGET_MODELS[targetType];
+        const target = await Model.findById(targetId);
+
+        if (!target) {
+            throw new ApiError(404, targetType === 'experience' ? "Interview experience not found" : "Comment not found");
+        }
+
+        const update = this.buildTargetUpdate(targetType, target, action);
+        const experienceId = targetType === 'experience' ? target._id : target.experienceId;
+        const openReports = await Report.countDocuments({ targetType, targetId, status: 'open' });
+
+        const moderationAction = await ModerationAction.create({
+            targetType,
+            targetId,
+            experienceId,
+            authorId: target.userId,
+            moderatorId,
+            action,
+            note,
+            reportsResolved: openReports
+        });
+
+        await Report.updateMany(
+            { targetType, targetId, status: 'open' },
+            { $set: { status: 'resolved', resolvedBy: moderationAction._id, resolvedAt: new Date() } }
+        );
+
+        // updateOne keeps moderation out of the author's edit history and version key
+        await Model.updateOne({ _id: targetId }, { $set: update });
+
+        if (update.isDeleted) {
+            await InterviewExperience.updateOne(
+                { _id: experienceId, commentsCount: { $gt: 0 } },
+                { $inc: { commentsCount: -1 } }
+            );
+        }
+
+        if (targetType === 'experience' && update.moderationStatus && update.moderationStatus !== target.moderationStatus) {
+            await QuestionService.syncExperienceQuestions(await InterviewExperience.findById(targetId));
+        }
+
+        await moderationAction.populate('moderatorId', MODERATOR_FIELDS);
+
+        return {
+            action: this.formatAction(moderationAction),
+            moderationStatus: update.moderationStatus || target.moderationStatus
+        };
+    }
+
+    /**
+     * Delete the reports filed against an experience and its comments
+     * Moderation actions are kept as the audit record
+     * @param {string} experienceId - Interview experience ID
+     */
+    static async deleteExperienceReports(experienceId) {
+        await Report.deleteMany({ experienceId });
+    }
+
+    /**
+     * List recorded moderator actions, newest first
+     * @param {Object} filters - Filters (targetType, targetId, authorId, moderatorId, action)
+     * @param {Object} options - Pagination options (page, limit)
+     * @returns {Object} Actions with pagination info
+     */
+    static async listActions(filters = {}, { page = 1, limit = 20 } = {}) {
+        const match = Object.fromEntries(
+            ['targetType', 'targetId', 'authorId', 'moderatorId', 'action']
+                .filter(field => filters[field])
+                .map(field => [field, filters[field]])
+        );
+
+        const [actions, totalItems] = await Promise.all([
+            ModerationAction.find(match)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('moderatorId', MODERATOR_FIELDS),
+            ModerationAction.countDocuments(match)
+        ]);
+
+        const totalPages = Math.ceil(totalItems / limit);
+
+        return {
+            actions: actions.map(action => this.formatAction(action)),
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalItems,
+                hasNext: page < totalPages,
+                hasPrev: page > 1
+            }
+        };
+    }
+}
+
+export default ModerationService;
@@ -0,0 +1,208 @@
+import Question from "../models/Question.model.js";
+import InterviewExperience from "../models/InterviewExperience.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { escapeRegex } from "../utils/text.js";
+import { extractQuestions } from "../utils/questionExtractor.js";
+import CompanyService from "./companyService.js";
+
+// Pipeline update that recomputes denormalized counters from the sources array
+const RECOUNT_STAGE = [
+    {
+        $set: {
+            occurrenceCount: { $size: "$sources" },
+            lastSeenAt: { $max: "$sources.seenAt" }
+        }
+    }
+];
+
+/**
+ * Question bank service layer for collecting and browsing interview questions
+ */
+class QuestionService {
+    /**
+     * Format question with only necessary information
+     * @param {Object} question - Question document or aggregate result
+     * @returns {Object} Clean question data
+     */
+    static formatQuestion(question) {
+        const companies = [...new Set((question.sources || []).map(source => source.company))];
+
+        return {
+            id: question._id,
+            text: question.text,
+            topic: question.topic,
+            occurrenceCount: question.occurrenceCount,
+            lastSeenAt: question.lastSeenAt,
+            companies,
+            ...(question.companyOccurrences !== undefined && {
+                companyOccurrences: question.companyOccurrences,
+                companyLastSeenAt: question.companyLastSeenAt
+            })
+        };
+    }
+
+    /**
+     * Remove an experience's contributions from the question bank
+     * @param {string} experienceId - Interview experience ID
+     * @returns {Array} IDs of the questions that were affected
+     */
+    static async removeExperienceQuestions(experienceId) {
+        const affectedIds = await Question.find({ "sources.experienceId": experienceId }).distinct('_id');
+
+        if (affectedIds.length === 0) {
+            return [];
+        }
+
+        await Question.updateMany(
+            { _id: { $in: affectedIds } },
+            { $pull: { sources: { experienceId } } }
+        );
+        await Question.updateMany({ _id: { $in: affectedIds } }, RECOUNT_STAGE);
+
+        // Questions no experience mentions anymore leave the bank
+        await Question.deleteMany({ _id: { $in: affectedIds }, occurrenceCount: 0 });
+
+        return affectedIds;
+    }
+
+    /**
+     * Re-collect questions from an experience, replacing its previous contributions
+     * Only published, unmoderated experiences contribute - others are removed
+     * @param {Object} experience - Interview experience document
+     * @returns {number} Number of questions collected from the experience
+     */
+    static async syncExperienceQuestions(experience) {
+        await this.removeExperienceQuestions(experience._id);
+
+        if (experience.status !== 'published' || experience.moderationStatus !== 'visible') {
+            return 0;
+        }
+
+        const questions = extractQuestions(experience);
+        if (questions.length === 0) {
+            return 0;
+        }
+
+        const source = {
+            experienceId: experience._id,
+            company: experience.company,
+            seenAt: experience.interviewDate
+        };
+
+        await Question.bulkWrite(
+            questions.map(question => ({
+                updateOne: {
+                    filter: { normalizedText: question.normalizedText },
+                    update: {
+                        $setOnInsert: { text: question.text, topic: question.topic },
+                        $push: { sources: source }
+                    },
+                    upsert: true
+                }
+            })),
+            { ordered: false }
+        );
+
+        await Question.updateMany(
+            { normalizedText: { $in: questions.map(question => question.normalizedText) } },
+            RECOUNT_STAGE
+        );
+
+        return questions.length;
+    }
+
+    /**
+     * Browse questions ranked by frequency or recency, optionally for one company
+     * @param {Object} filters - Filters (company, topic)
+     * @param {Object} options - Listing options (page, limit, sortBy)
+     * @returns {Object} Questions with pagination info
+     */
+    static async listQuestions({ company, topic } = {}, { page = 1, limit = 20, sortBy = 'frequency' } = {}) {
+        const match = {};
+        if (topic) {
+            match.topic = topic;
+        }
+
+        const pipeline = [];
+
+        if (company) {
+            // Sources store canonical company names - map aliases like "AWS" to "Amazon"
+            const canonical = await CompanyService.findCompany(company);
+            const companyPattern = new RegExp(`^${escapeRegex(canonical?.name || company.trim())}$`, 'i');
+            match["sources.company"] = companyPattern;
+
+            // Rank by how often this company asked the question rather than overall
+            pipeline.push(
+                { $match: match },
+                { $addFields: { companySources: { $filter: {
+                    input: "$sources",
+                    cond: { $regexMatch: { input: "$$this.company", regex: companyPattern } }
+                } } } },
+                { $addFields: {
+                    companyOccurrences: { $size: "$companySources" },
+                    companyLastSeenAt: { $max: "$companySources.seenAt" }
+                } },
+                { $project: { companySources: 0 } }
+            );
+        } else {
+            pipeline.push({ $match: match });
+        }
+
+        const countField = company ? "companyOccurrences" : "occurrenceCount";
+        const seenField = company ? "companyLastSeenAt" : "lastSeenAt";
+        const sort = sortBy === 'recent'
+            ? { [seenField]: -1, [countField]: -1, _id: 1 }
+            : { [countField]: -1, [seenField]: -1, _id: 1 };
+
+        const [result] = await Question.aggregate([
+            ...pipeline,
+            { $sort: sort },
+            {
+                $facet: {
+                    questions: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+                    total: [{ $count: "count" }]
+                }
+            }
+        ]);
+
+        const totalItems = result.total[0]?.count || 0;
+        const totalPages = Math.ceil(totalItems / limit);
+
+        return {
+            questions: result.questions.map(question => this.formatQuestion(question)),
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalItems,
+                hasNext: page < totalPages,
+                hasPrev: page > 1
+            }
+        };
+    }
+
+    /**
+     * Get a question with the experiences it was collected from
+     * @param {string} questionId - Question ID
+     * @returns {Object} Question with source experiences
+     */
+    static async getQuestionById(questionId) {
+        const question = await Question.findById(questionId).lean();
+
+        if (!question) {
+            throw new ApiError(404, "Question not found");
+        }
+
+        const experienceIds = question.sources.map(source => source.experienceId);
+        const experiences = await InterviewExperience.find({ _id: { $in: experienceIds } })
+            .select('company difficulty interviewDate yearsOfExperience')
+            .sort({ interviewDate: -1 })
+            .lean();
+
+        return {
+            ...this.formatQuestion(question),
+            experiences: experiences.map(({ _id, ...experience }) => ({ id: _id, ...experience }))
+        };
+    }
+}
+
+export default QuestionService;
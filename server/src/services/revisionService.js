@@ -0,0 +1,220 @@
+import ExperienceRevision from "../models/ExperienceRevision.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { diffLines } from "../utils/diff.js";
+
+// Experience fields captured in every revision snapshot
+const SNAPSHOT_FIELDS = [
+    'company',
+    'location',
+    'yearsOfExperience',
+    'difficulty',
+    'interviewDate',
+    'package',
+    'content',
+    'tags',
+    'rounds',
+    'status',
+    'isAnonymous'
+];
+
+// Text fields diffed line by line in addition to before/after values
+const LINE_DIFF_FIELDS = ['content'];
+
+// Public editor fields populated on revision responses
+const EDITOR_FIELDS = 'name avatar';
+
+/**
+ * Compares two snapshot values - they are plain JSON-like data
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both values are equal
+ */
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Revision service layer for experience edit history
+ */
+class RevisionService {
+    /**
+     * Format revision with only necessary information
+     * @param {Object} revision - Revision document
+     * @param {boolean} includeSnapshot - Whether to include the snapshot
+     * @returns {Object} Clean revision data
+     */
+    static formatRevision(revision, includeSnapshot = false) {
+        const data = revision.toObject ? revision.toObject() : revision;
+        const editor = data.editedBy && data.editedBy._id
+            ? { id: data.editedBy._id, name: data.editedBy.name, avatar: data.editedBy.avatar }
+            : { id: data.editedBy };
+
+        return {
+            revision: data.revision,
+            editedBy: editor,
+            changedFields: data.changedFields,
+            restoredFrom: data.restoredFrom ?? null,
+            createdAt: data.createdAt,
+            ...(includeSnapshot && { snapshot: data.snapshot })
+        };
+    }
+
+    /**
+     * Capture the revisioned fields of an experience
+     * @param {Object} experience - Interview experience document
+     * @returns {Object} Plain snapshot of the experience
+     */
+    static buildSnapshot(experience) {
+        const data = experience.toObject();
+
+        return Object.fromEntries(
+            SNAPSHOT_FIELDS
+                .filter(field => data[field] !== undefined)
+                .map(field => [field, data[field]])
+        );
+    }
+
+    /**
+     * Store a new revision for an experience that was just saved
+     * @param {Object} experience - Saved interview experience document
+     * @param {string} editorId - User who made the edit
+     * @param {string[]} changedFields - Fields changed by the edit
+     * @param {number} [restoredFrom] - Revision the edit restored, if any
+     * @returns {Object} Created revision document
+     */
+    static async recordRevision(experience, editorId, changedFields, restoredFrom) {
+        const latest = await ExperienceRevision.findOne({ experienceId: experience._id })
+            .sort({ revision: -1 })
+            .select('revision')
+            .lean();
+
+        return ExperienceRevision.create({
+            experienceId: experience._id,
+            revision: (latest?.revision || 0) + 1,
+            editedBy: editorId,
+            changedFields,
+            snapshot: this.buildSnapshot(experience),
+            restoredFrom
+        });
+    }
+
+    /**
+     * Record the current state as the first revision of experiences created
+     * before revisions existed, so their first edit can still be diffed and undone
+     * @param {Object} experience - Unmodified interview experience document
+     */
+    static async ensureBaseline(experience) {
+        const hasRevisions = await ExperienceRevision.exists({ experienceId: experience._id });
+        if (hasRevisions) {
+            return;
+        }
+
+        const snapshot = this.buildSnapshot(experience);
+
+        try {
+            await ExperienceRevision.create({
+                experienceId: experience._id,
+                revision: 1,
+                editedBy: experience.populated('userId') || experience.userId,
+                changedFields: Object.keys(snapshot),
+                snapshot,
+                createdAt: experience.updatedAt || experience.createdAt
+            });
+        } catch (error) {
+            // Duplicate key - a concurrent edit already recorded the baseline
+            if (error.code !== 11000) {
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Find a single revision of an experience
+     * @param {string} experienceId - Interview experience ID
+     * @param {number} revision - Revision number
+     * @returns {Object} Revision document
+     */
+    static async findRevision(experienceId, revision) {
+        const found = await ExperienceRevision.findOne({ experienceId, revision });
+
+        if (!found) {
+            throw new ApiError(404, `Revision ${revision} not found`);
+        }
+
+        return found;
+    }
+
+    /**
+     * List revisions of an experience, newest first
+     * @param {string} experienceId - Interview experience ID
+     * @param {number} page - Page number
+     * @param {number} limit - Items per page
+     * @returns {Object} Revisions with pagination info
+     */
+    static async listRevisions(experienceId, page = 1, limit = 20) {
+        const [revisions, totalItems] = await Promise.all([
+            ExperienceRevision.find({ experienceId })
+                .sort({ revision: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('-snapshot')
+                .populate('editedBy', EDITOR_FIELDS),
+            ExperienceRevision.countDocuments({ experienceId })
+        ]);
+
+        const totalPages = Math.ceil(totalItems / limit);
+
+        return {
+            revisions: revisions.map(revision => this.formatRevision(revision)),
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalItems,
+                hasNext: page < totalPages,
+                hasPrev: page > 1
+            }
+        };
+    }
+
+    /**
+     * Field-by-field diff between two revisions of an experience
+     * @param {string} experienceId - Interview experience ID
+     * @param {number} from - Older revision number
+     * @param {number} to - Newer revision number
+     * @returns {Object} Both revisions and the fields that differ
+     */
+    static async diffRevisions(experienceId, from, to) {
+        const [fromRevision, toRevision] = await Promise.all([
+            this.findRevision(experienceId, from),
+            this.findRevision(experienceId, to)
+        ]);
+
+        const before = fromRevision.snapshot || {};
+        const after = toRevision.snapshot || {};
+
+        const changes = SNAPSHOT_FIELDS
+            .filter(field => !isSameValue(before[field], after[field]))
+            .map(field => ({
+                field,
+                before: before[field] ?? null,
+                after: after[field] ?? null,
+                ...(LINE_DIFF_FIELDS.includes(field) && {
+                    lines: diffLines(before[field] || '', after[field] || '')
+                })
+            }));
+
+        return {
+            from: this.formatRevision(fromRevision),
+            to: this.formatRevision(toRevision),
+            changes
+        };
+    }
+
+    /**
+     * Delete the whole history of an experience
+     * @param {string} experienceId - Interview experience ID
+     */
+    static async deleteExperienceRevisions(experienceId) {
+        await ExperienceRevision.deleteMany({ experienceId });
+    }
+}
+
+export default RevisionService;
@@ -1,11 +1,37 @@
 import Session from "../models/Session.model.js";
 import User from "../models/User.model.js";
 import { ApiError } from "../utils/ApiError.js";
+import { parseUserAgent } from "../utils/userAgent.js";
+import { hashSessionToken } from "../utils/Token.js";
 
 /**
  * Session service layer for handling session-related business logic
  */
 class SessionService {
+    /**
+     * Format session with only necessary information
+     * @param {Object} session - Session document
+     * @param {string} currentTokenHash - Access token hash of the requesting session
+     * @returns {Object} Clean session data
+     */
+    static formatSession(session, currentTokenHash) {
+        const { browser, os, deviceType, displayName } = parseUserAgent(session.deviceInfo?.userAgent);
+
+        return {
+            id: session._id,
+            provider: session.provider,
+            browser,
+            os,
+            deviceType,
+            deviceName: displayName,
+            ip: session.deviceInfo?.ip || null,
+            lastUsed: session.lastUsed,
+            createdAt: session.createdAt,
+            expiresAt: session.expiresAt,
+            isCurrent: Boolean(currentTokenHash) && session.accessTokenHash === currentTokenHash
+        };
+    }
+
     /**
      * Get all active sessions for a user
      * @param {string} userId - User ID
@@ -14,8 +40,42 @@ class SessionService {
     static async getUserActiveSessions(userId) {
         return await Session.find({
             userId,
-            isActive: true
-        }).select('provider deviceInfo lastUsed createdAt').sort({ lastUsed: -1 });
+            isActive: true,
+            expiresAt: { $gt: new Date() }
+        }).select('provider deviceInfo accessTokenHash lastUsed createdAt expiresAt').sort({ lastUsed: -1 });
+    }
+
+    /**
+     * List the devices a user is signed in on, marking the requesting one
+     * @param {string} userId - User ID
+     * @param {string} currentAccessToken - Access token of the requesting session
+     * @returns {Object} Formatted sessions and their count
+     */
+    static async listUserSessions(userId, currentAccessToken) {
+        const sessions = await this.getUserActiveSessions(userId);
+        const currentTokenHash = currentAccessToken ? hashSessionToken(currentAccessToken) : null;
+
+        return {
+            sessions: sessions.map(session => this.formatSession(session, currentTokenHash)),
+            totalActive: sessions.length
+        };
+    }
+
+    /**
+     * Set the user's login count to the number of sessions still active
+     * @param {string} userId - User ID
+     * @returns {number} Active session count
+     */
+    static async syncLoginCount(userId) {
+        const activeSessions = await Session.countDocuments({
+            userId,
+            isActive: true,
+            expiresAt: { $gt: new Date() }
+        });
+
+        await User.updateOne({ _id: userId }, { $set: { loginCount: activeSessions } });
+
+        return activeSessions;
     }
 
     /**
@@ -52,7 +112,7 @@ class SessionService {
      */
     static async invalidateSession(userId, sessionId) {
         const session = await Session.findOneAndUpdate(
-            { _id: sessionId, userId },
+            { _id: sessionId, userId, isActive: true },
             { isActive: false, loggedOutAt: new Date() },
             { new: true }
         );
@@ -61,9 +121,32 @@ class SessionService {
             throw new ApiError(404, "Session not found");
         }
 
+        await this.syncLoginCount(userId);
+
         return { sessionId, invalidatedAt: session.loggedOutAt };
     }
 
+    /**
+     * Revoke one of the user's other sessions, e.g. a lost device
+     * @param {string} userId - User ID
+     * @param {string} sessionId - Session ID to revoke
+     * @param {string} currentAccessToken - Access token of the requesting session
+     * @returns {Object} Success response
+     */
+    static async revokeSession(userId, sessionId, currentAccessToken) {
+        const isCurrent = Boolean(currentAccessToken) && await Session.exists({
+            _id: sessionId,
+            userId,
+            accessTokenHash: hashSessionToken(currentAccessToken)
+        });
+
+        if (isCurrent) {
+            throw new ApiError(400, "Use logout to end the current session");
+        }
+
+        return await this.invalidateSession(userId, sessionId);
+    }
+
     /**
      * Invalidate all sessions except current one and update login count
      * @param {string} userId - User ID
@@ -75,7 +158,7 @@ class SessionService {
             { 
                 userId, 
                 isActive: true,
-                accessToken: { $ne: currentAccessToken }
+                accessTokenHash: { $ne: hashSessionToken(currentAccessToken) }
             },
             { 
                 isActive: false, 
@@ -85,12 +168,7 @@ class SessionService {
 
         // Update user's login count based on remaining active sessions
         if (result.modifiedCount > 0) {
-            const user = await User.findById(userId);
-            if (user) {
-                // Set login count to 1 (current session)
-                user.loginCount = 1;
-                await user.save();
-            }
+            await this.syncLoginCount(userId);
         }
 
         return { 
@@ -99,6 +177,43 @@ class SessionService {
         };
     }
 
+    /**
+     * Revoke every active session of a user, e.g. when the account is deactivated
+     * Requests with an already issued access token fail session validation from now on
+     * @param {string} userId - User ID
+     * @returns {Object} Number of revoked sessions
+     */
+    static async revokeAllSessions(userId) {
+        const result = await Session.updateMany(
+            { userId, isActive: true },
+            { isActive: false, loggedOutAt: new Date() }
+        );
+
+        await User.updateOne({ _id: userId }, { $set: { loginCount: 0 } });
+
+        return { revokedSessions: result.modifiedCount };
+    }
+
+    /**
+     * Revoke every session of a refresh token family, e.g. when a rotated refresh token is reused
+     * @param {string} userId - User ID
+     * @param {string} familyId - Refresh token family ID
+     * @param {string} sessionId - Session the token belongs to - alone its family when created before families existed
+     * @returns {Object} Number of revoked sessions
+     */
+    static async revokeSessionFamily(userId, familyId, sessionId) {
+        const result = await Session.updateMany(
+            { userId, ...(familyId ? { familyId } : { _id: sessionId }), isActive: true },
+            { isActive: false, loggedOutAt: new Date() }
+        );
+
+        if (result.modifiedCount > 0) {
+            await this.syncLoginCount(userId);
+        }
+
+        return { revokedSessions: result.modifiedCount };
+    }
+
     /**
      * Clean up expired sessions
      * @param {number} daysOld - Sessions older than this many days will be cleaned
@@ -108,7 +223,9 @@ class SessionService {
         const cutoffDate = new Date();
         cutoffDate.setDate(cutoffDate.getDate() - daysOld);
 
+        // Never before expiry - revoked sessions keep the token history refresh reuse detection checks
         const result = await Session.deleteMany({
+            expiresAt: { $lt: new Date() },
             $or: [
                 { isActive: false, loggedOutAt: { $lt: cutoffDate } },
                 { lastUsed: { $lt: cutoffDate } }
@@ -0,0 +1,352 @@
+import User from "../models/User.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import {
+    generateTotpSecret,
+    buildOtpauthUri,
+    verifyTotp,
+    encryptTotpSecret,
+    decryptTotpSecret,
+    generateRecoveryCodes,
+    hashRecoveryCode
+} from "../utils/totp.js";
+
+// Unselected two-factor fields needed to check codes
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+// Brute-force protection of the sign-in step - the first factor alone cannot try codes for long
+const TWO_FACTOR_CONFIG = {
+    MAX_SIGNIN_FAILURES: 5,
+    LOCKOUT_MS: 15 * 60 * 1000
+};
+
+/**
+ * TOTP two-factor authentication service
+ */
+class TwoFactorService {
+    /**
+     * Find a user with the two-factor secrets selected, or fail with 404
+     * @param {string} userId - User ID
+     * @returns {Object} User document
+     */
+    static async findUserWithSecrets(userId) {
+        const user = await User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+
+        return user;
+    }
+
+    /**
+     * Number of recovery codes not used yet
+     * @param {Object} user - User document with recovery codes selected
+     * @returns {number} Remaining codes
+     */
+    static countRecoveryCodes(user) {
+        return (user.twoFactor?.recoveryCodes || []).filter(code => !code.usedAt).length;
+    }
+
+    /**
+     * Format the two-factor state shown to the user
+     * @param {Object} user - User document with recovery codes selected
+     * @returns {Object} Two-factor status
+     */
+    static formatStatus(user) {
+        return {
+            enabled: Boolean(user.twoFactor?.enabled),
+            enabledAt: user.twoFactor?.enabledAt || null,
+            recoveryCodesRemaining: user.twoFactor?.enabled ? this.countRecoveryCodes(user) : 0
+        };
+    }
+
+    /**
+     * Get the user's two-factor status
+     * @param {string} userId - User ID
+     * @returns {Object} Two-factor status
+     */
+    static async getStatus(userId) {
+        return this.formatStatus(await this.findUserWithSecrets(userId));
+    }
+
+    /**
+     * Start enrollment - the new secret only takes effect once a code from it is confirmed
+     * @param {string} userId - User ID
+     * @returns {Object} Base32 secret and otpauth URI for the QR code
+     */
+    static async startEnrollment(userId) {
+        const user = await this.findUserWithSecrets(userId);
+
+        if (user.twoFactor?.enabled) {
+            throw new ApiError(409, "Two-factor authentication is already enabled");
+        }
+
+        const secret = generateTotpSecret();
+
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { 'twoFactor.pendingSecret': encryptTotpSecret(secret) } }
+        );
+
+        return {
+            secret,
+            otpauthUri: buildOtpauthUri(secret, user.email)
+        };
+    }
+
+    /**
+     * Finish enrollment with a code from the authenticator app and issue recovery codes
+     * @param {string} userId - User ID
+     * @param {string} code - TOTP code
+     * @returns {Object} Two-factor status and the recovery codes, shown only this once
+     */
+    static async confirmEnrollment(userId, code) {
+        const user = await this.findUserWithSecrets(userId);
+
+        if (user.twoFactor?.enabled) {
+            throw new ApiError(409, "Two-factor authentication is already enabled");
+        }
+
+        const pendingSecret = user.twoFactor?.pendingSecret;
+        if (!pendingSecret) {
+            throw new ApiError(400, "Start two-factor setup first");
+        }
+
+        const step = verifyTotp(decryptTotpSecret(pendingSecret), code);
+        if (step === null) {
+            throw new ApiError(400, "Invalid two-factor code", { code: "The code does not match, check your authenticator app" });
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        const enabledAt = new Date();
+
+        // Conditional on the pending secret so a concurrent setup restart is not enabled by mistake
+        const result = await User.updateOne(
+            { _id: user._id, 'twoFactor.enabled': { $ne: true }, 'twoFactor.pendingSecret': pendingSecret },
+            {
+                $set: {
+                    'twoFactor.enabled': true,
+                    'twoFactor.secret': pendingSecret,
+                    'twoFactor.lastUsedStep': step,
+                    'twoFactor.recoveryCodes': recoveryCodes.map(recoveryCode => ({ codeHash: hashRecoveryCode(recoveryCode) })),
+                    'twoFactor.enabledAt': enabledAt
+                },
+                $unset: { 'twoFactor.pendingSecret': "" }
+            }
+        );
+
+        if (result.modifiedCount === 0) {
+            throw new ApiError(409, "Two-factor setup changed meanwhile, please start again");
+        }
+
+        return {
+            enabled: true,
+            enabledAt,
+            recoveryCodesRemaining: recoveryCodes.length,
+            recoveryCodes
+        };
+    }
+
+    /**
+     * Check a TOTP code or a recovery code for an enrolled user
+     * Both are consumed atomically - a TOTP code is never accepted twice and a recovery code works once
+     * @param {Object} user - User document with the two-factor secrets selected
+     * @param {Object} credentials - Exactly one of code or recoveryCode
+     * @returns {Object|null} { method, recoveryCodesRemaining }, or null if the code is wrong
+     */
+    static async verifySecondFactor(user, { code, recoveryCode }) {
+        if (!user.twoFactor?.enabled || !user.twoFactor.secret) {
+            return null;
+        }
+
+        if (recoveryCode) {
+            const result = await User.updateOne(
+                {
+                    _id: user._id,
+                    'twoFactor.enabled': true,
+                    'twoFactor.recoveryCodes': { $elemMatch: { codeHash: hashRecoveryCode(recoveryCode), usedAt: null } }
+                },
+                { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+            );
+
+            return result.modifiedCount === 1
+                ? { method: 'recovery_code', recoveryCodesRemaining: this.countRecoveryCodes(user) - 1 }
+                : null;
+        }
+
+        const lastUsedStep = user.twoFactor.lastUsedStep ?? -1;
+        const step = verifyTotp(decryptTotpSecret(user.twoFactor.secret), code, { afterStep: lastUsedStep });
+        if (step === null) {
+            return null;
+        }
+
+        // Two requests racing with the same code - only one moves the step forward
+        const result = await User.updateOne(
+            {
+                _id: user._id,
+                'twoFactor.enabled': true,
+                $or: [
+                    { 'twoFactor.lastUsedStep': null },
+                    { 'twoFactor.lastUsedStep': { $lt: step } }
+                ]
+            },
+            { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+
+        return result.modifiedCount === 1
+            ? { method: 'totp', recoveryCodesRemaining: this.countRecoveryCodes(user) }
+            : null;
+    }
+
+    /**
+     * Verify the second factor of a sign-in that is waiting for it
+     * After too many invalid codes the account refuses them for a while (429)
+     * @param {string} userId - User from the pending sign-in
+     * @param {Object} credentials - Exactly one of code or recoveryCode
+     * @returns {Object} User document and remaining recovery codes
+     */
+    static async completeSignIn(userId, credentials) {
+        const user = await User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+
+        if (!user) {
+            throw new ApiError(401, "Two-factor sign-in has expired, please sign in again");
+        }
+
+        if (!user.isActive) {
+            throw new ApiError(403, "Account is deactivated");
+        }
+
+        // Two-factor was reset after the first factor passed - nothing left to check
+        if (!user.twoFactor?.enabled) {
+            return { user, recoveryCodesRemaining: 0 };
+        }
+
+        // Each attempt is counted before the code is checked, so parallel guesses cannot exceed the limit
+        const now = new Date();
+        const attempt = await User.findOneAndUpdate(
+            {
+                _id: user._id,
+                'twoFactor.lockedUntil': { $not: { $gt: now } },
+                'twoFactor.failedAttempts': { $not: { $gte: TWO_FACTOR_CONFIG.MAX_SIGNIN_FAILURES } }
+            },
+            { $inc: { 'twoFactor.failedAttempts': 1 } },
+            { new: true, projection: { 'twoFactor.failedAttempts': 1 } }
+        );
+
+        if (!attempt) {
+            throw new ApiError(429, "Too many invalid two-factor codes, please sign in again later");
+        }
+
+        const verification = await this.verifySecondFactor(user, credentials);
+        if (!verification) {
+            const attemptsRemaining = TWO_FACTOR_CONFIG.MAX_SIGNIN_FAILURES - attempt.twoFactor.failedAttempts;
+
+            if (attemptsRemaining <= 0) {
+                await User.updateOne(
+                    { _id: user._id },
+                    {
+                        $set: {
+                            'twoFactor.failedAttempts': 0,
+                            'twoFactor.lockedUntil': new Date(Date.now() + TWO_FACTOR_CONFIG.LOCKOUT_MS)
+                        }
+                    }
+                );
+                console.warn('Two-factor sign-in locked after repeated invalid codes:', { userId: user._id });
+                throw new ApiError(429, "Too many invalid two-factor codes, please sign in again later");
+            }
+
+            throw new ApiError(401, "Invalid two-factor code", { attemptsRemaining });
+        }
+
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { 'twoFactor.failedAttempts': 0 }, $unset: { 'twoFactor.lockedUntil': "" } }
+        );
+
+        if (verification.method === 'recovery_code') {
+            console.log('Two-factor recovery code used for sign-in:', { userId: user._id, remaining: verification.recoveryCodesRemaining });
+        }
+
+        return { user, recoveryCodesRemaining: verification.recoveryCodesRemaining };
+    }
+
+    /**
+     * Replace the recovery codes - the old ones stop working
+     * @param {string} userId - User ID
+     * @param {Object} credentials - Exactly one of code or recoveryCode
+     * @returns {Object} New recovery codes, shown only this once
+     */
+    static async regenerateRecoveryCodes(userId, credentials) {
+        const user = await this.findUserWithSecrets(userId);
+
+        if (!user.twoFactor?.enabled) {
+            throw new ApiError(400, "Two-factor authentication is not enabled");
+        }
+
+        if (!(await this.verifySecondFactor(user, credentials))) {
+            throw new ApiError(400, "Invalid two-factor code");
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(recoveryCode => ({ codeHash: hashRecoveryCode(recoveryCode) })) } }
+        );
+
+        return {
+            recoveryCodesRemaining: recoveryCodes.length,
+            recoveryCodes
+        };
+    }
+
+    /**
+     * Remove every two-factor setting of a user
+     * @param {string} userId - User ID
+     * @param {Object} [extra] - Additional fields to set, e.g. reset details
+     */
+    static async clearTwoFactor(userId, extra = {}) {
+        await User.updateOne(
+            { _id: userId },
+            {
+                $set: {
+                    'twoFactor.enabled': false,
+                    'twoFactor.enabledAt': null,
+                    ...extra
+                },
+                $unset: {
+                    'twoFactor.secret': "",
+                    'twoFactor.pendingSecret': "",
+                    'twoFactor.lastUsedStep': "",
+                    'twoFactor.recoveryCodes': "",
+                    'twoFactor.failedAttempts': "",
+                    'twoFactor.lockedUntil': ""
+                }
+            }
+        );
+    }
+
+    /**
+     * Turn two-factor authentication off - needs a current code or a recovery code
+     * @param {string} userId - User ID
+     * @param {Object} credentials - Exactly one of code or recoveryCode
+     * @returns {Object} Two-factor status
+     */
+    static async disable(userId, credentials) {
+        const user = await this.findUserWithSecrets(userId);
+
+        if (!user.twoFactor?.enabled) {
+            throw new ApiError(400, "Two-factor authentication is not enabled");
+        }
+
+        if (!(await this.verifySecondFactor(user, credentials))) {
+            throw new ApiError(400, "Invalid two-factor code");
+        }
+
+        await this.clearTwoFactor(user._id);
+
+        return { enabled: false, enabledAt: null, recoveryCodesRemaining: 0 };
+    }
+}
+
+export default TwoFactorService;
@@ -1,5 +1,8 @@
 import User from "../models/User.model.js";
+import InterviewExperience from "../models/InterviewExperience.model.js";
 import { ApiError } from "../utils/ApiError.js";
+import CompanyService from "./companyService.js";
+import { getEnabledProviderNames } from "../Shared/OAuthProviders.js";
 
 /**
  * User service layer for handling user-related business logic
@@ -11,7 +14,8 @@ class UserService {
      * @returns {Object} Clean user profile data
      */
     static async getUserProfile(userId) {
-        const user = await User.findById(userId).select("-__v");
+        // Password is selected only to report whether one is set
+        const user = await User.findById(userId).select("-__v +password");
 
         if (!user) {
             throw new ApiError(404, "User not found");
@@ -31,11 +35,18 @@ class UserService {
         return {
             id: userData.id,
             email: userData.email,
+            username: userData.username,
+            isEmailVerified: userData.isEmailVerified,
+            connectedProviders: user.connectedProviders,
+            hasPassword: Boolean(user.password),
+            twoFactorEnabled: Boolean(userData.twoFactor?.enabled),
             name: userData.name,
             avatar: userData.avatar,
             skills: userData.skills || [],
             currentCompany: userData.currentCompany,
             totalExperience: userData.totalExperience,
+            roles: userData.roles,
+            permissions: user.permissions,
             isActive: userData.isActive,
             lastLoginAt: userData.lastLoginAt,
             loginCount: userData.loginCount, // Now represents active sessions
@@ -60,6 +71,14 @@ class UserService {
             throw new ApiError(400, "No valid fields to update");
         }
 
+        // Use the canonical company name when the company is already known
+        if (cleanUpdateData.currentCompany) {
+            const company = await CompanyService.findCompany(cleanUpdateData.currentCompany);
+            if (company) {
+                cleanUpdateData.currentCompany = company.name;
+            }
+        }
+
         const user = await User.findByIdAndUpdate(
             userId,
             { $set: cleanUpdateData },
@@ -73,6 +92,56 @@ class UserService {
         return user;
     }
 
+    /**
+     * Detach an OAuth provider from the account
+     * The last remaining sign-in method can never be removed
+     * @param {string} userId - User ID
+     * @param {string} provider - Name of an enabled provider
+     * @returns {Object} Remaining sign-in methods
+     */
+    static async unlinkProvider(userId, provider) {
+        const providerIdField = `${provider}Id`;
+        const isSet = { $exists: true, $nin: [null, ""] };
+
+        // Conditional on another method remaining, so concurrent unlinks cannot remove them all.
+        // Disabled providers do not count - they can no longer sign in
+        const otherSignInMethods = [
+            ...getEnabledProviderNames().filter(other => other !== provider).map(other => ({ [`${other}Id`]: isSet })),
+            // A password is refused until the address is verified
+            { password: isSet, isEmailVerified: true },
+            // Emailed sign-in links reach the account at its address - counted once the address is verified
+            { isEmailVerified: true }
+        ];
+
+        const user = await User.findOneAndUpdate(
+            { _id: userId, [providerIdField]: isSet, $or: otherSignInMethods },
+            { $unset: { [providerIdField]: 1 } },
+            { new: true }
+        ).select("+password");
+
+        if (!user) {
+            const existingUser = await User.findById(userId);
+
+            if (!existingUser) {
+                throw new ApiError(404, "User not found");
+            }
+
+            if (!existingUser.hasProvider(provider)) {
+                throw new ApiError(404, `${provider} is not linked to this account`);
+            }
+
+            throw new ApiError(400, "Cannot unlink the last sign-in method", {
+                provider: "Link another provider or verify your email address first"
+            });
+        }
+
+        return {
+            unlinkedProvider: provider,
+            connectedProviders: user.connectedProviders,
+            hasPassword: Boolean(user.password)
+        };
+    }
+
     /**
      * Get user bookmarks with pagination
      * @param {string} userId - User ID
@@ -81,25 +150,26 @@ class UserService {
      * @returns {Object} Bookmarks with pagination info
      */
     static async getUserBookmarks(userId, page = 1, limit = 10) {
-        const user = await User.findById(userId)
-            .populate({
-                path: 'bookmarks',
-                options: {
-                    skip: (page - 1) * limit,
-                    limit: limit,
-                    sort: { createdAt: -1 }
-                }
-            })
-            .select('bookmarks');
+        const user = await User.findById(userId).select('bookmarks');
 
         if (!user) {
             throw new ApiError(404, "User not found");
         }
 
-        const totalBookmarks = await User.findById(userId).select('bookmarks').then(u => u.bookmarks.length);
+        // Experiences unpublished or moderated after being bookmarked are skipped -
+        // the page and the total come from the same filter so they agree
+        const filter = { _id: { $in: user.bookmarks }, ...InterviewExperience.visibleFilter() };
+
+        const [bookmarks, totalBookmarks] = await Promise.all([
+            InterviewExperience.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            InterviewExperience.countDocuments(filter)
+        ]);
 
         return {
-            bookmarks: user.bookmarks,
+            bookmarks,
             pagination: {
                 currentPage: page,
                 totalPages: Math.ceil(totalBookmarks / limit),
@@ -1,5 +1,25 @@
 import { body, param, query, validationResult } from "express-validator";
 import { ApiError } from "../utils/ApiError.js";
+import { SUPPORTED_CURRENCIES } from "../utils/currency.js";
+import {
+    EXPERIENCE_DIFFICULTIES,
+    EXPERIENCE_SORT_OPTIONS,
+    EXPERIENCE_STATUSES,
+    MIN_PUBLISHED_CONTENT_LENGTH,
+    ROUND_TYPES,
+    ROUND_MODES,
+    ROUND_RESULTS,
+    QUESTION_TOPICS,
+    QUESTION_SORT_OPTIONS,
+    REPORT_REASONS,
+    REPORT_TARGET_TYPES,
+    MODERATION_ACTIONS,
+    USER_ROLES
+} from "../constants.js";
+import Validations from "../validations/validations.js";
+import { isProviderEnabled, getEnabledProviderNames } from "../Shared/OAuthProviders.js";
+import UserRegisterValidation from "../validations/userRegister.validation.js";
+import UserLoginValidation from "../validations/userLogin.validation.js";
 
 /**
  * Validation service for handling input validation
@@ -88,6 +108,182 @@ class ValidationService {
         ValidationService.handleValidationErrors
     ];
 
+    /**
+     * OAuth provider validation rules
+     */
+    static validateProvider = [
+        param('provider')
+            .custom(isProviderEnabled)
+            .withMessage(() => `Provider must be one of: ${getEnabledProviderNames().join(', ')}`),
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * Report the errors of a validation class from src/validations in the same
+     * shape as express-validator errors
+     * @param {Object} validation - Instance with a checkValidation() method
+     */
+    static checkValidationClass(validation) {
+        const errors = validation.checkValidation();
+        const fields = Object.keys(errors);
+
+        if (fields.length > 0) {
+            throw new ApiError(400, "Validation failed", fields.map(field => ({
+                field,
+                message: errors[field]
+            })));
+        }
+    }
+
+    /**
+     * Local registration validation rules
+     */
+    static validateLocalRegister = [
+        body(['firstName', 'lastName', 'userName', 'email', 'password'])
+            .isString()
+            .withMessage('Must be a string'),
+
+        ValidationService.handleValidationErrors,
+
+        (req, res, next) => {
+            const { firstName, lastName, userName, email, password } = req.body;
+            ValidationService.checkValidationClass(
+                new UserRegisterValidation(firstName, lastName, userName, email, password)
+            );
+            next();
+        }
+    ];
+
+    /**
+     * Local login validation rules - username or email, and password
+     */
+    static validateLocalLogin = [
+        body(['userName', 'email', 'password'])
+            .optional()
+            .isString()
+            .withMessage('Must be a string'),
+
+        ValidationService.handleValidationErrors,
+
+        (req, res, next) => {
+            const { userName, email, password } = req.body;
+            ValidationService.checkValidationClass(new UserLoginValidation(userName, email, password));
+            next();
+        }
+    ];
+
+    /**
+     * Emailed token validation rules (email verification, password reset)
+     */
+    static validateEmailToken = [
+        body('token')
+            .isString()
+            .withMessage('Invalid token')
+            .bail()
+            .matches(/^[a-f0-9]{64}$/)
+            .withMessage('Invalid token'),
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * Email address validation rules (verification resend, password reset request)
+     */
+    static validateEmailAddress = [
+        body('email')
+            .isString()
+            .withMessage('Please enter a valid email')
+            .bail()
+            .trim()
+            .custom((email) => Validations.emailValidation(email))
+            .withMessage('Please enter a valid email'),
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * Password reset validation rules
+     */
+    static validatePasswordReset = [
+        body('token')
+            .isString()
+            .withMessage('Invalid token')
+            .bail()
+            .matches(/^[a-f0-9]{64}$/)
+            .withMessage('Invalid token'),
+
+        body('password')
+            .isString()
+            .withMessage('Password must be a string')
+            .bail()
+            .custom((password) => Validations.passwordValidation(password))
+            .withMessage('Password must be at least 8 characters with an uppercase letter, a lowercase letter and a number'),
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * Sign-in link request validation rules
+     */
+    static validateMagicLinkRequest = [
+        body('email')
+            .isString()
+            .withMessage('Please enter a valid email')
+            .bail()
+            .trim()
+            .custom((email) => Validations.emailValidation(email))
+            .withMessage('Please enter a valid email'),
+
+        body('returnTo')
+            .optional()
+            .isString()
+            .withMessage('Return path must be a string'),
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * Authenticator app code validation rules
+     */
+    static validateTotpCode = [
+        body('code')
+            .isString()
+            .withMessage('Code must be a string')
+            .bail()
+            .matches(/^\d{6}$/)
+            .withMessage('Code must be 6 digits'),
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * Two-factor check validation rules - an authenticator code or a recovery code
+     */
+    static validateTwoFactorCode = [
+        body('code')
+            .optional()
+            .isString()
+            .withMessage('Code must be a string')
+            .bail()
+            .matches(/^\d{6}$/)
+            .withMessage('Code must be 6 digits'),
+
+        body('recoveryCode')
+            .optional()
+            .isString()
+            .withMessage('Recovery code must be a string')
+            .bail()
+            .matches(/^[a-f0-9]{5}-?[a-f0-9]{5}$/i)
+            .withMessage('Invalid recovery code'),
+
+        body()
+            .custom(({ code, recoveryCode } = {}) => Boolean(code) !== Boolean(recoveryCode))
+            .withMessage('Provide either a code or a recovery code'),
+
+        ValidationService.handleValidationErrors
+    ];
+
     /**
      * Pagination validation rules
      */
@@ -105,6 +301,655 @@ class ValidationService {
         ValidationService.handleValidationErrors
     ];
 
+    /**
+     * Interview round validation rules shared by experience create and update
+     */
+    static interviewRoundRules = [
+        body('rounds')
+            .optional()
+            .isArray({ max: 15 })
+            .withMessage('Rounds must be an array of at most 15 items'),
+
+        body('rounds.*.type')
+            .isIn(ROUND_TYPES)
+            .withMessage(`Round type must be one of: ${ROUND_TYPES.join(', ')}`),
+
+        body('rounds.*.durationMinutes')
+            .optional()
+            .isInt({ min: 1, max: 600 })
+            .withMessage('Round duration must be between 1 and 600 minutes')
+            .toInt(),
+
+        body('rounds.*.mode')
+            .optional()
+            .isIn(ROUND_MODES)
+            .withMessage(`Round mode must be one of: ${ROUND_MODES.join(', ')}`),
+
+        body('rounds.*.difficulty')
+            .optional()
+            .isIn(EXPERIENCE_DIFFICULTIES)
+            .withMessage(`Round difficulty must be one of: ${EXPERIENCE_DIFFICULTIES.join(', ')}`),
+
+        body('rounds.*.questions')
+            .optional()
+            .isArray({ max: 20 })
+            .withMessage('Round questions must be an array of at most 20 items'),
+
+        body('rounds.*.questions.*')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 500 })
+            .withMessage('Each question must be between 1 and 500 characters'),
+
+        body('rounds.*.result')
+            .optional()
+            .isIn(ROUND_RESULTS)
+            .withMessage(`Round result must be one of: ${ROUND_RESULTS.join(', ')}`)
+    ];
+
+    /**
+     * Interview experience creation validation rules
+     */
+    static validateExperienceCreate = [
+        body('company')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Company name is required and must not exceed 100 characters'),
+
+        body('location')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage('Location must not exceed 100 characters'),
+
+        body('yearsOfExperience')
+            .isFloat({ min: 0, max: 50 })
+            .withMessage('Years of experience must be between 0 and 50')
+            .toFloat(),
+
+        body('difficulty')
+            .isIn(EXPERIENCE_DIFFICULTIES)
+            .withMessage(`Difficulty must be one of: ${EXPERIENCE_DIFFICULTIES.join(', ')}`),
+
+        body('interviewDate')
+            .isISO8601()
+            .withMessage('Interview date must be a valid date')
+            .bail()
+            .custom((value) => new Date(value) <= new Date())
+            .withMessage('Interview date cannot be in the future'),
+
+        body('package')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage('Package must not exceed 100 characters'),
+
+        body('content')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 15000 })
+            .withMessage('Content is required and must not exceed 15000 characters of markdown')
+            .bail()
+            .custom((content, { req }) => req.body.status === 'draft' || content.length >= MIN_PUBLISHED_CONTENT_LENGTH)
+            .withMessage(`Content must be at least ${MIN_PUBLISHED_CONTENT_LENGTH} characters unless saved as a draft`),
+
+        body('status')
+            .optional()
+            .isIn(['draft', 'published'])
+            .withMessage('Status must be one of: draft, published'),
+
+        body('isAnonymous')
+            .optional()
+            .isBoolean()
+            .withMessage('isAnonymous must be a boolean')
+            .toBoolean(true),
+
+        body('tags')
+            .optional()
+            .isArray({ max: 10 })
+            .withMessage('Tags must be an array of at most 10 items')
+            .bail()
+            .custom((tags) => tags.every(tag =>
+                typeof tag === 'string' && tag.trim().length > 0 && tag.trim().length <= 30
+            ))
+            .withMessage('Each tag must be a non-empty string of at most 30 characters'),
+
+        ...ValidationService.interviewRoundRules,
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * Interview experience update validation rules
+     */
+    static validateExperienceUpdate = [
+        param('interviewExperienceId')
+            .isMongoId()
+            .withMessage('Invalid ID format'),
+
+        body('company')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Company name must not exceed 100 characters'),
+
+        body('location')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage('Location must not exceed 100 characters'),
+
+        body('yearsOfExperience')
+            .optional()
+            .isFloat({ min: 0, max: 50 })
+            .withMessage('Years of experience must be between 0 and 50')
+            .toFloat(),
+
+        body('difficulty')
+            .optional()
+            .isIn(EXPERIENCE_DIFFICULTIES)
+            .withMessage(`Difficulty must be one of: ${EXPERIENCE_DIFFICULTIES.join(', ')}`),
+
+        body('interviewDate')
+            .optional()
+            .isISO8601()
+            .withMessage('Interview date must be a valid date')
+            .bail()
+            .custom((value) => new Date(value) <= new Date())
+            .withMessage('Interview date cannot be in the future'),
+
+        body('package')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage('Package must not exceed 100 characters'),
+
+        // The published minimum length depends on the stored status and is checked on save
+        body('content')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 15000 })
+            .withMessage('Content must be between 1 and 15000 characters of markdown'),
+
+        body('status')
+            .optional()
+            .isIn(EXPERIENCE_STATUSES)
+            .withMessage(`Status must be one of: ${EXPERIENCE_STATUSES.join(', ')}`),
+
+        body('isAnonymous')
+            .optional()
+            .isBoolean()
+            .withMessage('isAnonymous must be a boolean')
+            .toBoolean(true),
+
+        body('version')
+            .isInt({ min: 0 })
+            .withMessage('Version of the experience being edited is required')
+            .toInt(),
+
+        body('tags')
+            .optional()
+            .isArray({ max: 10 })
+            .withMessage('Tags must be an array of at most 10 items')
+            .bail()
+            .custom((tags) => tags.every(tag =>
+                typeof tag === 'string' && tag.trim().length > 0 && tag.trim().length <= 30
+            ))
+            .withMessage('Each tag must be a non-empty string of at most 30 characters'),
+
+        ...ValidationService.interviewRoundRules,
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * Interview experience listing query validation rules
+     */
+    static validateExperienceList = [
+        // Express 5 parses req.query again on every read, so sanitizers here would be lost -
+        // the service trims and normalizes the filters itself
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+
+        query('status')
+            .optional()
+            .isIn(EXPERIENCE_STATUSES)
+            .withMessage(`Status must be one of: ${EXPERIENCE_STATUSES.join(', ')}`),
+
+        query('company')
+            .optional()
+            .isString()
+            .isLength({ max: 100 })
+            .withMessage('Company must not exceed 100 characters'),
+
+        query('location')
+            .optional()
+            .isString()
+            .isLength({ max: 100 })
+            .withMessage('Location must not exceed 100 characters'),
+
+        query('difficulty')
+            .optional()
+            .custom((value) => String(value).split(',').every(level => EXPERIENCE_DIFFICULTIES.includes(level.trim())))
+            .withMessage(`Difficulty must be a comma separated list of: ${EXPERIENCE_DIFFICULTIES.join(', ')}`),
+
+        query(['minExperience', 'maxExperience'])
+            .optional()
+            .isFloat({ min: 0, max: 50 })
+            .withMessage('Experience range must be between 0 and 50 years'),
+
+        query(['fromDate', 'toDate'])
+            .optional()
+            .isISO8601()
+            .withMessage('Date range must use valid dates'),
+
+        query('tags')
+            .optional()
+            .isString()
+            .withMessage('Tags must be a comma separated string'),
+
+        query(['minSalary', 'maxSalary'])
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('Salary range must use non-negative numbers'),
+
+        query('salaryCurrency')
+            .optional()
+            .custom((value) => SUPPORTED_CURRENCIES.includes(String(value).toUpperCase()))
+            .withMessage(`Salary currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`),
+
+        query('roundType')
+            .optional()
+            .custom((value) => String(value).split(',').every(type => ROUND_TYPES.includes(type.trim())))
+            .withMessage(`Round type must be a comma separated list of: ${ROUND_TYPES.join(', ')}`),
+
+        query('sortBy')
+            .optional()
+            .isIn(EXPERIENCE_SORT_OPTIONS)
+            .withMessage(`Sort must be one of: ${EXPERIENCE_SORT_OPTIONS.join(', ')}`),
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * Interview experience search validation rules (accepts the listing filters too)
+     */
+    static validateExperienceSearch = [
+        query('q')
+            .isString()
+            .isLength({ min: 2, max: 200 })
+            .withMessage('Search query must be between 2 and 200 characters'),
+
+        ...ValidationService.validateExperienceList
+    ];
+
+    /**
+     * Comment creation validation rules
+     */
+    static validateComment = [
+        body('content')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 2000 })
+            .withMessage('Comment must be between 1 and 2000 characters'),
+
+        body('parentId')
+            .optional({ nullable: true })
+            .isMongoId()
+            .withMessage('Invalid parent comment ID'),
+
+        body('isAnonymous')
+            .optional()
+            .isBoolean()
+            .withMessage('isAnonymous must be a boolean')
+            .toBoolean(true),
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * Comment ID validation rules
+     */
+    static validateCommentId = [
+        param('commentId')
+            .isMongoId()
+            .withMessage('Invalid comment ID'),
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * Comment update validation rules
+     */
+    static validateCommentUpdate = [
+        param('commentId')
+            .isMongoId()
+            .withMessage('Invalid comment ID'),
+
+        body('content')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 2000 })
+            .withMessage('Comment must be between 1 and 2000 characters'),
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * Experience revision list validation rules
+     */
+    static validateRevisionList = [
+        param('interviewExperienceId')
+            .isMongoId()
+            .withMessage('Invalid ID format'),
+
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * Experience revision diff validation rules
+     */
+    static validateRevisionDiff = [
+        param('interviewExperienceId')
+            .isMongoId()
+            .withMessage('Invalid ID format'),
+
+        query(['from', 'to'])
+            .isInt({ min: 1 })
+            .withMessage('from and to must be revision numbers'),
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * Experience revision restore validation rules
+     */
+    static validateRevisionRestore = [
+        param('interviewExperienceId')
+            .isMongoId()
+            .withMessage('Invalid ID format'),
+
+        param('revision')
+            .isInt({ min: 1 })
+            .withMessage('Revision must be a positive integer'),
+
+        body('version')
+            .isInt({ min: 0 })
+            .withMessage('Version of the experience being edited is required')
+            .toInt(),
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * Shared report body rules
+     */
+    static reportRules = [
+        body('reason')
+            .isIn(REPORT_REASONS)
+            .withMessage(`Reason must be one of: ${REPORT_REASONS.join(', ')}`),
+
+        body('details')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ max: 500 })
+            .withMessage('Details must not exceed 500 characters')
+    ];
+
+    /**
+     * Interview experience report validation rules
+     */
+    static validateReport = [
+        param('interviewExperienceId')
+            .isMongoId()
+            .withMessage('Invalid ID format'),
+
+        ...ValidationService.reportRules,
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * Comment report validation rules
+     */
+    static validateCommentReport = [
+        param('commentId')
+            .isMongoId()
+            .withMessage('Invalid comment ID'),
+
+        ...ValidationService.reportRules,
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * Moderation queue query validation rules
+     */
+    static validateModerationQueue = [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+
+        query('targetType')
+            .optional()
+            .isIn(REPORT_TARGET_TYPES)
+            .withMessage(`Target type must be one of: ${REPORT_TARGET_TYPES.join(', ')}`),
+
+        query('reason')
+            .optional()
+            .isIn(REPORT_REASONS)
+            .withMessage(`Reason must be one of: ${REPORT_REASONS.join(', ')}`),
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * Moderation action validation rules
+     */
+    static validateModerationAction = [
+        param('targetType')
+            .isIn(REPORT_TARGET_TYPES)
+            .withMessage(`Target type must be one of: ${REPORT_TARGET_TYPES.join(', ')}`),
+
+        param('targetId')
+            .isMongoId()
+            .withMessage('Invalid target ID'),
+
+        body('action')
+            .isIn(MODERATION_ACTIONS)
+            .withMessage(`Action must be one of: ${MODERATION_ACTIONS.join(', ')}`),
+
+        body('note')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ max: 1000 })
+            .withMessage('Note must not exceed 1000 characters'),
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * Moderation action log query validation rules
+     */
+    static validateModerationActionList = [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+
+        query('targetType')
+            .optional()
+            .isIn(REPORT_TARGET_TYPES)
+            .withMessage(`Target type must be one of: ${REPORT_TARGET_TYPES.join(', ')}`),
+
+        query(['targetId', 'authorId', 'moderatorId'])
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid ID format'),
+
+        query('action')
+            .optional()
+            .isIn(MODERATION_ACTIONS)
+            .withMessage(`Action must be one of: ${MODERATION_ACTIONS.join(', ')}`),
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * Admin user listing query validation rules
+     */
+    static validateAdminUserList = [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+
+        query('q')
+            .optional()
+            .isString()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Search query must be between 1 and 100 characters'),
+
+        query('role')
+            .optional()
+            .isIn(USER_ROLES)
+            .withMessage(`Role must be one of: ${USER_ROLES.join(', ')}`),
+
+        query('isActive')
+            .optional()
+            .isBoolean()
+            .withMessage('isActive must be true or false'),
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * User ID validation rules
+     */
+    static validateUserId = [
+        param('userId')
+            .isMongoId()
+            .withMessage('Invalid user ID'),
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * User roles update validation rules
+     */
+    static validateUserRoles = [
+        param('userId')
+            .isMongoId()
+            .withMessage('Invalid user ID'),
+
+        body('roles')
+            .isArray({ min: 1, max: USER_ROLES.length })
+            .withMessage('Roles must be a non-empty array')
+            .bail()
+            .custom((roles) => roles.every(role => USER_ROLES.includes(role)))
+            .withMessage(`Each role must be one of: ${USER_ROLES.join(', ')}`),
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * Question bank listing query validation rules
+     */
+    static validateQuestionList = [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+
+        query('company')
+            .optional()
+            .isString()
+            .isLength({ max: 100 })
+            .withMessage('Company must not exceed 100 characters'),
+
+        query('topic')
+            .optional()
+            .isIn(QUESTION_TOPICS)
+            .withMessage(`Topic must be one of: ${QUESTION_TOPICS.join(', ')}`),
+
+        query('sortBy')
+            .optional()
+            .isIn(QUESTION_SORT_OPTIONS)
+            .withMessage(`Sort must be one of: ${QUESTION_SORT_OPTIONS.join(', ')}`),
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * Question ID validation rules
+     */
+    static validateQuestionId = [
+        param('questionId')
+            .isMongoId()
+            .withMessage('Invalid question ID'),
+
+        ValidationService.handleValidationErrors
+    ];
+
+    /**
+     * Company slug validation rules
+     */
+    static validateCompanySlug = [
+        param('slug')
+            .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/i)
+            .isLength({ max: 120 })
+            .withMessage('Invalid company slug'),
+
+        ValidationService.handleValidationErrors
+    ];
+
     /**
      * MongoDB ObjectId validation
      */
@@ -1,20 +1,98 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
+import { getSigningKey, getVerificationKey, legacyTokensMayBeValid } from './jwtKeys.js';
 
 // =============================================================================
 // TOKEN CONFIGURATION
 // =============================================================================
 
+// Tokens are signed with the current asymmetric key from jwtKeys.js (RS256/ES256, with a kid header).
+// LEGACY_SECRET names the shared secret that signed HS256 tokens issued before the switch
 const TOKEN_CONFIG = {
     ACCESS_TOKEN: {
-        ALGORITHM: 'HS256',
+        LEGACY_SECRET: 'ACCESS_TOKEN_SECRET',
         ISSUER: 'InterviewReader',
         AUDIENCE: 'InterviewReader-Users'
     },
     REFRESH_TOKEN: {
-        ALGORITHM: 'HS256',
+        LEGACY_SECRET: 'REFRESH_TOKEN_SECRET',
         ISSUER: 'InterviewReader',
         AUDIENCE: 'InterviewReader-Users'
+    },
+    LINK_TOKEN: {
+        ISSUER: 'InterviewReader',
+        AUDIENCE: 'InterviewReader-AccountLink',
+        EXPIRY: '10m'
+    },
+    OAUTH_STATE: {
+        ISSUER: 'InterviewReader',
+        AUDIENCE: 'InterviewReader-OAuthState',
+        EXPIRY: '10m'
+    },
+    TWO_FACTOR_PENDING: {
+        ISSUER: 'InterviewReader',
+        AUDIENCE: 'InterviewReader-TwoFactor',
+        EXPIRY: '5m'
+    },
+    // Sessions store an HMAC of their tokens - changing the key signs everyone out
+    SESSION_TOKEN_HASH: {
+        SECRET: 'SESSION_TOKEN_HASH_SECRET',
+        FALLBACK_SECRET: 'REFRESH_TOKEN_SECRET'
+    }
+};
+
+// Accept HS256 tokens issued before asymmetric signing - only until they have all expired,
+// checked by legacyTokensMayBeValid. Set to false to stop accepting them earlier
+const ACCEPT_LEGACY_HS256 = process.env.JWT_ACCEPT_LEGACY_HS256 !== 'false';
+
+// =============================================================================
+// SIGNING HELPERS
+// =============================================================================
+
+/**
+ * Signs a payload with the current signing key and puts its kid in the header
+ * @param {Object} payload - Token payload
+ * @param {Object} options - jsonwebtoken sign options (expiry, issuer, audience)
+ * @returns {string} Signed token
+ */
+const signToken = (payload, options) => {
+    const { kid, alg, privateKey } = getSigningKey();
+
+    return jwt.sign(payload, privateKey, {
+        ...options,
+        algorithm: alg,
+        keyid: kid
+    });
+};
+
+/**
+ * Verifies a token with the key named by its kid header
+ * Throws jsonwebtoken errors, so callers can map them like any verification failure
+ * @param {string} token - Token to verify
+ * @param {Object} config - Token type configuration from TOKEN_CONFIG
+ * @returns {Object} Decoded token payload
+ */
+const verifySignedToken = (token, config) => {
+    const options = {
+        issuer: config.ISSUER,
+        audience: config.AUDIENCE
+    };
+
+    const header = jwt.decode(token, { complete: true })?.header;
+
+    if (header?.kid) {
+        const key = getVerificationKey(header.kid);
+        if (!key) {
+            throw new jwt.JsonWebTokenError('Unknown signing key');
+        }
+        return jwt.verify(token, key.publicKey, { ...options, algorithms: [key.alg] });
+    }
+
+    if (ACCEPT_LEGACY_HS256 && config.LEGACY_SECRET && header?.alg === 'HS256' && process.env[config.LEGACY_SECRET] && legacyTokensMayBeValid()) {
+        return jwt.verify(token, process.env[config.LEGACY_SECRET], { ...options, algorithms: ['HS256'] });
     }
+
+    throw new jwt.JsonWebTokenError('Token has no key ID');
 };
 
 // =============================================================================
@@ -40,12 +118,11 @@ export const generateAccessToken = (userId, additionalPayload = {}) => {
 
     const options = {
         expiresIn: process.env.ACCESS_TOKEN_EXPIRY || '1d',
-        algorithm: TOKEN_CONFIG.ACCESS_TOKEN.ALGORITHM,
         issuer: TOKEN_CONFIG.ACCESS_TOKEN.ISSUER,
         audience: TOKEN_CONFIG.ACCESS_TOKEN.AUDIENCE
     };
 
-    return jwt.sign(payload, process.env.ACCESS_TOKEN_SECRET, options);
+    return signToken(payload, options);
 };
 
 /**
@@ -67,12 +144,13 @@ export const generateRefreshToken = (userId, additionalPayload = {}) => {
 
     const options = {
         expiresIn: process.env.REFRESH_TOKEN_EXPIRY || '10d',
-        algorithm: TOKEN_CONFIG.REFRESH_TOKEN.ALGORITHM,
         issuer: TOKEN_CONFIG.REFRESH_TOKEN.ISSUER,
-        audience: TOKEN_CONFIG.REFRESH_TOKEN.AUDIENCE
+        audience: TOKEN_CONFIG.REFRESH_TOKEN.AUDIENCE,
+        // Unique per token so a rotation within the same second never reissues an identical token
+        jwtid: crypto.randomUUID()
     };
 
-    return jwt.sign(payload, process.env.REFRESH_TOKEN_SECRET, options);
+    return signToken(payload, options);
 };
 
 /**
@@ -93,6 +171,80 @@ export const generateTokens = (userId, additionalPayload = {}) => {
     }
 };
 
+/**
+ * Generates a short-lived token recording that a signed-in user started linking a provider
+ * @param {string} userId - User the provider will be linked to
+ * @param {string} provider - OAuth provider name
+ * @returns {string} Signed link token
+ */
+export const generateLinkToken = (userId, provider) => {
+    if (!userId || !provider) {
+        throw new Error('User ID and provider are required for link token generation');
+    }
+
+    const payload = {
+        _id: userId,
+        type: 'link',
+        provider
+    };
+
+    const options = {
+        expiresIn: TOKEN_CONFIG.LINK_TOKEN.EXPIRY,
+        issuer: TOKEN_CONFIG.LINK_TOKEN.ISSUER,
+        audience: TOKEN_CONFIG.LINK_TOKEN.AUDIENCE
+    };
+
+    return signToken(payload, options);
+};
+
+/**
+ * Signs the OAuth state kept in a cookie between the authorization redirect and the callback
+ * @param {Object} statePayload - State nonce, provider, PKCE verifier and return path
+ * @returns {string} Signed state token
+ */
+export const generateOAuthStateToken = (statePayload) => {
+    const payload = {
+        ...statePayload,
+        type: 'oauth_state'
+    };
+
+    const options = {
+        expiresIn: TOKEN_CONFIG.OAUTH_STATE.EXPIRY,
+        issuer: TOKEN_CONFIG.OAUTH_STATE.ISSUER,
+        audience: TOKEN_CONFIG.OAUTH_STATE.AUDIENCE
+    };
+
+    return signToken(payload, options);
+};
+
+/**
+ * Generates a short-lived token for a sign-in that passed the first factor and waits for a 2FA code
+ * @param {string} userId - User signing in
+ * @param {string} provider - Sign-in method the session will be created for
+ * @param {string} [returnTo] - Client path to return to after sign-in
+ * @returns {string} Signed pending sign-in token
+ */
+export const generateTwoFactorPendingToken = (userId, provider, returnTo) => {
+    if (!userId || !provider) {
+        throw new Error('User ID and provider are required for two-factor token generation');
+    }
+
+    const payload = {
+        _id: userId,
+        type: 'two_factor_pending',
+        provider,
+        returnTo
+    };
+
+    const options = {
+        expiresIn: TOKEN_CONFIG.TWO_FACTOR_PENDING.EXPIRY,
+        issuer: TOKEN_CONFIG.TWO_FACTOR_PENDING.ISSUER,
+        audience: TOKEN_CONFIG.TWO_FACTOR_PENDING.AUDIENCE
+    };
+
+    return signToken(payload, options);
+};
+
 // =============================================================================
 // TOKEN VERIFICATION FUNCTIONS
 // =============================================================================
@@ -104,13 +256,7 @@ export const generateTokens = (userId, additionalPayload = {}) => {
  */
 export const verifyAccessToken = (token) => {
     try {
-        const options = {
-            algorithms: [TOKEN_CONFIG.ACCESS_TOKEN.ALGORITHM],
-            issuer: TOKEN_CONFIG.ACCESS_TOKEN.ISSUER,
-            audience: TOKEN_CONFIG.ACCESS_TOKEN.AUDIENCE
-        };
-
-        const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET, options);
+        const decoded = verifySignedToken(token, TOKEN_CONFIG.ACCESS_TOKEN);
         
         if (decoded.type !== 'access') {
             throw new Error('Invalid token type');
@@ -135,13 +281,7 @@ export const verifyAccessToken = (token) => {
  */
 export const verifyRefreshToken = (token) => {
     try {
-        const options = {
-            algorithms: [TOKEN_CONFIG.REFRESH_TOKEN.ALGORITHM],
-            issuer: TOKEN_CONFIG.REFRESH_TOKEN.ISSUER,
-            audience: TOKEN_CONFIG.REFRESH_TOKEN.AUDIENCE
-        };
-
-        const decoded = jwt.verify(token, process.env.REFRESH_TOKEN_SECRET, options);
+        const decoded = verifySignedToken(token, TOKEN_CONFIG.REFRESH_TOKEN);
         
         if (decoded.type !== 'refresh') {
             throw new Error('Invalid token type');
@@ -159,6 +299,81 @@ export const verifyRefreshToken = (token) => {
     }
 };
 
+/**
+ * Verifies and decodes an account link token
+ * @param {string} token - Token to verify
+ * @returns {Object} Decoded token payload
+ */
+export const verifyLinkToken = (token) => {
+    try {
+        const decoded = verifySignedToken(token, TOKEN_CONFIG.LINK_TOKEN);
+
+        if (decoded.type !== 'link') {
+            throw new Error('Invalid token type');
+        }
+
+        return decoded;
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            throw new Error('Link token has expired');
+        } else if (error.name === 'JsonWebTokenError') {
+            throw new Error('Invalid link token');
+        } else {
+            throw new Error(`Token verification failed: ${error.message}`);
+        }
+    }
+};
+
+/**
+ * Verifies and decodes an OAuth state token
+ * @param {string} token - Token to verify
+ * @returns {Object} Decoded token payload
+ */
+export const verifyOAuthStateToken = (token) => {
+    try {
+        const decoded = verifySignedToken(token, TOKEN_CONFIG.OAUTH_STATE);
+
+        if (decoded.type !== 'oauth_state') {
+            throw new Error('Invalid token type');
+        }
+
+        return decoded;
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            throw new Error('OAuth state has expired');
+        } else if (error.name === 'JsonWebTokenError') {
+            throw new Error('Invalid OAuth state');
+        } else {
+            throw new Error(`Token verification failed: ${error.message}`);
+        }
+    }
+};
+
+/**
+ * Verifies and decodes a pending two-factor sign-in token
+ * @param {string} token - Token to verify
+ * @returns {Object} Decoded token payload
+ */
+export const verifyTwoFactorPendingToken = (token) => {
+    try {
+        const decoded = verifySignedToken(token, TOKEN_CONFIG.TWO_FACTOR_PENDING);
+
+        if (decoded.type !== 'two_factor_pending') {
+            throw new Error('Invalid token type');
+        }
+
+        return decoded;
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            throw new Error('Two-factor sign-in has expired');
+        } else if (error.name === 'JsonWebTokenError') {
+            throw new Error('Invalid two-factor sign-in token');
+        } else {
+            throw new Error(`Token verification failed: ${error.message}`);
+        }
+    }
+};
+
 // =============================================================================
 // TOKEN UTILITY FUNCTIONS
 // =============================================================================
@@ -212,4 +427,19 @@ export const getTimeUntilExpiry = (token) => {
     
     const timeRemaining = (expiry * 1000) - Date.now();
     return Math.max(0, timeRemaining);
-};
\ No newline at end of file
+};
+/**
+ * Keyed hash of a session token - sessions store and are looked up by this, never the token itself
+ * @param {string} token - Access or refresh token
+ * @returns {string} HMAC-SHA256 hex digest
+ */
+export const hashSessionToken = (token) => {
+    const { SECRET, FALLBACK_SECRET } = TOKEN_CONFIG.SESSION_TOKEN_HASH;
+    const key = process.env[SECRET] || process.env[FALLBACK_SECRET];
+
+    if (!key) {
+        throw new Error(`${SECRET} or ${FALLBACK_SECRET} must be set to hash session tokens`);
+    }
+
+    return crypto.createHmac('sha256', key).update(String(token)).digest('hex');
+};
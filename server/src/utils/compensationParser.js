@@ -0,0 +1,216 @@
+import { convertCurrency } from "./currency.js";
+
+// =============================================================================
+// PARSER CONFIGURATION
+// =============================================================================
+
+// Currency symbols and codes as users type them
+const CURRENCY_TOKENS = [
+    { pattern: /₹|\brs\.?(?=\s*\d)|\binr\b/i, currency: 'INR' },
+    { pattern: /€|\beur\b/i, currency: 'EUR' },
+    { pattern: /£|\bgbp\b/i, currency: 'GBP' },
+    { pattern: /\bc\$|\bcad\b/i, currency: 'CAD' },
+    { pattern: /\ba\$|\baud\b/i, currency: 'AUD' },
+    { pattern: /\bs\$|\bsgd\b/i, currency: 'SGD' },
+    { pattern: /\baed\b|\bdirhams?\b/i, currency: 'AED' },
+    { pattern: /¥|\bjpy\b/i, currency: 'JPY' },
+    { pattern: /\bchf\b/i, currency: 'CHF' },
+    { pattern: /\$|\busd\b/i, currency: 'USD' }
+];
+
+// Magnitude suffixes - lakh and crore are Indian notation (1L = 100,000; 1Cr = 10,000,000)
+const UNIT_MULTIPLIERS = {
+    k: 1e3,
+    thousand: 1e3,
+    m: 1e6,
+    mn: 1e6,
+    million: 1e6,
+    l: 1e5,
+    lpa: 1e5,
+    lakh: 1e5,
+    lakhs: 1e5,
+    lac: 1e5,
+    lacs: 1e5,
+    cr: 1e7,
+    crore: 1e7,
+    crores: 1e7
+};
+
+// Units that imply an Indian rupee amount when no currency is given
+const INR_UNITS = new Set(['l', 'lpa', 'lakh', 'lakhs', 'lac', 'lacs', 'cr', 'crore', 'crores']);
+
+const COMPONENT_KEYWORDS = {
+    equity: /\b(esops?|rsus?|stocks?|equity|shares|options)\b/i,
+    bonus: /\b(bonus|variable|joining|signing|sign[- ]on|relocation|incentives?|performance)\b/i,
+    base: /\b(base|fixed|ctc|salary|basic)\b/i
+};
+
+const PERIOD_PATTERNS = [
+    { pattern: /\b(per month|monthly|p\.?m\.?)\b|\/\s*(month|mo)\b/i, period: 'monthly', perYear: 12 },
+    { pattern: /\b(per hour|hourly)\b|\/\s*(hr|hour)\b/i, period: 'hourly', perYear: 2080 }
+];
+
+const NUMBER = '\\d+(?:[.,]\\d+)*';
+const UNIT = 'k|mn|m|million|thousand|lpa|lakhs?|lacs?|l|crores?|cr';
+
+// "20-25 LPA", "$130K to $150K", "10-15%" - a unit or % after the range applies to both ends
+const RANGE_PATTERN = new RegExp(
+    `(${NUMBER})\\s*(?:(${UNIT})\\b)?\\s*(?:-|–|—|\\bto\\b)\\s*(?:[$€£₹¥]\\s*)?(${NUMBER})(?:\\s*(%)|\\s*(${UNIT})\\b)?`,
+    'i'
+);
+
+// "15 LPA", "130,000", "10%"
+const AMOUNT_PATTERN = new RegExp(`(${NUMBER})(?:\\s*(%)|\\s*(${UNIT})\\b)?`, 'i');
+
+// Lakh grouping ("45,00,000", "1,30,000") - only written for rupee amounts
+const INDIAN_GROUPING_PATTERN = /\b\d{1,2}(?:,\d{2})+,\d{3}\b/;
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Detects the currency mentioned in a piece of text
+ * @param {string} text - Text to inspect
+ * @returns {string|null} Currency code or null
+ */
+const detectCurrency = (text) => {
+    const token = CURRENCY_TOKENS.find(({ pattern }) => pattern.test(text));
+    return token ? token.currency : null;
+};
+
+/**
+ * Parses the number part of an amount ("1,30,000", "130,000", "1.5")
+ * @param {string} value - Number as typed
+ * @returns {number} Parsed number
+ */
+const parseNumber = (value) => {
+    // Commas are thousands separators in both western and Indian grouping
+    return Number(value.replace(/,/g, ''));
+};
+
+/**
+ * Finds the amount of a component - the midpoint for a range
+ * @param {string} text - Component text
+ * @returns {Object|null} { value, unit, isPercent, matchedText } or null if no amount is present
+ */
+const matchAmount = (text) => {
+    const range = text.match(RANGE_PATTERN);
+    if (range) {
+        const [matchedText, lowValue, lowUnit, highValue, percent, highUnit] = range;
+        const unit = highUnit?.toLowerCase();
+        const lowMultiplier = UNIT_MULTIPLIERS[lowUnit?.toLowerCase() || unit] || 1;
+        const highMultiplier = UNIT_MULTIPLIERS[unit] || 1;
+
+        return {
+            value: (parseNumber(lowValue) * lowMultiplier + parseNumber(highValue) * highMultiplier) / 2,
+            unit: unit || lowUnit?.toLowerCase(),
+            isPercent: Boolean(percent),
+            matchedText
+        };
+    }
+
+    const match = text.match(AMOUNT_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    const [matchedText, value, percent, rawUnit] = match;
+    const unit = rawUnit?.toLowerCase();
+
+    return {
+        value: parseNumber(value) * (UNIT_MULTIPLIERS[unit] || 1),
+        unit,
+        isPercent: Boolean(percent),
+        matchedText
+    };
+};
+
+/**
+ * Parses one "+"-separated component such as "10L ESOP", "$20K bonus" or "10% bonus"
+ * @param {string} text - Component text
+ * @returns {Object|null} Parsed component or null if no amount is present
+ */
+const parseComponent = (text) => {
+    const amount = matchAmount(text);
+    if (!amount || !Number.isFinite(amount.value) || amount.value <= 0) {
+        return null;
+    }
+
+    const kind = Object.keys(COMPONENT_KEYWORDS).find(key => COMPONENT_KEYWORDS[key].test(text)) || null;
+
+    // Percentages are of the base and resolved once it is known
+    if (amount.isPercent) {
+        return { percent: amount.value, kind: kind === 'equity' ? 'equity' : 'bonus', currency: null };
+    }
+
+    const isRupeeAmount = INR_UNITS.has(amount.unit) || INDIAN_GROUPING_PATTERN.test(amount.matchedText);
+
+    return {
+        amount: amount.value,
+        kind,
+        currency: detectCurrency(text) || (isRupeeAmount ? 'INR' : null)
+    };
+};
+
+// =============================================================================
+// MAIN PARSER FUNCTION
+// =============================================================================
+
+/**
+ * Parses a free-text compensation string into structured fields
+ * e.g. "15 LPA", "20-25 LPA", "$130K + 10% bonus", "₹32L + 10L ESOP", "€6k per month"
+ * @param {string} raw - Compensation as typed by the author
+ * @returns {Object|null} Structured compensation or null if nothing could be parsed
+ */
+export const parseCompensation = (raw) => {
+    if (!raw || typeof raw !== 'string' || !raw.trim()) {
+        return null;
+    }
+
+    // Parenthesised breakdowns repeat the headline amount - ignore them
+    const text = raw.replace(/\([^)]*\)/g, ' ');
+
+    const components = text
+        .split(/\+|&|\band\b|;/i)
+        .map(parseComponent)
+        .filter(Boolean);
+
+    // A percentage alone has no amount to be a percentage of
+    if (!components.some(({ percent }) => percent === undefined)) {
+        return null;
+    }
+
+    const currency = components.find(component => component.currency)?.currency || detectCurrency(raw);
+    const { period, perYear } = PERIOD_PATTERNS.find(({ pattern }) => pattern.test(raw))
+        || { period: 'yearly', perYear: 1 };
+
+    const totals = { base: 0, bonus: 0, equity: 0 };
+    let hasBase = false;
+
+    for (const component of components.filter(({ percent }) => percent === undefined)) {
+        // The first unlabelled amount is the base, later unlabelled amounts are bonuses
+        const kind = component.kind || (hasBase ? 'bonus' : 'base');
+        if (kind === 'base') hasBase = true;
+        totals[kind] += component.amount;
+    }
+
+    // "$130,000 + 10% bonus" - without a base there is nothing to take the percentage of
+    for (const component of components.filter(({ percent }) => percent !== undefined)) {
+        totals[component.kind] += totals.base * component.percent / 100;
+    }
+
+    const total = totals.base + totals.bonus + totals.equity;
+
+    return {
+        currency: currency || null,
+        base: totals.base || null,
+        bonus: totals.bonus || null,
+        equity: totals.equity || null,
+        total,
+        period,
+        raw: raw.trim(),
+        // Annual total in the base currency - what salary range filters compare against
+        annualTotalUsd: currency ? convertCurrency(total * perYear, currency) : null
+    };
+};
@@ -0,0 +1,50 @@
+// =============================================================================
+// CURRENCY CONFIGURATION
+// =============================================================================
+
+// Reference currency all amounts are converted to for cross-currency comparisons
+export const BASE_CURRENCY = 'USD';
+
+// Static conversion table (units of USD per unit of currency) - no network calls.
+// Approximate rates; update alongside releases when they drift noticeably.
+const RATES_TO_USD = {
+    USD: 1,
+    INR: 0.012,
+    EUR: 1.08,
+    GBP: 1.27,
+    CAD: 0.73,
+    AUD: 0.66,
+    SGD: 0.74,
+    AED: 0.27,
+    JPY: 0.0067,
+    CHF: 1.12
+};
+
+export const SUPPORTED_CURRENCIES = Object.keys(RATES_TO_USD);
+
+// =============================================================================
+// CONVERSION FUNCTIONS
+// =============================================================================
+
+/**
+ * Checks whether a currency code is in the local conversion table
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {boolean} True if supported
+ */
+export const isSupportedCurrency = (currency) => Boolean(currency && RATES_TO_USD[currency.toUpperCase()]);
+
+/**
+ * Converts an amount between two supported currencies
+ * @param {number} amount - Amount in the source currency
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code (defaults to the base currency)
+ * @returns {number|null} Converted amount or null if a currency is not supported
+ */
+export const convertCurrency = (amount, from, to = BASE_CURRENCY) => {
+    if (typeof amount !== 'number' || !isSupportedCurrency(from) || !isSupportedCurrency(to)) {
+        return null;
+    }
+
+    const amountInUsd = amount * RATES_TO_USD[from.toUpperCase()];
+    return Math.round((amountInUsd / RATES_TO_USD[to.toUpperCase()]) * 100) / 100;
+};
@@ -0,0 +1,112 @@
+// =============================================================================
+// DIFF CONFIGURATION
+// =============================================================================
+
+// Above this many line comparisons the changed region is reported as one replaced block
+const MAX_DIFF_CELLS = 4_000_000;
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Appends lines to the last chunk when it has the same type, otherwise starts a new chunk
+ * @param {Array} chunks - Diff chunks built so far
+ * @param {string} type - Chunk type (equal, added, removed)
+ * @param {string[]} lines - Lines to append
+ */
+const pushChunk = (chunks, type, lines) => {
+    if (lines.length === 0) return;
+
+    const last = chunks[chunks.length - 1];
+    if (last && last.type === type) {
+        last.lines.push(...lines);
+    } else {
+        chunks.push({ type, lines: [...lines] });
+    }
+};
+
+/**
+ * Diffs two line arrays with a longest-common-subsequence table
+ * @param {string[]} before - Old lines
+ * @param {string[]} after - New lines
+ * @returns {Array} Diff chunks
+ */
+const diffMiddle = (before, after) => {
+    const chunks = [];
+    const rows = before.length;
+    const cols = after.length;
+
+    if (rows * cols > MAX_DIFF_CELLS) {
+        pushChunk(chunks, 'removed', before);
+        pushChunk(chunks, 'added', after);
+        return chunks;
+    }
+
+    // lengths[i * (cols + 1) + j] = LCS length of before[i..] and after[j..]
+    const lengths = new Uint32Array((rows + 1) * (cols + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+        for (let j = cols - 1; j >= 0; j--) {
+            lengths[i * (cols + 1) + j] = before[i] === after[j]
+                ? lengths[(i + 1) * (cols + 1) + j + 1] + 1
+                : Math.max(lengths[(i + 1) * (cols + 1) + j], lengths[i * (cols + 1) + j + 1]);
+        }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+        if (before[i] === after[j]) {
+            pushChunk(chunks, 'equal', [before[i]]);
+            i++;
+            j++;
+        } else if (lengths[(i + 1) * (cols + 1) + j] >= lengths[i * (cols + 1) + j + 1]) {
+            pushChunk(chunks, 'removed', [before[i]]);
+            i++;
+        } else {
+            pushChunk(chunks, 'added', [after[j]]);
+            j++;
+        }
+    }
+    pushChunk(chunks, 'removed', before.slice(i));
+    pushChunk(chunks, 'added', after.slice(j));
+
+    return chunks;
+};
+
+// =============================================================================
+// MAIN DIFF FUNCTION
+// =============================================================================
+
+/**
+ * Line-based diff between two texts
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<{type: string, lines: string[]}>} Chunks of equal, removed and added lines
+ */
+export const diffLines = (before = '', after = '') => {
+    const oldLines = before.split('\n');
+    const newLines = after.split('\n');
+
+    // Skip the unchanged head and tail so the table only covers the edited region
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+        start++;
+    }
+
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    const chunks = [];
+    pushChunk(chunks, 'equal', oldLines.slice(0, start));
+    for (const chunk of diffMiddle(oldLines.slice(start, oldEnd), newLines.slice(start, newEnd))) {
+        pushChunk(chunks, chunk.type, chunk.lines);
+    }
+    pushChunk(chunks, 'equal', oldLines.slice(oldEnd));
+
+    return chunks;
+};
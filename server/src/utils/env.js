@@ -1,4 +1,6 @@
 import 'dotenv/config';
+import { validateOAuthProviders, getEnabledProviderNames } from '../Shared/OAuthProviders.js';
+import { parseDuration } from './jwtKeys.js';
 
 const requiredEnvVars = [
     'PORT',
@@ -7,23 +9,21 @@ const requiredEnvVars = [
     'ACCESS_TOKEN_SECRET',
     'ACCESS_TOKEN_EXPIRY',
     'REFRESH_TOKEN_SECRET',
-    'REFRESH_TOKEN_EXPIRY',
-    'GOOGLE_CLIENT_ID',
-    'GOOGLE_CLIENT_SECRET',
-    'GOOGLE_REDIRECT_URI',
-    'GITHUB_CLIENT_ID',
-    'GITHUB_CLIENT_SECRET',
-    'GITHUB_REDIRECT_URI',
-    'LINKEDIN_CLIENT_ID',
-    'LINKEDIN_CLIENT_SECRET',
-    'LINKEDIN_REDIRECT_URI'
+    'REFRESH_TOKEN_EXPIRY'
 ];
 
+// Credentials every enabled OAuth provider needs, as <NAME>_CLIENT_ID and so on
+const providerEnvVars = ['CLIENT_ID', 'CLIENT_SECRET', 'REDIRECT_URI'];
+
 export const validateEnvironment = () => {
     const missingVars = [];
     const invalidVars = [];
 
-    for (const envVar of requiredEnvVars) {
+    const oauthEnvVars = getEnabledProviderNames().flatMap(
+        provider => providerEnvVars.map(key => `${provider.toUpperCase()}_${key}`)
+    );
+
+    for (const envVar of [...requiredEnvVars, ...oauthEnvVars]) {
         const value = process.env[envVar];
         
         if (!value) {
@@ -50,16 +50,35 @@ export const validateEnvironment = () => {
         throw new Error('REFRESH_TOKEN_SECRET must be at least 32 characters long');
     }
 
+    if (process.env.SESSION_TOKEN_HASH_SECRET && process.env.SESSION_TOKEN_HASH_SECRET.length < 32) {
+        throw new Error('SESSION_TOKEN_HASH_SECRET must be at least 32 characters long');
+    }
+
+    if (process.env.TWO_FACTOR_ENCRYPTION_KEY && process.env.TWO_FACTOR_ENCRYPTION_KEY.length < 32) {
+        throw new Error('TWO_FACTOR_ENCRYPTION_KEY must be at least 32 characters long');
+    }
+
+    // Token lifetimes - read like jsonwebtoken does, and key retention depends on them
+    for (const envVar of ['ACCESS_TOKEN_EXPIRY', 'REFRESH_TOKEN_EXPIRY', 'JWT_KEY_RETENTION']) {
+        if (process.env[envVar]) {
+            try {
+                parseDuration(process.env[envVar]);
+            } catch {
+                throw new Error(`${envVar} must be a duration like 15m, 7d or "7 days"`);
+            }
+        }
+    }
+
     // Validate URLs
     try {
         new URL(process.env.CLIENT_URL);
-        new URL(process.env.GOOGLE_REDIRECT_URI);
-        new URL(process.env.GITHUB_REDIRECT_URI);
-        new URL(process.env.LINKEDIN_REDIRECT_URI);
     } catch (urlError) {
         throw new Error(`Invalid URL format in environment variables: ${urlError.message}`);
     }
 
+    // Missing credentials, bad names and unusable endpoints of the providers listed in OAUTH_PROVIDERS
+    validateOAuthProviders();
+
     console.log('✅ Environment variables validated successfully');
 };
 
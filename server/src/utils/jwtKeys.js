@@ -0,0 +1,347 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import ms from "ms";
+
+// =============================================================================
+// KEY STORE CONFIGURATION
+// =============================================================================
+
+const KEY_CONFIG = {
+    ALGORITHM: process.env.JWT_ALGORITHM || 'RS256', // RS256 or ES256 for newly generated keys
+    KEYS_DIR: path.resolve(process.env.JWT_KEYS_DIR || 'keys'),
+    MANIFEST_FILE: 'manifest.json',
+    ROTATION_ENABLED: process.env.JWT_KEY_ROTATION !== 'false', // Disable when keys are managed outside the app
+    ROTATION_DAYS: Number(process.env.JWT_KEY_ROTATION_DAYS) || 30,
+    // A retired key keeps verifying this long - it must outlive every token it signed
+    RETENTION: process.env.JWT_KEY_RETENTION || process.env.REFRESH_TOKEN_EXPIRY || '10d',
+    RETENTION_MARGIN_MS: 60 * 60 * 1000,
+    CHECK_INTERVAL_MINUTES: 60,
+    UNKNOWN_KID_RELOAD_MS: 10 * 1000,
+    RSA_MODULUS_LENGTH: 2048
+};
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Loaded keys: kid -> { kid, alg, privateKey, publicKey, createdAt, retiredAt }
+let keys = null;
+// When the first key was generated - HS256 tokens are only still valid for a while after it
+let asymmetricSince = null;
+let rotationInterval = null;
+let lastReloadAt = 0;
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Parses a token lifetime the way jsonwebtoken reads expiresIn strings ("15m", "7 days", "1w")
+ * @param {string|number} value - Duration string, or a number of seconds
+ * @returns {number} Duration in milliseconds
+ */
+export const parseDuration = (value) => {
+    const text = String(value ?? '').trim();
+    // ms throws its own error for empty input
+    const duration = typeof value === 'number' ? value * 1000 : (text ? ms(text) : NaN);
+    if (!Number.isFinite(duration) || duration <= 0) {
+        throw new Error(`Invalid duration: ${value}`);
+    }
+    return duration;
+};
+
+/**
+ * Works out the JWT algorithm of a private key from its type
+ * @param {KeyObject} privateKey - Private key
+ * @returns {string|null} RS256, ES256 or null when unsupported
+ */
+const algorithmForKey = (privateKey) => {
+    if (privateKey.asymmetricKeyType === 'rsa') {
+        return 'RS256';
+    }
+    if (privateKey.asymmetricKeyType === 'ec' && privateKey.asymmetricKeyDetails?.namedCurve === 'prime256v1') {
+        return 'ES256';
+    }
+    return null;
+};
+
+const manifestPath = () => path.join(KEY_CONFIG.KEYS_DIR, KEY_CONFIG.MANIFEST_FILE);
+
+const keyPath = (kid) => path.join(KEY_CONFIG.KEYS_DIR, `${kid}.pem`);
+
+/**
+ * Reads the manifest holding creation and retirement dates of the keys
+ * @returns {Object} { entries: kid -> { createdAt, retiredAt }, asymmetricSince }
+ */
+const readManifest = () => {
+    try {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath(), 'utf8'));
+        return {
+            entries: Object.fromEntries((manifest.keys || []).map(entry => [entry.kid, entry])),
+            asymmetricSince: manifest.asymmetricSince ? new Date(manifest.asymmetricSince) : null
+        };
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { entries: {}, asymmetricSince: null };
+        }
+        throw new Error(`Cannot read JWT key manifest: ${error.message}`);
+    }
+};
+
+/**
+ * Writes the manifest for the currently loaded keys
+ */
+const writeManifest = () => {
+    const entries = [...keys.values()].map(({ kid, alg, createdAt, retiredAt }) => ({
+        kid,
+        alg,
+        createdAt: createdAt.toISOString(),
+        retiredAt: retiredAt ? retiredAt.toISOString() : null
+    }));
+
+    fs.writeFileSync(manifestPath(), `${JSON.stringify({ asymmetricSince: asymmetricSince.toISOString(), keys: entries }, null, 2)}\n`);
+};
+
+/**
+ * Loads every PEM private key in the keys directory
+ * PEM files added by hand need no manifest entry - their kid is the file name
+ */
+const loadKeys = () => {
+    const { entries: manifest, asymmetricSince: since } = readManifest();
+    const loaded = new Map();
+
+    const pemFiles = fs.existsSync(KEY_CONFIG.KEYS_DIR)
+        ? fs.readdirSync(KEY_CONFIG.KEYS_DIR).filter(file => file.endsWith('.pem'))
+        : [];
+
+    for (const file of pemFiles) {
+        const kid = path.basename(file, '.pem');
+        const privateKey = crypto.createPrivateKey(fs.readFileSync(keyPath(kid)));
+        const alg = algorithmForKey(privateKey);
+
+        if (!alg) {
+            console.warn(`Skipping JWT key ${file}: only RSA and P-256 keys are supported`);
+            continue;
+        }
+
+        const entry = manifest[kid];
+        loaded.set(kid, {
+            kid,
+            alg,
+            privateKey,
+            publicKey: crypto.createPublicKey(privateKey),
+            createdAt: entry ? new Date(entry.createdAt) : fs.statSync(keyPath(kid)).mtime,
+            retiredAt: entry?.retiredAt ? new Date(entry.retiredAt) : null
+        });
+    }
+
+    keys = loaded;
+
+    // Manifests from before the date was recorded - the oldest key is the closest there is
+    asymmetricSince = since || [...loaded.values()].reduce(
+        (oldest, key) => (!oldest || key.createdAt < oldest ? key.createdAt : oldest),
+        null
+    );
+};
+
+/**
+ * Generates a new signing key, stores it as PEM and adds it to the loaded keys
+ * @returns {Object} New key entry
+ */
+const generateKey = () => {
+    if (!SUPPORTED_ALGORITHMS.includes(KEY_CONFIG.ALGORITHM)) {
+        throw new Error(`JWT_ALGORITHM must be one of: ${SUPPORTED_ALGORITHMS.join(', ')}`);
+    }
+
+    const { privateKey } = KEY_CONFIG.ALGORITHM === 'ES256'
+        ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+        : crypto.generateKeyPairSync('rsa', { modulusLength: KEY_CONFIG.RSA_MODULUS_LENGTH });
+
+    const kid = `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+
+    fs.mkdirSync(KEY_CONFIG.KEYS_DIR, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(keyPath(kid), privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+    const entry = {
+        kid,
+        alg: KEY_CONFIG.ALGORITHM,
+        privateKey,
+        publicKey: crypto.createPublicKey(privateKey),
+        createdAt: new Date(),
+        retiredAt: null
+    };
+    keys.set(kid, entry);
+    asymmetricSince ||= entry.createdAt;
+
+    console.log(`🔑 Generated JWT signing key ${kid} (${entry.alg})`);
+    return entry;
+};
+
+/**
+ * Newest key that has not been retired
+ * @returns {Object|null} Key entry
+ */
+const findActiveKey = () => [...keys.values()]
+    .filter(key => !key.retiredAt)
+    .sort((a, b) => b.createdAt - a.createdAt)[0] || null;
+
+/**
+ * Loads the keys on first use and creates the first key if there is none
+ */
+const ensureKeys = () => {
+    if (keys) {
+        return;
+    }
+
+    loadKeys();
+
+    if (!findActiveKey()) {
+        generateKey();
+        writeManifest();
+    }
+};
+
+/**
+ * How long a retired key keeps verifying - the longest lifetime of a token it signed
+ * @returns {number} Retention in milliseconds
+ */
+const retentionMs = () => parseDuration(KEY_CONFIG.RETENTION) + KEY_CONFIG.RETENTION_MARGIN_MS;
+
+// =============================================================================
+// KEY ROTATION
+// =============================================================================
+
+/**
+ * Rotates the signing key when it is due and deletes retired keys whose tokens have all expired
+ * Reloads from disk first so keys rotated by another instance sharing the directory are picked up
+ * @returns {Object} Rotation result
+ */
+export const rotateKeysIfDue = () => {
+    loadKeys();
+
+    const now = Date.now();
+    const retention = retentionMs();
+    const activeKey = findActiveKey();
+    let rotated = false;
+
+    if (!activeKey || now - activeKey.createdAt >= KEY_CONFIG.ROTATION_DAYS * DAY_MS) {
+        const newKey = generateKey();
+        for (const key of keys.values()) {
+            if (key !== newKey && !key.retiredAt) {
+                key.retiredAt = new Date(now);
+            }
+        }
+        rotated = true;
+    }
+
+    const expiredKids = [...keys.values()]
+        .filter(key => key.retiredAt && now - key.retiredAt >= retention)
+        .map(key => key.kid);
+
+    for (const kid of expiredKids) {
+        fs.rmSync(keyPath(kid), { force: true });
+        keys.delete(kid);
+    }
+
+    if (rotated || expiredKids.length > 0) {
+        writeManifest();
+        console.log(`🔑 JWT keys: ${rotated ? 'rotated signing key, ' : ''}removed ${expiredKids.length} expired key(s)`);
+    }
+
+    return { rotated, removedKeys: expiredKids.length };
+};
+
+/**
+ * Start the periodic key rotation check
+ */
+export const startKeyRotation = () => {
+    if (rotationInterval) {
+        return;
+    }
+
+    ensureKeys();
+
+    if (!KEY_CONFIG.ROTATION_ENABLED) {
+        return;
+    }
+
+    rotationInterval = setInterval(() => {
+        try {
+            rotateKeysIfDue();
+        } catch (error) {
+            console.error('JWT key rotation error:', error.message);
+        }
+    }, KEY_CONFIG.CHECK_INTERVAL_MINUTES * 60 * 1000);
+
+    // Do not keep the process alive just for key rotation
+    rotationInterval.unref();
+};
+
+/**
+ * Stop the periodic key rotation check
+ */
+export const stopKeyRotation = () => {
+    if (rotationInterval) {
+        clearInterval(rotationInterval);
+        rotationInterval = null;
+    }
+};
+
+// =============================================================================
+// KEY ACCESS
+// =============================================================================
+
+/**
+ * Key used to sign new tokens
+ * @returns {Object} Key entry with kid, alg and privateKey
+ */
+export const getSigningKey = () => {
+    ensureKeys();
+    return findActiveKey();
+};
+
+/**
+ * Key that verifies tokens carrying the given kid - active or retired but not yet removed
+ * @param {string} kid - Key ID from the token header
+ * @returns {Object|null} Key entry with alg and publicKey
+ */
+export const getVerificationKey = (kid) => {
+    ensureKeys();
+
+    // Another instance sharing the keys directory may have rotated - re-read it, at most every few seconds
+    if (!keys.has(kid) && Date.now() - lastReloadAt >= KEY_CONFIG.UNKNOWN_KID_RELOAD_MS) {
+        lastReloadAt = Date.now();
+        loadKeys();
+    }
+
+    return keys.get(kid) || null;
+};
+
+/**
+ * Whether HS256 tokens from before the first asymmetric key can still be unexpired
+ * @returns {boolean} True until the longest token lifetime has passed since the switch
+ */
+export const legacyTokensMayBeValid = () => {
+    ensureKeys();
+    return Date.now() - asymmetricSince < retentionMs();
+};
+
+/**
+ * Public keys in JSON Web Key Set format
+ * @returns {Object} JWKS document
+ */
+export const getJwks = () => {
+    ensureKeys();
+
+    return {
+        keys: [...keys.values()]
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map(key => ({
+                ...key.publicKey.export({ format: 'jwk' }),
+                kid: key.kid,
+                alg: key.alg,
+                use: 'sig'
+            }))
+    };
+};
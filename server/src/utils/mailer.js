@@ -0,0 +1,106 @@
+import fs from "fs/promises";
+import path from "path";
+
+// =============================================================================
+// MAIL CONFIGURATION
+// =============================================================================
+
+const MAIL_CONFIG = {
+    TRANSPORT: process.env.MAIL_TRANSPORT || 'console', // console, file, memory or a registered name
+    FROM: process.env.MAIL_FROM || 'InterviewReader <no-reply@interviewreader.local>',
+    FILE_PATH: process.env.MAIL_FILE_PATH || 'logs/outbox.jsonl',
+    MEMORY_MAX_MESSAGES: 100
+};
+
+// Messages kept by the memory transport, newest last
+const memoryOutbox = [];
+
+// =============================================================================
+// BUILT-IN TRANSPORTS
+// =============================================================================
+
+// A transport is an object with an async send(message) method
+const transports = {
+    // Logs the message - the default for local development
+    console: {
+        async send(message) {
+            console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        }
+    },
+
+    // Appends each message as one JSON line, e.g. for end-to-end tests reading the links back
+    file: {
+        async send(message) {
+            await fs.mkdir(path.dirname(MAIL_CONFIG.FILE_PATH), { recursive: true });
+            await fs.appendFile(MAIL_CONFIG.FILE_PATH, `${JSON.stringify(message)}\n`);
+        }
+    },
+
+    // Keeps messages in process for tests running against the app directly
+    memory: {
+        async send(message) {
+            memoryOutbox.push(message);
+            if (memoryOutbox.length > MAIL_CONFIG.MEMORY_MAX_MESSAGES) {
+                memoryOutbox.shift();
+            }
+        }
+    }
+};
+
+// =============================================================================
+// MAIL FUNCTIONS
+// =============================================================================
+
+/**
+ * Registers a transport under a name so MAIL_TRANSPORT can select it, e.g. an SMTP client
+ * @param {string} name - Transport name
+ * @param {Object} transport - Object with an async send(message) method
+ */
+export const registerMailTransport = (name, transport) => {
+    if (!transport || typeof transport.send !== 'function') {
+        throw new Error(`Mail transport "${name}" must implement send(message)`);
+    }
+    transports[name] = transport;
+};
+
+/**
+ * Sends an email through the configured transport
+ * @param {Object} mail - Mail to send
+ * @param {string} mail.to - Recipient address
+ * @param {string} mail.subject - Subject line
+ * @param {string} mail.text - Plain text body
+ * @param {string} [mail.html] - HTML body
+ * @returns {Promise<Object>} The message as handed to the transport
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+    const transport = transports[MAIL_CONFIG.TRANSPORT];
+
+    if (!transport) {
+        throw new Error(`Unknown mail transport: ${MAIL_CONFIG.TRANSPORT}`);
+    }
+
+    const message = {
+        from: MAIL_CONFIG.FROM,
+        to,
+        subject,
+        text,
+        ...(html && { html }),
+        sentAt: new Date().toISOString()
+    };
+
+    await transport.send(message);
+    return message;
+};
+
+/**
+ * Messages captured by the memory transport
+ * @returns {Object[]} Copies of the sent messages, oldest first
+ */
+export const getSentMails = () => memoryOutbox.map(message => ({ ...message }));
+
+/**
+ * Empties the memory transport outbox
+ */
+export const clearSentMails = () => {
+    memoryOutbox.length = 0;
+};
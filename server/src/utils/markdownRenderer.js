@@ -0,0 +1,134 @@
+import MarkdownIt from "markdown-it";
+import hljs from "highlight.js/lib/common";
+import sanitizeHtml from "sanitize-html";
+import { slugify, stripMarkdown, escapeHtml } from "./text.js";
+
+// =============================================================================
+// RENDERER CONFIGURATION
+// =============================================================================
+
+const RENDER_CONFIG = {
+    WORDS_PER_MINUTE: 200,
+    TOC_MAX_LEVEL: 3, // Only h1-h3 appear in the table of contents
+    HEADING_ID_PREFIX: 'section-'
+};
+
+// Whitelist applied to the rendered HTML - anything else is stripped
+const SANITIZE_OPTIONS = {
+    allowedTags: [
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote',
+        'ul', 'ol', 'li', 'strong', 'em', 's', 'del', 'code', 'pre', 'span',
+        'a', 'img', 'table', 'thead', 'tbody', 'tr', 'th', 'td'
+    ],
+    allowedAttributes: {
+        h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id'],
+        a: ['href', 'title', 'rel', 'target'],
+        img: ['src', 'alt', 'title'],
+        code: ['class'],
+        span: ['class'],
+        th: ['style'],
+        td: ['style'],
+        ol: ['start']
+    },
+    allowedClasses: {
+        code: ['hljs', /^language-[\w-]+$/],
+        span: [/^hljs-[\w-]+$/]
+    },
+    allowedStyles: {
+        th: { 'text-align': [/^(left|right|center)$/] },
+        td: { 'text-align': [/^(left|right|center)$/] }
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowedSchemesByTag: { img: ['https'] },
+    transformTags: {
+        // External links must not get access to window.opener or pass ranking
+        a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer', target: '_blank' })
+    }
+};
+
+// Raw HTML in markdown is disabled - sanitizing afterwards is defence in depth
+const markdown = new MarkdownIt({
+    html: false,
+    linkify: true,
+    typographer: false,
+    highlight: (code, language) => {
+        const lang = language && hljs.getLanguage(language) ? language : null;
+        const highlighted = lang
+            ? hljs.highlight(code, { language: lang, ignoreIllegals: true }).value
+            : escapeHtml(code);
+        const languageClass = lang ? ` language-${lang}` : '';
+
+        return `<pre><code class="hljs${languageClass}">${highlighted}</code></pre>`;
+    }
+});
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Assigns unique ids to heading tokens and collects the table of contents
+ * @param {Array} tokens - markdown-it tokens
+ * @returns {Array<{level: number, text: string, id: string}>} Table of contents
+ */
+const addHeadingIds = (tokens) => {
+    const toc = [];
+    const usedIds = new Map();
+
+    tokens.forEach((token, index) => {
+        if (token.type !== 'heading_open') return;
+
+        const level = Number(token.tag.slice(1));
+        const text = tokens[index + 1]?.children
+            ?.filter(child => child.type === 'text' || child.type === 'code_inline')
+            .map(child => child.content)
+            .join('')
+            .trim() || '';
+
+        const baseId = `${RENDER_CONFIG.HEADING_ID_PREFIX}${slugify(text) || 'heading'}`;
+        const count = usedIds.get(baseId) || 0;
+        usedIds.set(baseId, count + 1);
+        const id = count === 0 ? baseId : `${baseId}-${count}`;
+
+        token.attrSet('id', id);
+
+        if (level <= RENDER_CONFIG.TOC_MAX_LEVEL) {
+            toc.push({ level, text, id });
+        }
+    });
+
+    return toc;
+};
+
+/**
+ * Estimates reading time for markdown content
+ * @param {string} content - Markdown content
+ * @returns {number} Reading time in minutes (at least 1)
+ */
+export const estimateReadingTime = (content = '') => {
+    const words = stripMarkdown(content).split(' ').filter(Boolean).length;
+    return Math.max(1, Math.ceil(words / RENDER_CONFIG.WORDS_PER_MINUTE));
+};
+
+// =============================================================================
+// MAIN RENDER FUNCTION
+// =============================================================================
+
+/**
+ * Renders markdown to sanitized HTML with highlighted code, a heading-based
+ * table of contents and an estimated reading time
+ * @param {string} content - Markdown content
+ * @returns {{html: string, toc: Array, readingTimeMinutes: number}} Rendered content
+ */
+export const renderMarkdown = (content = '') => {
+    const env = {};
+    const tokens = markdown.parse(content, env);
+    const toc = addHeadingIds(tokens);
+    const html = sanitizeHtml(markdown.renderer.render(tokens, markdown.options, env), SANITIZE_OPTIONS);
+
+    return {
+        html,
+        toc,
+        readingTimeMinutes: estimateReadingTime(content)
+    };
+};
@@ -0,0 +1,64 @@
+import crypto from "crypto";
+
+// =============================================================================
+// PSEUDONYM CONFIGURATION
+// =============================================================================
+
+const PSEUDONYM_CONFIG = {
+    // Falls back to the access token secret so existing deployments need no new variable
+    SECRET: process.env.PSEUDONYM_SECRET || process.env.ACCESS_TOKEN_SECRET || '',
+    VIEW_PERMISSION: 'users:view_anonymous'
+};
+
+const ADJECTIVES = [
+    'Amber', 'Brave', 'Calm', 'Clever', 'Curious', 'Daring', 'Eager', 'Gentle',
+    'Golden', 'Humble', 'Jolly', 'Keen', 'Lucky', 'Mellow', 'Nimble', 'Quiet',
+    'Rapid', 'Silent', 'Steady', 'Swift', 'Tidy', 'Vivid', 'Witty', 'Zesty'
+];
+
+const ANIMALS = [
+    'Badger', 'Crane', 'Dolphin', 'Falcon', 'Fox', 'Gecko', 'Heron', 'Ibis',
+    'Jaguar', 'Koala', 'Lynx', 'Marten', 'Narwhal', 'Otter', 'Panda', 'Quokka',
+    'Raven', 'Seal', 'Tiger', 'Urchin', 'Viper', 'Walrus', 'Yak', 'Zebra'
+];
+
+// =============================================================================
+// PSEUDONYM FUNCTIONS
+// =============================================================================
+
+/**
+ * Derives the pseudonym a user posts under within one experience thread
+ * Keyed with a server secret so it cannot be reversed into the user ID, and
+ * seeded by the experience so the same user gets unrelated names on different posts
+ * @param {string} experienceId - Experience the post belongs to
+ * @param {string} userId - Real author ID
+ * @returns {string} Pseudonym, e.g. "Anonymous Swift Otter 42"
+ */
+export const generatePseudonym = (experienceId, userId) => {
+    const digest = crypto
+        .createHmac('sha256', PSEUDONYM_CONFIG.SECRET)
+        .update(`${experienceId}:${userId}`)
+        .digest();
+
+    const adjective = ADJECTIVES[digest[0] % ADJECTIVES.length];
+    const animal = ANIMALS[digest[1] % ANIMALS.length];
+    const number = digest.readUInt16BE(2) % 100;
+
+    return `Anonymous ${adjective} ${animal} ${number}`;
+};
+
+/**
+ * Check whether a viewer may see the real author of an anonymous post
+ * Only the author themselves and users allowed to view anonymous authors can
+ * @param {Object} authorId - Real author ID
+ * @param {Object|null} viewer - Authenticated user document, if any
+ * @returns {boolean} True if the real author may be shown
+ */
+export const canRevealAuthor = (authorId, viewer) => {
+    if (!viewer || !authorId) {
+        return false;
+    }
+
+    return authorId.toString() === viewer._id.toString()
+        || Boolean(viewer.hasPermission?.(PSEUDONYM_CONFIG.VIEW_PERMISSION));
+};
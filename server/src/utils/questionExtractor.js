@@ -0,0 +1,143 @@
+import { stripMarkdown } from "./text.js";
+
+// =============================================================================
+// EXTRACTION CONFIGURATION
+// =============================================================================
+
+const EXTRACTION_CONFIG = {
+    MIN_QUESTION_LENGTH: 10,
+    MAX_QUESTION_LENGTH: 500,
+    MAX_QUESTIONS_PER_EXPERIENCE: 50,
+    // Headings that introduce a list of questions, e.g. "## Questions asked", "### DSA Questions"
+    QUESTION_HEADING_PATTERN: /\bquestions?\b/i
+};
+
+// Round types that fix the topic regardless of the question wording
+const ROUND_TYPE_TOPICS = {
+    system_design: 'hld',
+    behavioral: 'behavioral',
+    hr: 'behavioral'
+};
+
+// Keyword rules checked in order - the first match wins
+const TOPIC_KEYWORDS = [
+    { topic: 'behavioral', pattern: /\b(behaviou?ral|tell me about|a time when|conflict|why do you want|strengths?|weakness(es)?|leadership|disagree|biggest challenge|why (this|our) company)\b/i },
+    { topic: 'lld', pattern: /\b(low[- ]level design|lld|class diagram|object[- ]oriented|design patterns?|design (a|an) (parking lot|elevator|vending machine|library|chess|splitwise|snake))\b/i },
+    { topic: 'hld', pattern: /\b(system design|high[- ]level design|hld|scalab\w*|distributed|load balanc\w*|sharding|kafka|rate limiter|url shortener|design (twitter|instagram|whatsapp|uber|netflix|youtube))\b/i },
+    { topic: 'graphs', pattern: /\b(graphs?|bfs|dfs|dijkstra|topological|islands?|shortest path|cycle detection|minimum spanning|union[- ]find|connected components?)\b/i },
+    { topic: 'arrays', pattern: /\b(arrays?|subarrays?|two pointers?|sliding window|kadane|prefix sum|matrix|rotated|sorted array|merge intervals)\b/i }
+];
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Normalizes question text so the same question asked in different words matches
+ * @param {string} text - Raw question text
+ * @returns {string} Normalized text
+ */
+export const normalizeQuestionText = (text = '') => {
+    return stripMarkdown(text)
+        .toLowerCase()
+        .replace(/^(q(uestion)?\s*\d*\s*[:.)-]\s*)/, '') // "Q1:", "Question 2." prefixes
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+/**
+ * Classifies a question into a topic
+ * @param {string} text - Question text
+ * @param {string} hint - Round type or heading text that may decide the topic
+ * @returns {string} Question topic
+ */
+export const classifyQuestionTopic = (text, hint = '') => {
+    if (ROUND_TYPE_TOPICS[hint]) {
+        return ROUND_TYPE_TOPICS[hint];
+    }
+
+    const haystack = `${hint} ${text}`;
+    const rule = TOPIC_KEYWORDS.find(({ pattern }) => pattern.test(haystack));
+    return rule ? rule.topic : 'other';
+};
+
+/**
+ * Extracts list items under question headings from markdown content
+ * @param {string} content - Markdown content
+ * @returns {Array<{text: string, hint: string}>} Questions with their heading as topic hint
+ */
+const extractMarkdownQuestions = (content = '') => {
+    const questions = [];
+    let activeHeading = null;
+    let inCodeBlock = false;
+
+    for (const line of content.split('\n')) {
+        if (/^\s*```/.test(line)) {
+            inCodeBlock = !inCodeBlock;
+            continue;
+        }
+        if (inCodeBlock) continue;
+
+        const heading = line.match(/^\s{0,3}(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (heading) {
+            const [, hashes, title] = heading;
+            if (EXTRACTION_CONFIG.QUESTION_HEADING_PATTERN.test(title)) {
+                activeHeading = { level: hashes.length, title };
+            } else if (activeHeading && hashes.length <= activeHeading.level) {
+                // A sibling or parent heading ends the question section
+                activeHeading = null;
+            }
+            continue;
+        }
+
+        if (!activeHeading) continue;
+
+        const listItem = line.match(/^\s*(?:[-*+]|\d+[.)])\s+(.+)$/);
+        if (listItem) {
+            questions.push({ text: listItem[1].trim(), hint: activeHeading.title });
+        }
+    }
+
+    return questions;
+};
+
+// =============================================================================
+// MAIN EXTRACTION FUNCTION
+// =============================================================================
+
+/**
+ * Collects questions from structured rounds and from markdown lists under question headings
+ * @param {Object} experience - Interview experience (content, rounds)
+ * @returns {Array<{text: string, normalizedText: string, topic: string}>} Unique questions
+ */
+export const extractQuestions = (experience) => {
+    const candidates = [];
+
+    for (const round of experience.rounds || []) {
+        for (const question of round.questions || []) {
+            candidates.push({ text: question, hint: round.type });
+        }
+    }
+
+    candidates.push(...extractMarkdownQuestions(experience.content));
+
+    const questions = new Map();
+
+    for (const { text, hint } of candidates) {
+        const displayText = stripMarkdown(text).slice(0, EXTRACTION_CONFIG.MAX_QUESTION_LENGTH);
+        const normalizedText = normalizeQuestionText(displayText);
+
+        if (normalizedText.length < EXTRACTION_CONFIG.MIN_QUESTION_LENGTH || questions.has(normalizedText)) {
+            continue;
+        }
+
+        questions.set(normalizedText, {
+            text: displayText,
+            normalizedText,
+            topic: classifyQuestionTopic(displayText, hint)
+        });
+    }
+
+    return [...questions.values()].slice(0, EXTRACTION_CONFIG.MAX_QUESTIONS_PER_EXPERIENCE);
+};
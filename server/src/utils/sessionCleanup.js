@@ -16,7 +16,7 @@ const CLEANUP_CONFIG = {
 // =============================================================================
 
 /**
- * Clean up expired and inactive sessions with retry logic
+ * Clean up expired sessions with retry logic
  * @param {number} retryCount - Current retry attempt
  * @returns {Promise<number>} Number of sessions deleted
  */
@@ -98,12 +98,9 @@ export const batchCleanupSessions = async () => {
         let hasMore = true;
         
         while (hasMore) {
-            // Find expired sessions in batches
+            // Find expired sessions in batches - revoked ones stay until they expire
             const expiredSessions = await Session.find({
-                $or: [
-                    { expiresAt: { $lt: new Date() } },
-                    { isActive: false }
-                ]
+                expiresAt: { $lt: new Date() }
             })
             .limit(CLEANUP_CONFIG.BATCH_SIZE)
             .select('_id');
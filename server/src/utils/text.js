@@ -0,0 +1,168 @@
+// =============================================================================
+// TEXT CONFIGURATION
+// =============================================================================
+
+const TEXT_CONFIG = {
+    SNIPPET_LENGTH: 200,
+    HIGHLIGHT_TAG: 'mark',
+    MIN_TERM_LENGTH: 2
+};
+
+// Words ignored when extracting highlight terms (MongoDB drops them from $text searches too)
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+    'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'with'
+]);
+
+const HTML_ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+// =============================================================================
+// ESCAPING FUNCTIONS
+// =============================================================================
+
+/**
+ * Escapes user input for safe use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Escapes HTML special characters
+ * @param {string} value - Raw string
+ * @returns {string} HTML-safe string
+ */
+export const escapeHtml = (value) => value.replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+// =============================================================================
+// NORMALIZATION HELPERS
+// =============================================================================
+
+// Legal-entity suffixes ignored when comparing company names
+const COMPANY_SUFFIXES = /\b(inc|incorporated|ltd|limited|llc|llp|pvt|private|corp|corporation|co|company|gmbh|plc)\b/g;
+
+/**
+ * Builds a URL-safe slug
+ * @param {string} value - Raw string
+ * @returns {string} Slug, e.g. "Goldman Sachs" -> "goldman-sachs"
+ */
+export const slugify = (value = '') => {
+    return value
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+};
+
+/**
+ * Builds a comparison key for a company name so spelling variants collapse together
+ * ("Amazon.com, Inc." and "amazon" -> "amazon")
+ * @param {string} value - Company name as typed
+ * @returns {string} Normalized company key
+ */
+export const normalizeCompanyKey = (value = '') => {
+    return value
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim()
+        .replace(/\.(com|io|in|co|org|net|ai)\b/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .replace(/\band\b/g, ' ')
+        .replace(COMPANY_SUFFIXES, '')
+        .replace(/\s+/g, '');
+};
+
+// =============================================================================
+// MARKDOWN AND SEARCH HELPERS
+// =============================================================================
+
+/**
+ * Strips the most common markdown syntax, leaving readable plain text
+ * @param {string} markdown - Markdown string
+ * @returns {string} Plain text
+ */
+export const stripMarkdown = (markdown = '') => {
+    return markdown
+        .replace(/```[\s\S]*?```/g, ' ')           // fenced code blocks
+        .replace(/`([^`]*)`/g, '$1')                // inline code
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')      // images
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')    // links
+        .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '') // headings, quotes, list markers
+        .replace(/[*_~]+/g, '')                     // emphasis
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+/**
+ * Extracts unique, meaningful terms from a search query
+ * @param {string} query - Search query
+ * @returns {string[]} Lowercase search terms
+ */
+export const extractSearchTerms = (query = '') => {
+    const words = query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+    return [...new Set(words)].filter(word =>
+        word.length >= TEXT_CONFIG.MIN_TERM_LENGTH && !STOP_WORDS.has(word)
+    );
+};
+
+/**
+ * Reduces a term to a rough stem so highlights match the same word forms
+ * MongoDB's text search matches ("rounds" -> "round")
+ * @param {string} term - Lowercase search term
+ * @returns {string} Stemmed term
+ */
+const stemTerm = (term) => {
+    if (term.length <= 4) return term;
+    return term.replace(/(ing|ed|es|s)$/, '');
+};
+
+/**
+ * Builds an HTML-safe snippet around the first search match with matches highlighted
+ * @param {string} content - Markdown content
+ * @param {string} query - Search query
+ * @param {Object} options - Snippet options (length, tag)
+ * @returns {string} Highlighted snippet
+ */
+export const buildHighlightSnippet = (content, query, options = {}) => {
+    const length = options.length || TEXT_CONFIG.SNIPPET_LENGTH;
+    const tag = options.tag || TEXT_CONFIG.HIGHLIGHT_TAG;
+    const text = stripMarkdown(content);
+    const terms = extractSearchTerms(query).map(stemTerm);
+
+    if (terms.length === 0) {
+        return escapeHtml(text.slice(0, length));
+    }
+
+    const pattern = new RegExp(`\\b(?:${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+
+    // Center the window slightly before the first match, snapped to a word boundary
+    const firstMatch = text.search(pattern);
+    let start = firstMatch > length / 4 ? firstMatch - Math.floor(length / 4) : 0;
+    if (start > 0) {
+        const nextSpace = text.indexOf(' ', start);
+        start = nextSpace !== -1 && nextSpace < firstMatch ? nextSpace + 1 : start;
+    }
+    const end = Math.min(text.length, start + length);
+    const window = text.slice(start, end);
+
+    let snippet = '';
+    let lastIndex = 0;
+    for (const match of window.matchAll(pattern)) {
+        snippet += escapeHtml(window.slice(lastIndex, match.index));
+        snippet += `<${tag}>${escapeHtml(match[0])}</${tag}>`;
+        lastIndex = match.index + match[0].length;
+    }
+    snippet += escapeHtml(window.slice(lastIndex));
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
@@ -0,0 +1,254 @@
+import crypto from "crypto";
+
+// =============================================================================
+// TOTP CONFIGURATION
+// =============================================================================
+
+// RFC 6238 defaults - the only parameters every authenticator app supports
+const TOTP_CONFIG = {
+    ISSUER: 'InterviewReader',
+    ALGORITHM: 'sha1',
+    DIGITS: 6,
+    PERIOD_SECONDS: 30,
+    SECRET_BYTES: 20,
+    // Codes from one step either side are accepted to allow for clock drift
+    WINDOW: 1,
+    RECOVERY_CODE_COUNT: 10,
+    RECOVERY_CODE_BYTES: 5
+};
+
+// Secrets are stored encrypted - without the key a database dump cannot generate codes.
+// Changing the key makes every enrolled secret unreadable
+const ENCRYPTION_CONFIG = {
+    SECRET: 'TWO_FACTOR_ENCRYPTION_KEY',
+    FALLBACK_SECRET: 'ACCESS_TOKEN_SECRET',
+    CIPHER: 'aes-256-gcm',
+    IV_BYTES: 12,
+    VERSION: 'v1'
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Encodes bytes as RFC 4648 base32 without padding, the format authenticator apps expect
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decodes an RFC 4648 base32 string, ignoring case, spaces and padding
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character in TOTP secret');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Derives the 256-bit secret encryption key
+ * @returns {Buffer} Encryption key
+ */
+const encryptionKey = () => {
+    const { SECRET, FALLBACK_SECRET } = ENCRYPTION_CONFIG;
+    const key = process.env[SECRET] || process.env[FALLBACK_SECRET];
+
+    if (!key) {
+        throw new Error(`${SECRET} or ${FALLBACK_SECRET} must be set to store two-factor secrets`);
+    }
+
+    return crypto.createHash('sha256').update(key).digest();
+};
+
+/**
+ * Computes the HOTP code for one counter value (RFC 4226)
+ * @param {Buffer} key - Decoded shared secret
+ * @param {number} counter - Time step
+ * @returns {string} Zero-padded code
+ */
+const hotp = (key, counter) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const digest = crypto.createHmac(TOTP_CONFIG.ALGORITHM, key).update(message).digest();
+    const offset = digest[digest.length - 1] & 0x0f;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_CONFIG.DIGITS).padStart(TOTP_CONFIG.DIGITS, '0');
+};
+
+/**
+ * Current TOTP time step
+ * @param {number} [now] - Time in milliseconds
+ * @returns {number} Time step
+ */
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_CONFIG.PERIOD_SECONDS);
+
+// =============================================================================
+// TOTP FUNCTIONS
+// =============================================================================
+
+/**
+ * Generates a new random shared secret
+ * @returns {string} Base32 secret to show to the user and encrypt for storage
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(TOTP_CONFIG.SECRET_BYTES));
+
+/**
+ * Builds the otpauth:// URI that authenticator apps read from a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label, usually the email address
+ * @returns {string} otpauth URI
+ */
+export const buildOtpauthUri = (secret, accountName) => {
+    const label = encodeURIComponent(`${TOTP_CONFIG.ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: TOTP_CONFIG.ISSUER,
+        algorithm: TOTP_CONFIG.ALGORITHM.toUpperCase(),
+        digits: String(TOTP_CONFIG.DIGITS),
+        period: String(TOTP_CONFIG.PERIOD_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params}`;
+};
+
+/**
+ * Checks a TOTP code against the secret
+ * Returns the matching time step so callers can refuse a code that was already used
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - Verification options
+ * @param {number} [options.afterStep] - Only accept steps later than this one
+ * @returns {number|null} Matched time step, or null if the code is wrong
+ */
+export const verifyTotp = (secret, code, { afterStep = -1 } = {}) => {
+    const candidate = String(code ?? '').replace(/\s/g, '');
+    if (!/^\d+$/.test(candidate) || candidate.length !== TOTP_CONFIG.DIGITS) {
+        return null;
+    }
+
+    const key = base32Decode(secret);
+    const step = currentStep();
+
+    for (let offset = -TOTP_CONFIG.WINDOW; offset <= TOTP_CONFIG.WINDOW; offset++) {
+        const counter = step + offset;
+        if (counter <= afterStep) {
+            continue;
+        }
+        const expected = hotp(key, counter);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+            return counter;
+        }
+    }
+
+    return null;
+};
+
+// =============================================================================
+// SECRET STORAGE
+// =============================================================================
+
+/**
+ * Encrypts a TOTP secret for storage
+ * @param {string} secret - Base32 secret
+ * @returns {string} Versioned "v1.iv.tag.ciphertext" string
+ */
+export const encryptTotpSecret = (secret) => {
+    const iv = crypto.randomBytes(ENCRYPTION_CONFIG.IV_BYTES);
+    const cipher = crypto.createCipheriv(ENCRYPTION_CONFIG.CIPHER, encryptionKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [
+        ENCRYPTION_CONFIG.VERSION,
+        iv.toString('base64url'),
+        cipher.getAuthTag().toString('base64url'),
+        ciphertext.toString('base64url')
+    ].join('.');
+};
+
+/**
+ * Decrypts a stored TOTP secret
+ * @param {string} stored - Value from encryptTotpSecret
+ * @returns {string} Base32 secret
+ */
+export const decryptTotpSecret = (stored) => {
+    const [version, iv, tag, ciphertext] = String(stored).split('.');
+
+    if (version !== ENCRYPTION_CONFIG.VERSION || !iv || !tag || !ciphertext) {
+        throw new Error('Unsupported two-factor secret format');
+    }
+
+    const decipher = crypto.createDecipheriv(ENCRYPTION_CONFIG.CIPHER, encryptionKey(), Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+};
+
+// =============================================================================
+// RECOVERY CODES
+// =============================================================================
+
+/**
+ * Normalizes a recovery code as typed by the user - case, spaces and dashes are ignored
+ * @param {string} code - Recovery code
+ * @returns {string} Normalized code
+ */
+const normalizeRecoveryCode = (code) => String(code ?? '').toLowerCase().replace(/[\s-]/g, '');
+
+/**
+ * Hashes a recovery code for storage and lookup
+ * @param {string} code - Recovery code
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * Generates a fresh set of one-time recovery codes
+ * @returns {string[]} Codes like "a1b2c-3d4e5" - shown to the user once, only hashes are kept
+ */
+export const generateRecoveryCodes = () => Array.from({ length: TOTP_CONFIG.RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(TOTP_CONFIG.RECOVERY_CODE_BYTES).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
@@ -0,0 +1,108 @@
+// =============================================================================
+// USER AGENT PATTERNS
+// =============================================================================
+
+// Order matters - browsers built on Chromium also send "Chrome" and "Safari"
+const BROWSER_PATTERNS = [
+    { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+    { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+    { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+    { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+    { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+    { name: 'Safari', pattern: /Version\/([\d.]+).*Safari/ },
+    { name: 'Internet Explorer', pattern: /(?:MSIE |Trident\/.*rv:)([\d.]+)/ }
+];
+
+const OS_PATTERNS = [
+    { name: 'Windows', pattern: /Windows NT ([\d.]+)/ },
+    { name: 'iOS', pattern: /(?:iPhone|iPad|iPod).*? OS ([\d_]+)/ },
+    { name: 'Android', pattern: /Android ([\d.]+)/ },
+    { name: 'ChromeOS', pattern: /CrOS [\w]+ ([\d.]+)/ },
+    // Browsers freeze the macOS version at 10.15, so it is not reported
+    { name: 'macOS', pattern: /Mac OS X/ },
+    { name: 'Linux', pattern: /Linux/ }
+];
+
+const WINDOWS_VERSIONS = {
+    '10.0': '10/11',
+    '6.3': '8.1',
+    '6.2': '8',
+    '6.1': '7'
+};
+
+const DEVICE_PATTERNS = [
+    { type: 'bot', pattern: /bot|crawler|spider|curl|wget|postman|insomnia/i },
+    { type: 'tablet', pattern: /iPad|Tablet|Android(?!.*Mobile)/ },
+    { type: 'mobile', pattern: /Mobi|iPhone|iPod|Android.*Mobile/ }
+];
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Returns the first pattern entry matching the user agent
+ * @param {Array} patterns - Pattern entries to try in order
+ * @param {string} userAgent - User agent string
+ * @returns {Object|null} Matching entry and its version, or null
+ */
+const matchFirst = (patterns, userAgent) => {
+    for (const entry of patterns) {
+        const match = userAgent.match(entry.pattern);
+        if (match) {
+            return { ...entry, version: match[1] };
+        }
+    }
+    return null;
+};
+
+/**
+ * Keeps only the major version, e.g. "126.0.6478.127" becomes "126"
+ * @param {string} version - Full version string
+ * @returns {string|null} Major version
+ */
+const majorVersion = (version) => version ? version.split(/[._]/)[0] : null;
+
+// =============================================================================
+// MAIN PARSER
+// =============================================================================
+
+/**
+ * Parses a user agent into a human-readable browser, OS and device
+ * Only distinguishes the common browsers - anything else is reported as unknown
+ * @param {string} userAgent - User agent header stored with the session
+ * @returns {Object} Browser, OS and device info plus a display name
+ */
+export const parseUserAgent = (userAgent = '') => {
+    const ua = typeof userAgent === 'string' ? userAgent : '';
+
+    const browserMatch = matchFirst(BROWSER_PATTERNS, ua);
+    const osMatch = matchFirst(OS_PATTERNS, ua);
+    const deviceMatch = DEVICE_PATTERNS.find(entry => entry.pattern.test(ua));
+
+    const browser = {
+        name: browserMatch?.name || 'Unknown browser',
+        version: majorVersion(browserMatch?.version)
+    };
+
+    let osVersion = osMatch?.version ? osMatch.version.replace(/_/g, '.') : null;
+    if (osMatch?.name === 'Windows') {
+        osVersion = WINDOWS_VERSIONS[osVersion] || osVersion;
+    } else {
+        osVersion = majorVersion(osVersion);
+    }
+
+    const os = {
+        name: osMatch?.name || 'Unknown OS',
+        version: osVersion
+    };
+
+    const deviceType = deviceMatch?.type || (browserMatch || osMatch ? 'desktop' : 'unknown');
+
+    return {
+        browser,
+        os,
+        deviceType,
+        displayName: `${browser.name} on ${os.name}${os.version ? ` ${os.version}` : ''}`
+    };
+};
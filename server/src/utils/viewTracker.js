@@ -0,0 +1,238 @@
+import crypto from "crypto";
+import InterviewExperience from "../models/InterviewExperience.model.js";
+import ExperienceView from "../models/ExperienceView.model.js";
+import { extractDeviceInfo } from "../Shared/LoginOrCreateUser.js";
+
+// =============================================================================
+// VIEW TRACKING CONFIGURATION
+// =============================================================================
+
+const VIEW_CONFIG = {
+    DEDUP_WINDOW_MINUTES: Number(process.env.VIEW_DEDUP_WINDOW_MINUTES) || 30, // Count a viewer once per window
+    FLUSH_INTERVAL_SECONDS: Number(process.env.VIEW_FLUSH_INTERVAL_SECONDS) || 30, // Flush buffered counts periodically
+    FLUSH_BATCH_SIZE: 500, // Flush early once this many views are buffered
+    RECENT_CACHE_MAX_ENTRIES: 10000, // In-process cache that absorbs refreshes without a DB round-trip
+    BOT_USER_AGENT_PATTERN: /bot|crawler|spider|crawling|headless|preview|curl|wget|python-requests/i
+};
+
+// Buffered view increments: experienceId -> pending count
+const pendingViews = new Map();
+
+// Recently counted viewers in this process: "experienceId:viewerKey" -> expiry timestamp
+const recentViewers = new Map();
+
+let flushInterval = null;
+let flushInProgress = null;
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Builds a stable viewer key from the authenticated user or an anonymous fingerprint
+ * @param {Request} req - Express request object
+ * @returns {string} Viewer key
+ */
+const getViewerKey = (req) => {
+    if (req.user?._id) {
+        return `user:${req.user._id}`;
+    }
+
+    const { ip, userAgent } = extractDeviceInfo(req);
+    const fingerprint = crypto.createHash('sha256').update(`${ip}|${userAgent}`).digest('hex');
+    return `anon:${fingerprint}`;
+};
+
+/**
+ * Checks whether the request comes from a known bot or crawler
+ * @param {Request} req - Express request object
+ * @returns {boolean} True if the request should not be counted
+ */
+const isBotRequest = (req) => {
+    const userAgent = req.headers["user-agent"];
+    return !userAgent || VIEW_CONFIG.BOT_USER_AGENT_PATTERN.test(userAgent);
+};
+
+/**
+ * Remembers a counted viewer in the in-process cache, evicting the oldest entry when full
+ * @param {string} cacheKey - "experienceId:viewerKey"
+ * @param {number} expiresAt - Expiry timestamp in milliseconds
+ */
+const rememberViewer = (cacheKey, expiresAt) => {
+    if (recentViewers.size >= VIEW_CONFIG.RECENT_CACHE_MAX_ENTRIES) {
+        recentViewers.delete(recentViewers.keys().next().value);
+    }
+    recentViewers.set(cacheKey, expiresAt);
+};
+
+/**
+ * Claims the dedup window for a viewer in the database
+ * Reuses an expired marker if the TTL monitor has not removed it yet
+ * @param {string} experienceId - Interview experience ID
+ * @param {string} viewerKey - Viewer key
+ * @param {Date} expiresAt - End of the new dedup window
+ * @returns {Promise<boolean>} True if this is a new view within the window
+ */
+const claimViewWindow = async (experienceId, viewerKey, expiresAt) => {
+    const renewed = await ExperienceView.updateOne(
+        { experienceId, viewerKey, expiresAt: { $lte: new Date() } },
+        { $set: { expiresAt } }
+    );
+
+    if (renewed.modifiedCount === 1) {
+        return true;
+    }
+
+    try {
+        await ExperienceView.create({ experienceId, viewerKey, expiresAt });
+        return true;
+    } catch (error) {
+        // Duplicate key - viewer already counted within the current window
+        if (error.code === 11000) {
+            return false;
+        }
+        throw error;
+    }
+};
+
+// =============================================================================
+// VIEW TRACKING FUNCTIONS
+// =============================================================================
+
+/**
+ * Records a view of an experience, counting each viewer at most once per dedup window
+ * @param {string} experienceId - Interview experience ID
+ * @param {Request} req - Express request object
+ * @returns {Promise<boolean>} True if the view was counted
+ */
+export const recordExperienceView = async (experienceId, req) => {
+    if (isBotRequest(req)) {
+        return false;
+    }
+
+    const viewerKey = getViewerKey(req);
+    const cacheKey = `${experienceId}:${viewerKey}`;
+    const now = Date.now();
+
+    if ((recentViewers.get(cacheKey) || 0) > now) {
+        return false;
+    }
+
+    const expiresAt = now + VIEW_CONFIG.DEDUP_WINDOW_MINUTES * 60 * 1000;
+    rememberViewer(cacheKey, expiresAt);
+
+    const isNewView = await claimViewWindow(experienceId, viewerKey, new Date(expiresAt));
+    if (!isNewView) {
+        return false;
+    }
+
+    const key = experienceId.toString();
+    pendingViews.set(key, (pendingViews.get(key) || 0) + 1);
+
+    const totalPending = [...pendingViews.values()].reduce((sum, count) => sum + count, 0);
+    if (totalPending >= VIEW_CONFIG.FLUSH_BATCH_SIZE) {
+        flushViewCounts().catch(error => console.error('View flush error:', error.message));
+    }
+
+    return true;
+};
+
+/**
+ * Gets the number of counted views not yet flushed for an experience
+ * @param {string} experienceId - Interview experience ID
+ * @returns {number} Pending view count
+ */
+export const getPendingViews = (experienceId) => pendingViews.get(experienceId.toString()) || 0;
+
+/**
+ * Writes buffered view counts to the database in a single bulk operation
+ * @returns {Promise<number>} Number of experiences updated
+ */
+export const flushViewCounts = async () => {
+    if (flushInProgress) {
+        return flushInProgress;
+    }
+
+    if (pendingViews.size === 0) {
+        return 0;
+    }
+
+    // Swap the buffer out so views recorded during the write are kept for the next flush
+    const batch = [...pendingViews.entries()];
+    pendingViews.clear();
+
+    flushInProgress = InterviewExperience.bulkWrite(
+        batch.map(([experienceId, count]) => ({
+            updateOne: {
+                filter: { _id: experienceId },
+                update: { $inc: { views: count } }
+            }
+        })),
+        { ordered: false }
+    ).then(result => result.modifiedCount)
+    .catch(error => {
+        // Put the counts back so they are retried on the next flush
+        for (const [experienceId, count] of batch) {
+            pendingViews.set(experienceId, (pendingViews.get(experienceId) || 0) + count);
+        }
+        throw error;
+    })
+    .finally(() => {
+        flushInProgress = null;
+    });
+
+    return flushInProgress;
+};
+
+// =============================================================================
+// PERIODIC FLUSH MANAGEMENT
+// =============================================================================
+
+/**
+ * Start periodic flushing of buffered view counts
+ * @param {number} intervalSeconds - Flush interval in seconds
+ */
+export const startViewFlush = (intervalSeconds = VIEW_CONFIG.FLUSH_INTERVAL_SECONDS) => {
+    if (flushInterval) {
+        return;
+    }
+
+    flushInterval = setInterval(async () => {
+        try {
+            await flushViewCounts();
+
+            // Drop expired entries from the in-process cache
+            const now = Date.now();
+            for (const [cacheKey, expiresAt] of recentViewers) {
+                if (expiresAt <= now) recentViewers.delete(cacheKey);
+            }
+        } catch (error) {
+            console.error('Periodic view flush error:', error.message);
+        }
+    }, intervalSeconds * 1000);
+
+    // Do not keep the process alive just for view flushing
+    flushInterval.unref();
+
+    // Write remaining counts before the process exits
+    const flushAndExit = () => stopViewFlush().finally(() => process.exit(0));
+    process.once('SIGINT', flushAndExit);
+    process.once('SIGTERM', flushAndExit);
+};
+
+/**
+ * Stop periodic flushing and write any remaining buffered counts
+ * @returns {Promise<void>}
+ */
+export const stopViewFlush = async () => {
+    if (flushInterval) {
+        clearInterval(flushInterval);
+        flushInterval = null;
+    }
+
+    try {
+        await flushViewCounts();
+    } catch (error) {
+        console.error('Final view flush error:', error.message);
+    }
+};
@@ -0,0 +1,81 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseCompensation } from "../src/utils/compensationParser.js";
+
+describe("parseCompensation", () => {
+    it("reads lakh amounts as yearly rupees", () => {
+        const result = parseCompensation("15 LPA");
+
+        assert.equal(result.currency, "INR");
+        assert.equal(result.base, 1_500_000);
+        assert.equal(result.period, "yearly");
+        assert.equal(result.raw, "15 LPA");
+    });
+
+    it("takes the midpoint of a range and applies a trailing unit to both ends", () => {
+        const result = parseCompensation("20-25 LPA");
+
+        assert.equal(result.currency, "INR");
+        assert.equal(result.base, 2_250_000);
+    });
+
+    it("takes the midpoint of a range with a unit on each end", () => {
+        const result = parseCompensation("$130K - $150K");
+
+        assert.equal(result.currency, "USD");
+        assert.equal(result.base, 140_000);
+        assert.equal(result.annualTotalUsd, 140_000);
+    });
+
+    it("resolves a percentage bonus against the base", () => {
+        const result = parseCompensation("$130,000 + 10% bonus");
+
+        assert.equal(result.base, 130_000);
+        assert.equal(result.bonus, 13_000);
+        assert.equal(result.total, 143_000);
+        assert.equal(result.annualTotalUsd, 143_000);
+    });
+
+    it("treats lakh-grouped amounts without a currency as rupees", () => {
+        assert.equal(parseCompensation("CTC 45,00,000").currency, "INR");
+        assert.equal(parseCompensation("CTC 45,00,000").base, 4_500_000);
+        assert.equal(parseCompensation("1,30,000").currency, "INR");
+    });
+
+    it("leaves the currency unknown for plain amounts", () => {
+        const result = parseCompensation("130,000");
+
+        assert.equal(result.currency, null);
+        assert.equal(result.base, 130_000);
+        assert.equal(result.annualTotalUsd, null);
+    });
+
+    it("splits labelled components", () => {
+        const result = parseCompensation("₹32L + 10L ESOP");
+
+        assert.equal(result.base, 3_200_000);
+        assert.equal(result.equity, 1_000_000);
+        assert.equal(result.total, 4_200_000);
+    });
+
+    it("annualizes monthly and hourly amounts", () => {
+        const monthly = parseCompensation("€6k per month");
+        assert.equal(monthly.period, "monthly");
+        assert.equal(monthly.base, 6_000);
+
+        const hourly = parseCompensation("$50/hr");
+        assert.equal(hourly.period, "hourly");
+        assert.equal(hourly.annualTotalUsd, 104_000);
+    });
+
+    it("ignores parenthesised breakdowns", () => {
+        assert.equal(parseCompensation("$150K (120K base + 30K bonus)").total, 150_000);
+    });
+
+    it("returns null when there is no amount to parse", () => {
+        assert.equal(parseCompensation(""), null);
+        assert.equal(parseCompensation(null), null);
+        assert.equal(parseCompensation("competitive"), null);
+        assert.equal(parseCompensation("10%"), null);
+    });
+});
@@ -0,0 +1,63 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { diffLines } from "../src/utils/diff.js";
+
+describe("diffLines", () => {
+    it("reports identical texts as one equal chunk", () => {
+        assert.deepEqual(diffLines("a\nb", "a\nb"), [
+            { type: "equal", lines: ["a", "b"] }
+        ]);
+    });
+
+    it("reports a changed line as removed then added between the unchanged lines", () => {
+        assert.deepEqual(diffLines("a\nb\nc", "a\nB\nc"), [
+            { type: "equal", lines: ["a"] },
+            { type: "removed", lines: ["b"] },
+            { type: "added", lines: ["B"] },
+            { type: "equal", lines: ["c"] }
+        ]);
+    });
+
+    it("reports inserted and deleted lines", () => {
+        assert.deepEqual(diffLines("a\nc", "a\nb\nc"), [
+            { type: "equal", lines: ["a"] },
+            { type: "added", lines: ["b"] },
+            { type: "equal", lines: ["c"] }
+        ]);
+
+        assert.deepEqual(diffLines("a\nb\nc", "a\nc"), [
+            { type: "equal", lines: ["a"] },
+            { type: "removed", lines: ["b"] },
+            { type: "equal", lines: ["c"] }
+        ]);
+    });
+
+    it("keeps common lines inside the edited region", () => {
+        const chunks = diffLines("x\na\ny\nb", "a\nz\nb");
+
+        assert.deepEqual(chunks.filter(chunk => chunk.type === "equal").flatMap(chunk => chunk.lines), ["a", "b"]);
+        assert.deepEqual(chunks.filter(chunk => chunk.type === "removed").flatMap(chunk => chunk.lines), ["x", "y"]);
+        assert.deepEqual(chunks.filter(chunk => chunk.type === "added").flatMap(chunk => chunk.lines), ["z"]);
+    });
+
+    it("rebuilds both texts from the chunks", () => {
+        const before = "title\nintro\nround 1\nround 2\noutro";
+        const after = "title\nround 1\nround 1.5\nround 2\nnew outro";
+        const chunks = diffLines(before, after);
+
+        const rebuild = (skipped) => chunks
+            .filter(chunk => chunk.type !== skipped)
+            .flatMap(chunk => chunk.lines)
+            .join("\n");
+
+        assert.equal(rebuild("added"), before);
+        assert.equal(rebuild("removed"), after);
+    });
+
+    it("treats missing texts as empty", () => {
+        assert.deepEqual(diffLines(undefined, "a"), [
+            { type: "removed", lines: [""] },
+            { type: "added", lines: ["a"] }
+        ]);
+    });
+});
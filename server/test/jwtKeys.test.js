@@ -0,0 +1,36 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseDuration } from "../src/utils/jwtKeys.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+describe("parseDuration", () => {
+    it("reads short unit suffixes", () => {
+        assert.equal(parseDuration("15m"), 15 * MINUTE_MS);
+        assert.equal(parseDuration("2h"), 120 * MINUTE_MS);
+        assert.equal(parseDuration("10d"), 10 * DAY_MS);
+        assert.equal(parseDuration("1w"), 7 * DAY_MS);
+    });
+
+    it("reads long unit names like jsonwebtoken does", () => {
+        assert.equal(parseDuration("7 days"), 7 * DAY_MS);
+        assert.equal(parseDuration("1 hour"), 60 * MINUTE_MS);
+        assert.equal(parseDuration("1y"), 365.25 * DAY_MS);
+    });
+
+    it("ignores surrounding whitespace", () => {
+        assert.equal(parseDuration(" 7d "), 7 * DAY_MS);
+    });
+
+    it("reads bare numbers as seconds", () => {
+        assert.equal(parseDuration(60), MINUTE_MS);
+        assert.equal(parseDuration("60"), 60);
+    });
+
+    it("rejects values that are not a positive duration", () => {
+        for (const value of ["soon", "", "0", "-1d", 0, -5, undefined]) {
+            assert.throws(() => parseDuration(value), /Invalid duration/, String(value));
+        }
+    });
+});
@@ -0,0 +1,74 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+// Mails are kept in memory so the tests can read them - set before the mailer loads
+process.env.MAIL_TRANSPORT = "memory";
+
+const { default: User } = await import("../src/models/User.model.js");
+const { default: AuthToken } = await import("../src/models/AuthToken.model.js");
+const { default: LocalAuthService } = await import("../src/services/localAuthService.js");
+const { getSentMails, clearSentMails } = await import("../src/utils/mailer.js");
+
+const REGISTRATION = {
+    firstName: "Dev",
+    lastName: "User",
+    userName: "devuser",
+    email: "Dev@Example.com",
+    password: "correct horse battery staple"
+};
+
+beforeEach(() => {
+    clearSentMails();
+});
+
+describe("LocalAuthService.register", () => {
+    it("creates the account and mails a verification link", async (t) => {
+        t.mock.method(User, "exists", async () => null);
+        t.mock.method(User, "findOne", async () => null);
+        const create = t.mock.method(User, "create", async (data) => ({ _id: "64b7f0c2a1e4d3b2c1a09f01", ...data }));
+        t.mock.method(AuthToken, "deleteMany", async () => ({}));
+        t.mock.method(AuthToken, "create", async () => ({}));
+
+        assert.equal(await LocalAuthService.register(REGISTRATION), undefined);
+
+        assert.equal(create.mock.callCount(), 1);
+        assert.equal(create.mock.calls[0].arguments[0].email, "dev@example.com");
+        assert.deepEqual(getSentMails().map(mail => [mail.to, mail.subject]), [
+            ["dev@example.com", "Verify your InterviewReader email"]
+        ]);
+    });
+
+    it("answers the same for a taken address and tells its owner instead", async (t) => {
+        t.mock.method(User, "exists", async () => null);
+        t.mock.method(User, "findOne", async () => ({ _id: "64b7f0c2a1e4d3b2c1a09f02", email: "dev@example.com", name: "Dev User" }));
+        const create = t.mock.method(User, "create", async () => null);
+
+        assert.equal(await LocalAuthService.register(REGISTRATION), undefined);
+
+        assert.equal(create.mock.callCount(), 0);
+        assert.deepEqual(getSentMails().map(mail => [mail.to, mail.subject]), [
+            ["dev@example.com", "You already have an InterviewReader account"]
+        ]);
+    });
+
+    it("treats an address taken by a concurrent registration the same way", async (t) => {
+        const existingUser = { _id: "64b7f0c2a1e4d3b2c1a09f02", email: "dev@example.com", name: "Dev User" };
+        let lookups = 0;
+        t.mock.method(User, "exists", async () => null);
+        t.mock.method(User, "findOne", async () => (lookups++ === 0 ? null : existingUser));
+        t.mock.method(User, "create", async () => {
+            throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+        });
+
+        assert.equal(await LocalAuthService.register(REGISTRATION), undefined);
+
+        assert.deepEqual(getSentMails().map(mail => mail.subject), ["You already have an InterviewReader account"]);
+    });
+
+    it("still reports a taken username", async (t) => {
+        t.mock.method(User, "exists", async () => ({ _id: "64b7f0c2a1e4d3b2c1a09f03" }));
+
+        await assert.rejects(LocalAuthService.register(REGISTRATION), { statusCode: 409, message: "Username is already taken" });
+        assert.deepEqual(getSentMails(), []);
+    });
+});
@@ -0,0 +1,115 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Link tokens are signed with a throwaway key - set before the key store is loaded
+const keysDir = fs.mkdtempSync(path.join(os.tmpdir(), "jwt-keys-"));
+process.env.JWT_KEYS_DIR = keysDir;
+process.env.JWT_ALGORITHM = "ES256";
+
+const { default: User } = await import("../src/models/User.model.js");
+const { generateLinkToken } = await import("../src/utils/Token.js");
+const { loginOrCreateUser } = await import("../src/Shared/LoginOrCreateUser.js");
+
+const USER_ID = "64b7f0c2a1e4d3b2c1a09f01";
+const GOOGLE_ID = "google-account-1";
+
+/**
+ * Minimal stand-in for an Express response that records the redirect
+ */
+const createResponse = () => ({
+    location: null,
+    redirect(url) {
+        this.location = url;
+    },
+    cookie() {},
+    clearCookie() {}
+});
+
+/**
+ * Request carrying a link intent for the user
+ * @param {string} provider - Provider being linked
+ */
+const linkRequest = (provider) => ({
+    cookies: { oauthLink: generateLinkToken(USER_ID, provider) },
+    headers: {}
+});
+
+/**
+ * Mocks the signed-in user and the lookups linking makes
+ * @param {Object} t - Test context
+ * @returns {Object} User document being linked
+ */
+const mockLinkingUser = (t) => {
+    const user = new User({ _id: USER_ID, email: "dev@example.com", name: "Dev User" });
+    t.mock.method(user, "save", async () => user);
+    t.mock.method(User, "findById", async () => user);
+    t.mock.method(User, "exists", async () => null);
+    return user;
+};
+
+after(() => {
+    fs.rmSync(keysDir, { recursive: true, force: true });
+});
+
+describe("loginOrCreateUser account linking", () => {
+    it("links a provider whose email is not verified", async (t) => {
+        const user = mockLinkingUser(t);
+        const res = createResponse();
+
+        await loginOrCreateUser({
+            provider: "google",
+            id: GOOGLE_ID,
+            email: "someone-else@example.com",
+            emailVerified: false,
+            name: "Dev",
+            req: linkRequest("google"),
+            res
+        });
+
+        assert.equal(user.googleId, GOOGLE_ID);
+        assert.match(res.location, /\/dashboard\?link=success&provider=google$/);
+    });
+
+    it("links a provider that returns no email", async (t) => {
+        const user = mockLinkingUser(t);
+        const res = createResponse();
+
+        await loginOrCreateUser({
+            provider: "google",
+            id: GOOGLE_ID,
+            email: undefined,
+            emailVerified: false,
+            name: "Dev",
+            req: linkRequest("google"),
+            res
+        });
+
+        assert.equal(user.googleId, GOOGLE_ID);
+        assert.match(res.location, /\/dashboard\?link=success&provider=google$/);
+    });
+});
+
+describe("loginOrCreateUser sign-in", () => {
+    it("refuses an unverified email before looking up any account", async (t) => {
+        const findOne = t.mock.method(User, "findOne", async () => null);
+        const create = t.mock.method(User, "create", async () => null);
+        const res = createResponse();
+
+        await loginOrCreateUser({
+            provider: "google",
+            id: GOOGLE_ID,
+            email: "dev@example.com",
+            emailVerified: false,
+            name: "Dev",
+            req: { cookies: {}, headers: {} },
+            res
+        });
+
+        assert.match(res.location, /\?error=email_not_verified&provider=google$/);
+        assert.equal(findOne.mock.callCount(), 0);
+        assert.equal(create.mock.callCount(), 0);
+    });
+});
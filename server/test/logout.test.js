@@ -0,0 +1,49 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// Session tokens are hashed with a test secret - set before the modules load
+process.env.SESSION_TOKEN_HASH_SECRET = "test-session-token-hash-secret";
+
+const { default: Session } = await import("../src/models/Session.model.js");
+const { default: SessionService } = await import("../src/services/sessionService.js");
+const { hashSessionToken } = await import("../src/utils/Token.js");
+const { logout } = await import("../src/Shared/LogoutUser.js");
+
+const USER_ID = "64b7f0c2a1e4d3b2c1a09f01";
+
+/**
+ * Minimal stand-in for an Express response
+ */
+const createResponse = () => ({
+    statusCode: null,
+    body: null,
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    },
+    clearCookie() {}
+});
+
+describe("logout", () => {
+    it("ends the session but keeps it until it expires", async (t) => {
+        const update = t.mock.method(Session, "findOneAndUpdate", async () => ({ userId: USER_ID }));
+        const deleteMany = t.mock.method(Session, "deleteMany", async () => ({ deletedCount: 0 }));
+        const deleteOne = t.mock.method(Session, "findOneAndDelete", async () => null);
+        t.mock.method(SessionService, "syncLoginCount", async () => 0);
+        const res = createResponse();
+
+        await logout({ cookies: { refreshToken: "refresh-token" } }, res);
+
+        const [filter, changes] = update.mock.calls[0].arguments;
+        assert.equal(filter.refreshTokenHash, hashSessionToken("refresh-token"));
+        assert.equal(changes.isActive, false);
+        assert.ok(changes.loggedOutAt instanceof Date);
+        assert.equal(deleteMany.mock.callCount(), 0);
+        assert.equal(deleteOne.mock.callCount(), 0);
+        assert.equal(res.body.sessionsEnded, 1);
+    });
+});
@@ -0,0 +1,65 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import axios from "axios";
+
+// Providers are read from the environment when the registry loads
+process.env.OAUTH_PROVIDERS = "github";
+process.env.GITHUB_CLIENT_ID = "github-client";
+process.env.GITHUB_CLIENT_SECRET = "github-secret";
+process.env.GITHUB_REDIRECT_URI = "http://localhost:3001/auth/github/callback";
+
+const { getOAuthProvider, fetchProviderProfile } = await import("../src/Shared/OAuthProviders.js");
+
+const GITHUB_USER = { id: 42, login: "octocat", name: "The Octocat", email: "public@example.com", avatar_url: "https://avatars.example/42" };
+
+/**
+ * Mocks the GitHub token, user and address list endpoints
+ * @param {Object} t - Test context
+ * @param {Array} emails - /user/emails response
+ */
+const mockGitHub = (t, emails) => {
+    t.mock.method(axios, "post", async () => ({ data: { access_token: "gho_token" } }));
+    return t.mock.method(axios, "get", async (url) => ({
+        data: url === "https://api.github.com/user/emails" ? emails : GITHUB_USER
+    }));
+};
+
+describe("GitHub profile", () => {
+    it("uses the primary verified address", async (t) => {
+        const get = mockGitHub(t, [
+            { email: "secondary@example.com", primary: false, verified: true },
+            { email: "primary@example.com", primary: true, verified: true }
+        ]);
+
+        const profile = await fetchProviderProfile(getOAuthProvider("github"), "code");
+
+        assert.deepEqual(get.mock.calls.map(call => call.arguments[0]), [
+            "https://api.github.com/user",
+            "https://api.github.com/user/emails"
+        ]);
+        assert.equal(profile.id, "42");
+        assert.equal(profile.email, "primary@example.com");
+        assert.equal(profile.emailVerified, true);
+    });
+
+    it("reports no verified address when the primary one is unverified", async (t) => {
+        mockGitHub(t, [
+            { email: "primary@example.com", primary: true, verified: false },
+            { email: "other@example.com", primary: false, verified: true }
+        ]);
+
+        const profile = await fetchProviderProfile(getOAuthProvider("github"), "code");
+
+        assert.equal(profile.email, undefined);
+        assert.equal(profile.emailVerified, false);
+    });
+
+    it("never makes up an address", async (t) => {
+        mockGitHub(t, []);
+
+        const profile = await fetchProviderProfile(getOAuthProvider("github"), "code");
+
+        assert.equal(profile.email, undefined);
+        assert.equal(profile.emailVerified, false);
+    });
+});
@@ -0,0 +1,37 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { sanitizeReturnTo } from "../src/Shared/OAuthState.js";
+
+const DEFAULT_RETURN_TO = "/dashboard";
+
+describe("sanitizeReturnTo", () => {
+    it("keeps client paths with their query and fragment", () => {
+        assert.equal(sanitizeReturnTo("/experiences/42?tab=comments#c7"), "/experiences/42?tab=comments#c7");
+    });
+
+    it("normalizes dot segments", () => {
+        assert.equal(sanitizeReturnTo("/settings/../profile"), "/profile");
+    });
+
+    it("rejects protocol-relative and absolute URLs", () => {
+        for (const returnTo of ["//evil.example", "/\\evil.example", "https://evil.example/", "javascript:alert(1)"]) {
+            assert.equal(sanitizeReturnTo(returnTo), DEFAULT_RETURN_TO, returnTo);
+        }
+    });
+
+    it("rejects relative paths", () => {
+        assert.equal(sanitizeReturnTo("profile"), DEFAULT_RETURN_TO);
+    });
+
+    it("rejects control characters and backslashes", () => {
+        assert.equal(sanitizeReturnTo("/\t/evil.example"), DEFAULT_RETURN_TO);
+        assert.equal(sanitizeReturnTo("/profile\nSet-Cookie: x=1"), DEFAULT_RETURN_TO);
+        assert.equal(sanitizeReturnTo("/a\\b"), DEFAULT_RETURN_TO);
+    });
+
+    it("rejects missing, non-string and overlong values", () => {
+        assert.equal(sanitizeReturnTo(undefined), DEFAULT_RETURN_TO);
+        assert.equal(sanitizeReturnTo(["/profile"]), DEFAULT_RETURN_TO);
+        assert.equal(sanitizeReturnTo(`/${"a".repeat(600)}`), DEFAULT_RETURN_TO);
+    });
+});
@@ -0,0 +1,61 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { generatePseudonym, canRevealAuthor } from "../src/utils/pseudonym.js";
+
+const AUTHOR_ID = "64b7f0c2a1e4d3b2c1a09f01";
+const OTHER_USER_ID = "64b7f0c2a1e4d3b2c1a09f02";
+const EXPERIENCE_ID = "64b7f0c2a1e4d3b2c1a09e01";
+const OTHER_EXPERIENCE_ID = "64b7f0c2a1e4d3b2c1a09e02";
+
+/**
+ * Minimal stand-in for a user document
+ * @param {string} id - User ID
+ * @param {string[]} permissions - Granted permissions
+ */
+const viewer = (id, permissions = []) => ({
+    _id: { toString: () => id },
+    hasPermission: (permission) => permissions.includes(permission)
+});
+
+describe("generatePseudonym", () => {
+    it("builds an adjective, animal and number name", () => {
+        assert.match(generatePseudonym(EXPERIENCE_ID, AUTHOR_ID), /^Anonymous [A-Z][a-z]+ [A-Z][a-z]+ \d{1,2}$/);
+    });
+
+    it("gives the same user the same name within an experience", () => {
+        assert.equal(generatePseudonym(EXPERIENCE_ID, AUTHOR_ID), generatePseudonym(EXPERIENCE_ID, AUTHOR_ID));
+    });
+
+    it("gives different names across experiences and users", () => {
+        const name = generatePseudonym(EXPERIENCE_ID, AUTHOR_ID);
+
+        assert.notEqual(generatePseudonym(OTHER_EXPERIENCE_ID, AUTHOR_ID), name);
+        assert.notEqual(generatePseudonym(EXPERIENCE_ID, OTHER_USER_ID), name);
+    });
+
+    it("does not contain the user ID", () => {
+        assert.ok(!generatePseudonym(EXPERIENCE_ID, AUTHOR_ID).includes(AUTHOR_ID));
+    });
+});
+
+describe("canRevealAuthor", () => {
+    it("hides the author from signed-out viewers", () => {
+        assert.equal(canRevealAuthor(AUTHOR_ID, null), false);
+    });
+
+    it("reveals the author to themselves", () => {
+        assert.equal(canRevealAuthor(AUTHOR_ID, viewer(AUTHOR_ID)), true);
+    });
+
+    it("hides the author from other users", () => {
+        assert.equal(canRevealAuthor(AUTHOR_ID, viewer(OTHER_USER_ID)), false);
+    });
+
+    it("reveals the author to users allowed to view anonymous authors", () => {
+        assert.equal(canRevealAuthor(AUTHOR_ID, viewer(OTHER_USER_ID, ["users:view_anonymous"])), true);
+    });
+
+    it("hides a missing author", () => {
+        assert.equal(canRevealAuthor(null, viewer(AUTHOR_ID)), false);
+    });
+});
@@ -0,0 +1,139 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Tokens are signed with a throwaway key and hashed with a test secret - set before the modules load
+const keysDir = fs.mkdtempSync(path.join(os.tmpdir(), "jwt-keys-"));
+process.env.JWT_KEYS_DIR = keysDir;
+process.env.JWT_ALGORITHM = "ES256";
+process.env.SESSION_TOKEN_HASH_SECRET = "test-session-token-hash-secret";
+
+const { default: Session } = await import("../src/models/Session.model.js");
+const { default: User } = await import("../src/models/User.model.js");
+const { default: SessionService } = await import("../src/services/sessionService.js");
+const { generateTokens, hashSessionToken } = await import("../src/utils/Token.js");
+const { refreshSession } = await import("../src/Shared/RefreshUserSession.js");
+
+const USER_ID = "64b7f0c2a1e4d3b2c1a09f01";
+const SESSION_ID = "64b7f0c2a1e4d3b2c1a09d01";
+const FAMILY_ID = "family-1";
+
+/**
+ * Minimal stand-in for an Express response
+ */
+const createResponse = () => ({
+    statusCode: null,
+    body: null,
+    cookies: {},
+    clearedCookies: [],
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    },
+    cookie(name, value) {
+        this.cookies[name] = value;
+    },
+    clearCookie(name) {
+        this.clearedCookies.push(name);
+    }
+});
+
+/**
+ * Runs the refresh handler with a refresh token cookie
+ * @param {string} refreshToken - Presented refresh token
+ * @returns {Promise<Object>} { res, error }
+ */
+const refresh = async (refreshToken) => {
+    const res = createResponse();
+    let error = null;
+    await refreshSession({ cookies: { refreshToken }, ip: "127.0.0.1" }, res, (err) => {
+        error = err;
+    });
+    return { res, error };
+};
+
+/**
+ * Session whose current token is newer than the presented one
+ * @param {string} presentedToken - Token the client still holds
+ * @param {number} rotatedAgoMs - How long ago the session was rotated
+ */
+const rotatedSession = (presentedToken, rotatedAgoMs) => ({
+    _id: SESSION_ID,
+    userId: USER_ID,
+    familyId: FAMILY_ID,
+    refreshTokenHash: hashSessionToken("newer-refresh-token"),
+    previousRefreshTokenHash: hashSessionToken(presentedToken),
+    lastRotatedAt: new Date(Date.now() - rotatedAgoMs),
+    isActive: true,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+});
+
+after(() => {
+    fs.rmSync(keysDir, { recursive: true, force: true });
+});
+
+describe("refreshSession", () => {
+    it("rotates the current token and remembers the one it replaced", async (t) => {
+        const { refreshToken } = generateTokens(USER_ID, { familyId: FAMILY_ID });
+        const session = { ...rotatedSession("older", 0), refreshTokenHash: hashSessionToken(refreshToken) };
+        t.mock.method(Session, "findOne", async () => session);
+        t.mock.method(User, "findById", () => ({ select: async () => ({ _id: USER_ID, isActive: true }) }));
+        const update = t.mock.method(Session, "findOneAndUpdate", async () => ({ expiresAt: session.expiresAt }));
+
+        const { res, error } = await refresh(refreshToken);
+
+        assert.equal(error, null);
+        assert.equal(res.statusCode, 200);
+        assert.ok(res.cookies.refreshToken);
+        assert.equal(update.mock.calls[0].arguments[1].$set.previousRefreshTokenHash, hashSessionToken(refreshToken));
+    });
+
+    it("accepts the token a concurrent refresh just replaced without revoking anything", async (t) => {
+        const { refreshToken } = generateTokens(USER_ID, { familyId: FAMILY_ID });
+        t.mock.method(Session, "findOne", async () => rotatedSession(refreshToken, 1000));
+        const revoke = t.mock.method(SessionService, "revokeSessionFamily", async () => ({ revokedSessions: 1 }));
+
+        const { res, error } = await refresh(refreshToken);
+
+        assert.equal(error, null);
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.data.alreadyRefreshed, true);
+        assert.deepEqual(res.cookies, {});
+        assert.deepEqual(res.clearedCookies, []);
+        assert.equal(revoke.mock.callCount(), 0);
+    });
+
+    it("accepts a refresh that lost the rotation to a concurrent one", async (t) => {
+        const { refreshToken } = generateTokens(USER_ID, { familyId: FAMILY_ID });
+        const session = { ...rotatedSession("older", 0), refreshTokenHash: hashSessionToken(refreshToken) };
+        t.mock.method(Session, "findOne", async () => session);
+        t.mock.method(User, "findById", () => ({ select: async () => ({ _id: USER_ID, isActive: true }) }));
+        t.mock.method(Session, "findOneAndUpdate", async () => null);
+        const revoke = t.mock.method(SessionService, "revokeSessionFamily", async () => ({ revokedSessions: 1 }));
+
+        const { res, error } = await refresh(refreshToken);
+
+        assert.equal(error, null);
+        assert.equal(res.body.data.alreadyRefreshed, true);
+        assert.deepEqual(res.cookies, {});
+        assert.equal(revoke.mock.callCount(), 0);
+    });
+
+    it("revokes the stored family when a replaced token comes back later", async (t) => {
+        const { refreshToken } = generateTokens(USER_ID, { familyId: FAMILY_ID });
+        t.mock.method(Session, "findOne", async () => rotatedSession(refreshToken, 5 * 60 * 1000));
+        const revoke = t.mock.method(SessionService, "revokeSessionFamily", async () => ({ revokedSessions: 1 }));
+
+        const { res, error } = await refresh(refreshToken);
+
+        assert.equal(error.statusCode, 401);
+        assert.deepEqual(revoke.mock.calls[0].arguments, [USER_ID, FAMILY_ID, SESSION_ID]);
+        assert.ok(res.clearedCookies.includes("refreshToken"));
+    });
+});
@@ -0,0 +1,133 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+    generateTotpSecret,
+    buildOtpauthUri,
+    verifyTotp,
+    encryptTotpSecret,
+    decryptTotpSecret,
+    hashRecoveryCode,
+    generateRecoveryCodes
+} from "../src/utils/totp.js";
+
+// RFC 6238 appendix B - the ASCII secret "12345678901234567890" in base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+describe("TOTP codes", () => {
+    it("generates 160-bit base32 secrets", () => {
+        const secret = generateTotpSecret();
+
+        assert.match(secret, /^[A-Z2-7]{32}$/);
+        assert.notEqual(generateTotpSecret(), secret);
+    });
+
+    it("matches the RFC 6238 test vectors", (t) => {
+        t.mock.method(Date, "now", () => 59 * 1000);
+        assert.equal(verifyTotp(RFC_SECRET, "287082"), 1);
+
+        t.mock.method(Date, "now", () => 1111111109 * 1000);
+        assert.equal(verifyTotp(RFC_SECRET, "081804"), 37037036);
+    });
+
+    it("accepts codes one step either side for clock drift", (t) => {
+        t.mock.method(Date, "now", () => 89 * 1000);
+        assert.equal(verifyTotp(RFC_SECRET, "287082"), 1);
+
+        t.mock.method(Date, "now", () => 119 * 1000);
+        assert.equal(verifyTotp(RFC_SECRET, "287082"), null);
+    });
+
+    it("refuses steps that were already used", (t) => {
+        t.mock.method(Date, "now", () => 59 * 1000);
+
+        assert.equal(verifyTotp(RFC_SECRET, "287082", { afterStep: 0 }), 1);
+        assert.equal(verifyTotp(RFC_SECRET, "287082", { afterStep: 1 }), null);
+    });
+
+    it("ignores spaces and rejects malformed codes", (t) => {
+        t.mock.method(Date, "now", () => 59 * 1000);
+
+        assert.equal(verifyTotp(RFC_SECRET, "287 082"), 1);
+        for (const code of ["28708", "2870820", "28708a", "", null]) {
+            assert.equal(verifyTotp(RFC_SECRET, code), null, String(code));
+        }
+    });
+
+    it("builds an otpauth URI for authenticator apps", () => {
+        const uri = new URL(buildOtpauthUri(RFC_SECRET, "dev@example.com"));
+
+        assert.equal(uri.protocol, "otpauth:");
+        assert.equal(uri.host, "totp");
+        assert.equal(decodeURIComponent(uri.pathname), "/InterviewReader:dev@example.com");
+        assert.equal(uri.searchParams.get("secret"), RFC_SECRET);
+        assert.equal(uri.searchParams.get("issuer"), "InterviewReader");
+        assert.equal(uri.searchParams.get("digits"), "6");
+        assert.equal(uri.searchParams.get("period"), "30");
+    });
+});
+
+describe("TOTP secret storage", () => {
+    let previousKey;
+
+    before(() => {
+        previousKey = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+        process.env.TWO_FACTOR_ENCRYPTION_KEY = "test-two-factor-encryption-key";
+    });
+
+    after(() => {
+        if (previousKey === undefined) {
+            delete process.env.TWO_FACTOR_ENCRYPTION_KEY;
+        } else {
+            process.env.TWO_FACTOR_ENCRYPTION_KEY = previousKey;
+        }
+    });
+
+    it("decrypts what it encrypts", () => {
+        const stored = encryptTotpSecret(RFC_SECRET);
+
+        assert.ok(stored.startsWith("v1."));
+        assert.ok(!stored.includes(RFC_SECRET));
+        assert.equal(decryptTotpSecret(stored), RFC_SECRET);
+    });
+
+    it("uses a fresh IV for every encryption", () => {
+        assert.notEqual(encryptTotpSecret(RFC_SECRET), encryptTotpSecret(RFC_SECRET));
+    });
+
+    it("rejects tampered and unknown formats", () => {
+        const [version, iv, tag, ciphertext] = encryptTotpSecret(RFC_SECRET).split(".");
+        const tampered = Buffer.from(ciphertext, "base64url");
+        tampered[0] ^= 1;
+
+        assert.throws(() => decryptTotpSecret([version, iv, tag, tampered.toString("base64url")].join(".")));
+        assert.throws(() => decryptTotpSecret(RFC_SECRET), /Unsupported two-factor secret format/);
+    });
+
+    it("cannot decrypt with another key", () => {
+        const stored = encryptTotpSecret(RFC_SECRET);
+        process.env.TWO_FACTOR_ENCRYPTION_KEY = "another-two-factor-encryption-key";
+
+        assert.throws(() => decryptTotpSecret(stored));
+    });
+});
+
+describe("recovery codes", () => {
+    it("generates ten distinct codes", () => {
+        const codes = generateRecoveryCodes();
+
+        assert.equal(codes.length, 10);
+        assert.equal(new Set(codes).size, 10);
+        for (const code of codes) {
+            assert.match(code, /^[a-f0-9]{5}-[a-f0-9]{5}$/);
+        }
+    });
+
+    it("hashes codes regardless of case, spaces and dashes", () => {
+        const hash = hashRecoveryCode("a1b2c-3d4e5");
+
+        assert.match(hash, /^[a-f0-9]{64}$/);
+        assert.equal(hashRecoveryCode("A1B2C 3D4E5"), hash);
+        assert.equal(hashRecoveryCode("a1b2c3d4e5"), hash);
+        assert.notEqual(hashRecoveryCode("a1b2c-3d4e6"), hash);
+    });
+});
@@ -0,0 +1,83 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// Providers are read from the environment when the registry loads
+process.env.OAUTH_PROVIDERS = "google,github";
+process.env.GOOGLE_CLIENT_ID = "google-client";
+process.env.GOOGLE_CLIENT_SECRET = "google-secret";
+process.env.GOOGLE_REDIRECT_URI = "http://localhost:3001/auth/google/callback";
+process.env.GITHUB_CLIENT_ID = "github-client";
+process.env.GITHUB_CLIENT_SECRET = "github-secret";
+process.env.GITHUB_REDIRECT_URI = "http://localhost:3001/auth/github/callback";
+
+const { default: User } = await import("../src/models/User.model.js");
+const { default: UserService } = await import("../src/services/userService.js");
+
+const USER_ID = "64b7f0c2a1e4d3b2c1a09f01";
+
+/**
+ * Whether a field value satisfies one filter condition - only the operators unlinking uses
+ * @param {*} value - Stored value
+ * @param {*} condition - Filter condition
+ */
+const matchesCondition = (value, condition) => {
+    if (condition && typeof condition === "object" && "$exists" in condition) {
+        return (value !== undefined) === condition.$exists && !condition.$nin.includes(value);
+    }
+    return value === condition;
+};
+
+/**
+ * Whether a stored user matches a findOneAndUpdate filter
+ * @param {Object} doc - Stored user fields
+ * @param {Object} filter - Filter passed to the model
+ */
+const matchesFilter = (doc, filter) => Object.entries(filter).every(([field, condition]) => (
+    field === "$or"
+        ? condition.some(branch => matchesFilter(doc, branch))
+        : matchesCondition(doc[field], condition)
+));
+
+/**
+ * Runs unlinkProvider against one stored user, applying the update only when the filter matches
+ * @param {Object} t - Test context
+ * @param {Object} stored - Stored user fields
+ * @param {string} provider - Provider to unlink
+ */
+const unlink = (t, stored, provider) => {
+    const doc = { _id: USER_ID, ...stored };
+    t.mock.method(User, "findOneAndUpdate", (filter) => ({
+        select: async () => (matchesFilter(doc, filter) ? new User({ ...doc, [`${provider}Id`]: undefined }) : null)
+    }));
+    t.mock.method(User, "findById", async () => new User(doc));
+    return UserService.unlinkProvider(USER_ID, provider);
+};
+
+describe("UserService.unlinkProvider", () => {
+    it("keeps a provider when the only other method is a password on an unverified address", async (t) => {
+        await assert.rejects(
+            unlink(t, { googleId: "google-1", password: "hash", isEmailVerified: false }, "google"),
+            { statusCode: 400, message: "Cannot unlink the last sign-in method" }
+        );
+    });
+
+    it("unlinks when a password on a verified address remains", async (t) => {
+        const result = await unlink(t, { googleId: "google-1", password: "hash", isEmailVerified: true }, "google");
+
+        assert.equal(result.unlinkedProvider, "google");
+        assert.equal(result.hasPassword, true);
+    });
+
+    it("counts emailed sign-in links for a verified address without a password", async (t) => {
+        const result = await unlink(t, { googleId: "google-1", isEmailVerified: true }, "google");
+
+        assert.equal(result.unlinkedProvider, "google");
+        assert.equal(result.hasPassword, false);
+    });
+
+    it("unlinks when another enabled provider remains", async (t) => {
+        const result = await unlink(t, { googleId: "google-1", githubId: "github-1", isEmailVerified: false }, "google");
+
+        assert.deepEqual(result.connectedProviders, ["github"]);
+    });
+});